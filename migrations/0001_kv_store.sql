@@ -0,0 +1,6 @@
+-- Key/value table used by src/storage.js when the PROGRESS_DB (D1) binding is configured.
+CREATE TABLE IF NOT EXISTS kv_store (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
@@ -0,0 +1,153 @@
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { buildSearchIndex } from "../src/search.js";
+
+const repoRoot = resolve(process.cwd());
+const runDir = resolve(repoRoot, "assets", "tutor-data", "run");
+const indexPath = resolve(repoRoot, "assets", "tutor-data", "search_index.json");
+
+function extractTuple(fileName) {
+  const parts = fileName.split(".");
+  if (parts.length !== 4) {
+    return null;
+  }
+  const [topic, lang, mode, ext] = parts;
+  if (!topic || !lang || !mode || ext !== "json") {
+    return null;
+  }
+  return { topic, lang, mode };
+}
+
+async function readJson(path) {
+  const raw = await readFile(path, "utf8");
+  return JSON.parse(raw.replace(/^\uFEFF/, ""));
+}
+
+function joinText(values) {
+  return values
+    .flat()
+    .filter((value) => typeof value === "string" && value.trim())
+    .join("\n");
+}
+
+function explainDocuments({ topic, lang, mode }, payload) {
+  const blocks = Array.isArray(payload?.blocks) ? payload.blocks : [];
+  return blocks.map((block) => ({
+    topic,
+    lang,
+    mode,
+    title: payload.title ?? topic,
+    ref: { block: block.kind },
+    text: joinText([block.text]),
+  }));
+}
+
+function questionDocument({ topic, lang, mode }, title, question) {
+  return {
+    topic,
+    lang,
+    mode,
+    title,
+    ref: { question_id: question.id },
+    text: joinText([
+      question.prompt,
+      question.answer,
+      question.answer_short,
+      question.keywords ?? [],
+      question.traps ?? [],
+    ]),
+  };
+}
+
+function examDocuments(tuple, payload) {
+  const questions = Array.isArray(payload?.questions) ? payload.questions : [];
+  const title = payload.title ?? payload.doc_title ?? tuple.topic;
+  return questions
+    .filter((question) => typeof question?.id === "string")
+    .map((question) => questionDocument(tuple, title, question));
+}
+
+function pseudocodeDocuments({ topic, lang, mode }, payload) {
+  const variants = Array.isArray(payload?.variants) ? payload.variants : [];
+  return variants.map((variant) => ({
+    topic,
+    lang,
+    mode,
+    title: variant.title ?? variant.id,
+    ref: { variant_id: variant.id },
+    text: joinText([variant.pseudocode, variant.explain_variant?.[lang]]),
+  }));
+}
+
+function wissensbasisDocuments({ topic, mode }, payload) {
+  const entries = Array.isArray(payload?.sections?.wissensbasis) ? payload.sections.wissensbasis : [];
+  return entries.flatMap((entry) => [
+    {
+      topic,
+      lang: "de",
+      mode,
+      title: entry.topic,
+      ref: { wissensbasis: entry.topic },
+      text: joinText([entry.explain_de, entry.typische_pruefungsfallen ?? []]),
+    },
+    {
+      topic,
+      lang: "fa",
+      mode,
+      title: entry.topic,
+      ref: { wissensbasis: entry.topic },
+      text: joinText([entry.explain_fa]),
+    },
+  ]);
+}
+
+// fiae_2023.json bundles several exam banks (one per year) in a single array.
+function examBankDocuments(topic, banks) {
+  return (Array.isArray(banks) ? banks : []).flatMap((bank) =>
+    examDocuments({ topic, lang: bank?.lang ?? "de", mode: "exam" }, bank));
+}
+
+function documentKey(document) {
+  return [document.topic, document.lang, document.mode, JSON.stringify(document.ref)].join("|");
+}
+
+async function main() {
+  const entries = await readdir(runDir, { withFileTypes: true });
+  const fileNames = entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith(".json"))
+    .map((entry) => entry.name)
+    .sort((a, b) => a.localeCompare(b));
+
+  const documents = [];
+  const seen = new Set();
+  const add = (items) => {
+    for (const document of items) {
+      const key = documentKey(document);
+      if (!document.text || seen.has(key)) continue;
+      seen.add(key);
+      documents.push(document);
+    }
+  };
+
+  for (const fileName of fileNames) {
+    const payload = await readJson(resolve(runDir, fileName));
+    const tuple = extractTuple(fileName);
+    if (!tuple) {
+      add(examBankDocuments(fileName.replace(/\.json$/, ""), payload));
+      continue;
+    }
+    if (tuple.mode === "explain") add(explainDocuments(tuple, payload));
+    else if (tuple.mode === "exam") add(examDocuments(tuple, payload));
+    else if (tuple.mode === "pseudocode") add(pseudocodeDocuments(tuple, payload));
+    else if (tuple.topic === "wiso") add(wissensbasisDocuments(tuple, payload));
+  }
+
+  const index = buildSearchIndex(documents);
+  await writeFile(indexPath, `${JSON.stringify(index)}\n`, "utf8");
+  console.log(`Generated ${indexPath} (${documents.length} documents, ${Object.keys(index.terms).length} terms)`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
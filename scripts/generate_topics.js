@@ -1,74 +1,195 @@
-﻿import { readdir, writeFile } from "node:fs/promises";
+﻿import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
 import { resolve } from "node:path";
+import { wisoQuestionPool } from "../src/wiso.js";
 
 const repoRoot = resolve(process.cwd());
 const runDir = resolve(repoRoot, "assets", "tutor-data", "run");
 const topicsPath = resolve(repoRoot, "assets", "tutor-data", "topics.json");
+// Records when each run file's content last changed (see sync_from_fiae_tutor_core.js).
+const manifestPath = resolve(repoRoot, "scripts", "fiae_sync_manifest.json");
 
-function extractTopic(fileName) {
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// Where a topic's display title comes from, per language: the explain title is the one written
+// for learners; documents without a mode (fiae_2023.json) come last.
+const TITLE_MODES = ["explain", "pseudocode", "exam", "trace", null];
+
+// "topic.lang.mode.json" is served through /v1/run; "topic.json" holds one or more documents
+// that each name their own lang (fiae_2023.json, one document per exam year).
+function extractTuple(fileName) {
   const parts = fileName.split(".");
-  if (parts.length !== 4) {
-    return null;
+  if (parts.length === 4) {
+    const [topic, lang, mode, ext] = parts;
+    if (!topic || !lang || !mode || ext !== "json") {
+      return null;
+    }
+    return { topic, lang, mode };
   }
-  const [topic, lang, mode, ext] = parts;
-  if (!topic || !lang || !mode || ext !== "json") {
-    return null;
+  if (parts.length === 2 && parts[0] && parts[1] === "json") {
+    return { topic: parts[0], lang: null, mode: null };
   }
-  return topic;
+  return null;
 }
 
-function extractTuple(fileName) {
-  const parts = fileName.split(".");
-  if (parts.length !== 4) {
-    return null;
+function isBundle(document) {
+  return /\.bundle\./.test(document?.schema_name ?? "");
+}
+
+function documentQuestions(document) {
+  if (isBundle(document)) {
+    return wisoQuestionPool(document);
+  }
+  return Array.isArray(document?.questions) ? document.questions : [];
+}
+
+function documentTitle(document) {
+  const title = typeof document?.title === "string" ? document.title : document?.doc_title;
+  return typeof title === "string" && title.trim() ? title.trim() : "";
+}
+
+// Subject bundles (wiso) are served whole; topics whose every file is an exam are exam banks.
+function entryKind(files) {
+  if (files.some((file) => file.documents.some(isBundle))) {
+    return "subject_bundle";
+  }
+  if (files.every((file) => file.mode === "exam" || file.mode === null)) {
+    return "exam_bank";
+  }
+  return "algorithm";
+}
+
+// Taken from the file contents alone, so regenerating unchanged assets gives the same
+// topics.json in any checkout; it changes whenever one of the topic's files does.
+function contentRevision(files) {
+  const hash = createHash("sha256");
+  for (const file of [...files].sort((a, b) => byName(a.fileName, b.fileName))) {
+    hash.update(`${file.fileName}\0${file.text}\0`);
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+async function readUpdatedAt() {
+  try {
+    const manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+    return manifest?.updated_at && typeof manifest.updated_at === "object" ? manifest.updated_at : {};
+  } catch {
+    return {};
   }
-  const [topic, lang, mode, ext] = parts;
-  if (!topic || !lang || !mode || ext !== "json") {
-    return null;
+}
+
+async function readRunFile(fileName, tuple, updatedAt) {
+  const path = resolve(runDir, fileName);
+  const text = await readFile(path, "utf8");
+  const parsed = JSON.parse(text);
+  const documents = (Array.isArray(parsed) ? parsed : [parsed]).map((document) => ({
+    ...document,
+    lang: tuple.lang ?? document?.lang,
+  }));
+  return { ...tuple, fileName, text, documents, updatedAt: updatedAt[fileName] ?? null };
+}
+
+function byName(a, b) {
+  return a.localeCompare(b);
+}
+
+function buildEntry(files) {
+  const kind = entryKind(files);
+  const documents = files.flatMap((file) => file.documents.map((document) => ({ file, document })));
+  const langs = Array.from(new Set(documents.map(({ document }) => document.lang).filter(Boolean))).sort();
+
+  const titles = {};
+  for (const mode of TITLE_MODES) {
+    for (const { file, document } of documents) {
+      if (file.mode === mode && document.lang && !titles[document.lang] && documentTitle(document)) {
+        titles[document.lang] = documentTitle(document);
+      }
+    }
   }
-  return { topic, lang, mode };
+
+  // Questions are counted once per id: fiae_2023.de.exam.json repeats the first year of
+  // fiae_2023.json, and the de and fa exams of a topic share their ids.
+  const questionIds = new Map(langs.map((lang) => [lang, new Set()]));
+  const questions = new Map();
+  const years = new Set();
+  for (const { document } of documents) {
+    for (const year of Array.isArray(document.years_covered) ? document.years_covered : []) {
+      years.add(String(year));
+    }
+    for (const question of documentQuestions(document)) {
+      if (typeof question?.id !== "string" || !question.id) continue;
+      questionIds.get(document.lang)?.add(question.id);
+      if (!questions.has(question.id)) questions.set(question.id, question);
+      if (question.year) years.add(String(question.year));
+    }
+  }
+
+  const difficulty = Object.fromEntries([...DIFFICULTIES, "unrated"].map((level) => [level, 0]));
+  for (const question of questions.values()) {
+    difficulty[DIFFICULTIES.includes(question.difficulty) ? question.difficulty : "unrated"] += 1;
+  }
+
+  const modes = new Set(files.map((file) => file.mode).filter(Boolean));
+  return {
+    kind,
+    titles,
+    langs,
+    modes: kind === "subject_bundle" ? [] : Array.from(modes).sort(),
+    question_count: questions.size,
+    question_counts: Object.fromEntries(Array.from(questionIds, ([lang, ids]) => [lang, ids.size])),
+    years: Array.from(years).sort(),
+    difficulty,
+    files: files.map((file) => file.fileName).sort(byName),
+    updated_at: files.map((file) => file.updatedAt).filter(Boolean).sort().at(-1) ?? null,
+    revision: contentRevision(files),
+  };
 }
 
 async function main() {
-  const entries = await readdir(runDir, { withFileTypes: true });
-  const topics = new Set();
-  const availability = new Map();
+  const dirEntries = await readdir(runDir, { withFileTypes: true });
+  const filesByTopic = new Map();
+  const updatedAt = await readUpdatedAt();
 
-  for (const entry of entries) {
-    if (!entry.isFile()) {
+  for (const dirEntry of dirEntries) {
+    if (!dirEntry.isFile()) {
       continue;
     }
-    const tuple = extractTuple(entry.name);
+    const tuple = extractTuple(dirEntry.name);
     if (tuple) {
-      topics.add(tuple.topic);
-      if (!availability.has(tuple.topic)) {
-        availability.set(tuple.topic, new Map());
+      if (!filesByTopic.has(tuple.topic)) {
+        filesByTopic.set(tuple.topic, []);
       }
-      const topicModes = availability.get(tuple.topic);
-      if (!topicModes.has(tuple.lang)) {
-        topicModes.set(tuple.lang, new Set());
-      }
-      topicModes.get(tuple.lang).add(tuple.mode);
+      filesByTopic.get(tuple.topic).push(await readRunFile(dirEntry.name, tuple, updatedAt));
     }
   }
 
-  const normalizedAvailability = Object.fromEntries(
-    Array.from(availability.entries())
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([topic, langMap]) => [
+  const topics = Array.from(filesByTopic.keys()).sort();
+  const catalog = Object.fromEntries(topics.map((topic) => [topic, buildEntry(filesByTopic.get(topic))]));
+
+  // Modes that /v1/run serves per language. Bundles list their languages without modes: their
+  // file name carries a placeholder mode and they are read through their own routes.
+  const availability = Object.fromEntries(
+    topics.map((topic) => {
+      const runFiles = filesByTopic.get(topic).filter((file) => file.mode !== null);
+      const langs = Array.from(new Set(runFiles.map((file) => file.lang))).sort();
+      return [
         topic,
         Object.fromEntries(
-          Array.from(langMap.entries())
-            .sort(([a], [b]) => a.localeCompare(b))
-            .map(([lang, modes]) => [lang, Array.from(modes).sort()]),
+          langs.map((lang) => [
+            lang,
+            catalog[topic].kind === "subject_bundle"
+              ? []
+              : runFiles.filter((file) => file.lang === lang).map((file) => file.mode).sort(),
+          ]),
         ),
-      ]),
+      ];
+    }),
   );
 
   const payload = {
-    topics: Array.from(topics).sort(),
+    topics,
     source: "generated-from-assets",
-    availability: normalizedAvailability,
+    availability,
+    catalog,
   };
 
   await writeFile(topicsPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
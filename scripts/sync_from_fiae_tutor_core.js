@@ -1,9 +1,35 @@
 import { readdir, readFile, rm, mkdir, writeFile } from "node:fs/promises";
-import { resolve } from "node:path";
+import { relative, resolve } from "node:path";
+import { curriculumProblems } from "../src/curriculum.js";
+import { SUPPORTED_LANGS, textDirection } from "../src/locale.js";
+import { diffAsset, planSync } from "../src/syncdiff.js";
+import {
+  decodeSourceText,
+  findSubstitutions,
+  normalizeAssetTransliterations,
+  repairMojibake,
+} from "../src/textquality.js";
 
 const repoRoot = resolve(process.cwd());
 const workerRunDir = resolve(repoRoot, "assets", "tutor-data", "run");
-const langs = ["de", "fa"];
+// Files the sync wrote last time. Anything else in the run dir (wiso.de.trace.json, fiae_2023.*)
+// is maintained by hand and never touched. `updated_at` records when each file's content last
+// changed; entries of hand-maintained files are edited by hand and kept by the sync.
+const manifestPath = resolve(repoRoot, "scripts", "fiae_sync_manifest.json");
+// Hand-maintained prerequisite graph; checked against the topics left after the sync.
+const curriculumPath = resolve(repoRoot, "assets", "tutor-data", "curriculum.json");
+const langs = SUPPORTED_LANGS;
+// de and fa are always published, each filling in for the other. Other locales (en) are only
+// written where fiae-tutor-core ships sources in that language.
+const baseLangs = ["de", "fa"];
+// --umlauts rewrites listed ASCII transliterations ("fuer") in German assets; --strict-text
+// fails the sync while "?" substitutions remain instead of only listing them.
+const normalizeUmlauts = process.argv.includes("--umlauts");
+const strictText = process.argv.includes("--strict-text");
+// --dry-run prints the change report without writing; --check does the same and exits non-zero
+// when the assets are out of date.
+const checkOnly = process.argv.includes("--check");
+const dryRun = checkOnly || process.argv.includes("--dry-run");
 
 const fiaeCoreDir = process.env.FIAE_TUTOR_CORE_DIR
   ? resolve(process.env.FIAE_TUTOR_CORE_DIR)
@@ -33,33 +59,38 @@ function firstNonEmptyString(values) {
   return "";
 }
 
+// Source files that were not plain UTF-8 or held double-encoded text, listed after the run.
+const repairedSources = [];
+
+async function readSourceText(path) {
+  const { text, encoding } = decodeSourceText(await readFile(path));
+  const repaired = repairMojibake(text);
+  const notes = [];
+  if (encoding !== "utf-8") notes.push(`decoded as ${encoding}`);
+  if (repaired !== text) notes.push("double-encoded UTF-8 repaired");
+  if (notes.length) repairedSources.push(`${relative(fiaeCoreDir, path)} :: ${notes.join(", ")}`);
+  return repaired;
+}
+
 async function readJsonIfExists(path) {
   try {
-    const raw = await readFile(path, "utf8");
+    const raw = await readSourceText(path);
     return JSON.parse(raw);
   } catch {
     return null;
   }
 }
 
-function extractLocalizedText(value) {
-  if (!value || typeof value !== "object") {
-    return { de: "", fa: "" };
-  }
-  return {
-    de: typeof value.de === "string" ? value.de : "",
-    fa: typeof value.fa === "string" ? value.fa : "",
-  };
+// The requested language first, then the others in `langs` order.
+function localeOrder(lang) {
+  return [lang, ...langs.filter((other) => other !== lang)];
 }
 
-function extractPseudocode(value) {
-  if (!value || typeof value !== "object") {
-    return { de: "", fa: "" };
-  }
-  return {
-    de: typeof value.de === "string" ? value.de : "",
-    fa: typeof value.fa === "string" ? value.fa : "",
-  };
+// Localized fields are { de, fa, en } maps; missing languages are empty strings.
+function extractLocalizedText(value) {
+  return Object.fromEntries(
+    langs.map((lang) => [lang, typeof value?.[lang] === "string" ? value[lang] : ""]),
+  );
 }
 
 function decodeEscapedPythonString(value) {
@@ -85,16 +116,18 @@ function extractPythonFunctionReturn(source, functionName) {
 async function readTopicPseudocodeFallback(topic) {
   const topicPath = resolve(sourceTopicPythonDir, `${topic}.py`);
   try {
-    const source = await readFile(topicPath, "utf8");
-    const de = extractPythonFunctionReturn(source, "generate_pseudocode_de");
-    const fa = extractPythonFunctionReturn(source, "generate_pseudocode_fa");
-    return { de, fa };
+    const source = await readSourceText(topicPath);
+    return Object.fromEntries(
+      langs.map((lang) => [lang, extractPythonFunctionReturn(source, `generate_pseudocode_${lang}`)]),
+    );
   } catch {
-    return { de: "", fa: "" };
+    return extractLocalizedText(null);
   }
 }
 
-function mergeVariantRecords(variantsDe, variantsFa) {
+// Lines up variants or exam questions across languages by id. `itemsByLang` is
+// { de: [...], fa: [...], en: [...] }; records are { id, de, fa, en }.
+function mergeRecordsById(itemsByLang) {
   const order = [];
   const byId = new Map();
 
@@ -105,7 +138,7 @@ function mergeVariantRecords(variantsDe, variantsFa) {
       if (!id) continue;
 
       if (!byId.has(id)) {
-        byId.set(id, { id, de: null, fa: null });
+        byId.set(id, { id, ...Object.fromEntries(langs.map((code) => [code, null])) });
         order.push(id);
       }
       const entry = byId.get(id);
@@ -113,8 +146,9 @@ function mergeVariantRecords(variantsDe, variantsFa) {
     }
   };
 
-  ingest(Array.isArray(variantsDe) ? variantsDe : [], "de");
-  ingest(Array.isArray(variantsFa) ? variantsFa : [], "fa");
+  for (const lang of langs) {
+    ingest(Array.isArray(itemsByLang[lang]) ? itemsByLang[lang] : [], lang);
+  }
 
   return order.map((id) => byId.get(id));
 }
@@ -124,31 +158,36 @@ function buildPseudocodeAsset({ topic, lang, title, mergedVariants, fallbackPseu
   const variantEntries = [];
 
   for (const record of mergedVariants) {
-    const deItem = record?.de && typeof record.de === "object" ? record.de : null;
-    const faItem = record?.fa && typeof record.fa === "object" ? record.fa : null;
+    const items = Object.fromEntries(
+      langs.map((code) => [code, record?.[code] && typeof record[code] === "object" ? record[code] : null]),
+    );
     const id = record?.id || "";
     if (!id) continue;
 
-    const labels = {
-      de: firstNonEmptyString([deItem?.label, faItem?.label, id]),
-      fa: firstNonEmptyString([faItem?.label, deItem?.label, id]),
-    };
-    const explainFromDe = extractLocalizedText(deItem?.explain);
-    const explainFromFa = extractLocalizedText(faItem?.explain);
-    const explainVariant = {
-      de: firstNonEmptyString([explainFromDe.de, explainFromFa.de]),
-      fa: firstNonEmptyString([explainFromDe.fa, explainFromFa.fa]),
-    };
-
-    const pseudoFromDe = extractPseudocode(deItem?.pseudocode);
-    const pseudoFromFa = extractPseudocode(faItem?.pseudocode);
-    const pseudocodeByLang = {
-      de: firstNonEmptyString([pseudoFromDe.de, pseudoFromFa.de, fallbackPseudo.de, fallbackPseudo.fa]),
-      fa: firstNonEmptyString([pseudoFromDe.fa, pseudoFromFa.fa, fallbackPseudo.fa, fallbackPseudo.de]),
-    };
-    const preferredPseudo = normalizedLang === "fa"
-      ? firstNonEmptyString([pseudocodeByLang.fa, pseudocodeByLang.de])
-      : firstNonEmptyString([pseudocodeByLang.de, pseudocodeByLang.fa]);
+    const labels = Object.fromEntries(
+      langs.map((code) => [
+        code,
+        firstNonEmptyString([...localeOrder(code).map((itemLang) => items[itemLang]?.label), id]),
+      ]),
+    );
+    const explainVariant = Object.fromEntries(
+      langs.map((code) => [
+        code,
+        firstNonEmptyString(langs.map((itemLang) => extractLocalizedText(items[itemLang]?.explain)[code])),
+      ]),
+    );
+    const pseudocodeByLang = Object.fromEntries(
+      langs.map((code) => [
+        code,
+        firstNonEmptyString([
+          ...langs.map((itemLang) => extractLocalizedText(items[itemLang]?.pseudocode)[code]),
+          ...localeOrder(code).map((fallbackLang) => fallbackPseudo[fallbackLang]),
+        ]),
+      ]),
+    );
+    const preferredPseudo = firstNonEmptyString(
+      localeOrder(normalizedLang).map((code) => pseudocodeByLang[code]),
+    );
 
     if (!preferredPseudo) {
       continue;
@@ -156,28 +195,26 @@ function buildPseudocodeAsset({ topic, lang, title, mergedVariants, fallbackPseu
 
     variantEntries.push({
       id,
-      title: normalizedLang === "fa" ? labels.fa : labels.de,
+      title: labels[normalizedLang] || labels.de,
       labels,
-      is_default: Boolean(deItem?.is_default || faItem?.is_default),
+      is_default: langs.some((code) => Boolean(items[code]?.is_default)),
       pseudocode: preferredPseudo,
       explain_variant: explainVariant,
     });
   }
 
   if (variantEntries.length === 0) {
-    const fallback = normalizedLang === "fa"
-      ? firstNonEmptyString([fallbackPseudo.fa, fallbackPseudo.de])
-      : firstNonEmptyString([fallbackPseudo.de, fallbackPseudo.fa]);
+    const fallback = firstNonEmptyString(localeOrder(normalizedLang).map((code) => fallbackPseudo[code]));
     if (!fallback) {
       return null;
     }
     variantEntries.push({
       id: "default",
       title: "Default",
-      labels: { de: "Default", fa: "پیش‌فرض" },
+      labels: { de: "Default", fa: "پیش‌فرض", en: "Default" },
       is_default: true,
       pseudocode: fallback,
-      explain_variant: { de: "", fa: "" },
+      explain_variant: extractLocalizedText(null),
     });
   }
 
@@ -188,6 +225,7 @@ function buildPseudocodeAsset({ topic, lang, title, mergedVariants, fallbackPseu
     version: "1.0",
     topic,
     lang: normalizedLang,
+    direction: textDirection(normalizedLang),
     mode: "pseudocode",
     title,
     selected_variant: selected.id,
@@ -256,6 +294,7 @@ function buildExplainAsset({ topic, lang, title, explainDoc }) {
     version: "1.0",
     topic,
     lang,
+    direction: textDirection(lang),
     mode: "explain",
     title,
     summary,
@@ -263,97 +302,267 @@ function buildExplainAsset({ topic, lang, title, explainDoc }) {
   };
 }
 
-function mapExamQuestion(question, lang) {
-  const id = firstNonEmptyString([question?.id]);
+// Optional question metadata, copied when the source has it (same names as the IHK banks).
+const EXAM_TEXT_FIELDS = ["answer_short", "answer_long", "difficulty", "year", "pseudocode"];
+const EXAM_OBJECT_FIELDS = ["complexity", "scoring_guide", "source"];
+const EXAM_LIST_FIELDS = ["keywords", "traps"];
+
+function questionExplanation(question) {
+  return firstNonEmptyString([question?.solution, question?.expected]);
+}
+
+// Choices become { id, text, correct }. Sources either mark the correct choice themselves
+// (`correct` / `is_correct`) or name it in `answer`, by letter or by text.
+function mapExamChoices(choices, answer) {
+  const mapped = choices.map((choice, index) => {
+    const isObject = Boolean(choice) && typeof choice === "object";
+    return {
+      id: firstNonEmptyString([choice?.id, choice?.key, String.fromCharCode(65 + index)]),
+      text: isObject ? firstNonEmptyString([choice.text, choice.label]) : String(choice ?? ""),
+      correct: isObject && (choice.correct === true || choice.is_correct === true),
+    };
+  });
+  if (!mapped.some((choice) => choice.correct)) {
+    const wanted = answer.trim().toLowerCase();
+    for (const choice of mapped) {
+      const keys = [choice.id, choice.text.trim()].map((key) => key.toLowerCase());
+      choice.correct = Boolean(wanted) && keys.includes(wanted);
+    }
+  }
+  return mapped;
+}
+
+// `record` is { id, de, fa, en } from mergeRecordsById; the question text comes from `lang`,
+// explanations from every language that has the question.
+function mapExamQuestion(record, lang) {
+  const question = record[lang];
+  const id = record.id;
   const prompt = firstNonEmptyString([question?.task, question?.prompt]);
   const isMc = Array.isArray(question?.choices) && question.choices.length > 0;
-  const answer = firstNonEmptyString([question?.answer, question?.expected, question?.solution]);
+  let answer = firstNonEmptyString([
+    question?.answer,
+    question?.answer_short,
+    question?.expected,
+    question?.solution,
+  ]);
+  const explain = Object.fromEntries(
+    langs.map((code) => [
+      code,
+      firstNonEmptyString([
+        questionExplanation(record[code]),
+        ...langs.map((itemLang) => extractLocalizedText(record[itemLang]?.explain)[code]),
+      ]),
+    ]),
+  );
+
+  const choices = isMc ? mapExamChoices(question.choices, answer) : null;
+  if (choices && !answer) answer = choices.find((choice) => choice.correct)?.id ?? "";
 
+  // explain_de/explain_fa stay for clients that predate the `explain` map.
   const mapped = {
     id,
     type: isMc ? "mc" : "open",
     prompt,
     answer,
-    explain_de: lang === "de" ? firstNonEmptyString([question?.solution, question?.expected]) : "",
-    explain_fa: lang === "fa" ? firstNonEmptyString([question?.solution, question?.expected]) : "",
+    explain_de: explain.de,
+    explain_fa: explain.fa,
+    explain,
   };
-
-  if (isMc) {
-    mapped.choices = question.choices;
+  if (choices) mapped.choices = choices;
+  if (typeof question?.points === "number") mapped.points = question.points;
+  for (const field of EXAM_TEXT_FIELDS) {
+    const value = firstNonEmptyString([question?.[field]]);
+    if (value) mapped[field] = value;
+  }
+  for (const field of EXAM_OBJECT_FIELDS) {
+    const value = question?.[field];
+    if (value && typeof value === "object" && !Array.isArray(value)) mapped[field] = value;
+  }
+  for (const field of EXAM_LIST_FIELDS) {
+    const values = Array.isArray(question?.[field]) ? question[field] : [];
+    const strings = values.filter((item) => typeof item === "string" && item.trim());
+    if (strings.length) mapped[field] = strings;
   }
 
   return mapped;
 }
 
-function buildExamAsset({ topic, lang, title, examDoc }) {
-  const questionsRaw = Array.isArray(examDoc?.questions) ? examDoc.questions : [];
-  const questions = questionsRaw
-    .map((question) => mapExamQuestion(question, lang))
+function buildExamAsset({ topic, lang, title, questionRecords }) {
+  const questions = questionRecords
+    .filter((record) => record[lang])
+    .map((record) => mapExamQuestion(record, lang))
     .filter((question) => question.id && question.prompt)
     .sort((a, b) => a.id.localeCompare(b.id));
 
   return {
-    schema_name: "tutor_asset.exam.v1",
-    version: "1.0",
+    schema_name: "tutor_asset.exam.v2",
+    version: "2.0",
     topic,
     lang,
+    direction: textDirection(lang),
     mode: "exam",
     title,
     questions,
   };
 }
 
-async function main() {
-  await mkdir(workerRunDir, { recursive: true });
-  await rm(workerRunDir, { recursive: true, force: true });
-  await mkdir(workerRunDir, { recursive: true });
+// Renders one asset and records the "?" substitutions left in it as `file/pointer: excerpt`.
+function renderAsset(fileName, payload, textIssues) {
+  const finished =
+    normalizeUmlauts && payload.lang === "de" ? normalizeAssetTransliterations(payload) : payload;
+  for (const { path, count, excerpt } of findSubstitutions(finished)) {
+    textIssues.push(`${fileName}${path} (${count}x): ${excerpt}`);
+  }
+  return stableJson(finished);
+}
+
+async function readManifest() {
+  const manifest = await readJsonIfExists(manifestPath);
+  return {
+    owned: new Set(Array.isArray(manifest?.files) ? manifest.files : []),
+    updatedAt: manifest?.updated_at && typeof manifest.updated_at === "object" ? manifest.updated_at : {},
+  };
+}
+
+// Written files get the time of this sync; unchanged and hand-maintained files keep theirs.
+function nextUpdatedAt(previous, plan, syncedAt) {
+  const updated = { ...previous };
+  for (const name of plan.removed) delete updated[name];
+  for (const name of [...plan.added, ...plan.changed]) updated[name] = syncedAt;
+  return Object.fromEntries(Object.entries(updated).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function readRunDir() {
+  const current = new Map();
+  let names = [];
+  try {
+    names = await readdir(workerRunDir);
+  } catch {
+    return current;
+  }
+  for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+    current.set(name, await readFile(resolve(workerRunDir, name), "utf8"));
+  }
+  return current;
+}
+
+// Cycles and topics without assets, counting the run dir as it will be after this sync.
+async function checkCurriculum(plan, generated, current) {
+  let curriculum;
+  try {
+    curriculum = JSON.parse(await readFile(curriculumPath, "utf8"));
+  } catch (error) {
+    return error.code === "ENOENT" ? [] : [`unreadable: ${error.message}`];
+  }
+  const removed = new Set(plan.removed);
+  const names = [...generated.keys(), ...Array.from(current.keys()).filter((name) => !removed.has(name))];
+  return curriculumProblems(curriculum, names.map((name) => name.split(".")[0]));
+}
+
+function parseJsonOrNull(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// "bubblesort.de.exam.json" -> "bubblesort/de/exam"
+function assetLabel(fileName) {
+  return fileName.replace(/\.json$/, "").split(".").join("/");
+}
+
+function describeChange(before, after) {
+  const { fields, items } = diffAsset(before, after);
+  const ids = [
+    ...items.added.map((id) => `+${id}`),
+    ...items.changed.map((id) => `~${id}`),
+    ...items.removed.map((id) => `-${id}`),
+  ];
+  const parts = [];
+  if (ids.length) parts.push(`items ${ids.join(" ")}`);
+  if (fields.length) parts.push(`fields ${fields.join(", ")}`);
+  return parts.join("; ");
+}
+
+function printChangeReport(plan, generated, current) {
+  const total = plan.added.length + plan.changed.length + plan.removed.length;
+  console.log(
+    `Changes (${total}): ${plan.added.length} added, ${plan.changed.length} changed, ` +
+      `${plan.removed.length} removed, ${plan.unchanged.length} unchanged`,
+  );
+  const lines = [
+    ...plan.added.map((name) => ({ name, line: `+ ${assetLabel(name)}` })),
+    ...plan.changed.map((name) => {
+      const detail = describeChange(parseJsonOrNull(current.get(name)), parseJsonOrNull(generated.get(name)));
+      return { name, line: `~ ${assetLabel(name)}${detail ? `: ${detail}` : ""}` };
+    }),
+    ...plan.removed.map((name) => ({ name, line: `- ${assetLabel(name)}` })),
+  ];
+  for (const { line } of lines.sort((a, b) => a.name.localeCompare(b.name))) {
+    console.log(line);
+  }
+  if (plan.foreign.length) {
+    console.log(`Not overwritten, file exists but is not in ${manifestPath} (${plan.foreign.length}):`);
+    for (const name of plan.foreign) console.log(`- ${name}`);
+  }
+}
 
+async function main() {
   const topicEntries = await readdir(sourceTopicsDir, { withFileTypes: true });
   const topics = topicEntries
     .filter((entry) => entry.isDirectory())
     .map((entry) => entry.name)
     .sort((a, b) => a.localeCompare(b));
 
-  const writtenFiles = [];
+  const generated = new Map();
   const includedTopics = new Set();
   const skipped = [];
+  const textIssues = [];
 
   for (const topic of topics) {
     const topicDir = resolve(sourceTopicsDir, topic);
-    const variantsDePath = resolve(topicDir, "variants.de.v1.json");
-    const variantsFaPath = resolve(topicDir, "variants.fa.v1.json");
-
-    const variantsDe = (await readJsonIfExists(variantsDePath)) ?? [];
-    const variantsFa = (await readJsonIfExists(variantsFaPath)) ?? [];
-    const mergedVariants = mergeVariantRecords(variantsDe, variantsFa);
+    const variantsByLang = {};
+    for (const lang of langs) {
+      variantsByLang[lang] = (await readJsonIfExists(resolve(topicDir, `variants.${lang}.v1.json`))) ?? [];
+    }
+    const mergedVariants = mergeRecordsById(variantsByLang);
     const topicFallbackPseudo = await readTopicPseudocodeFallback(topic);
+    const examDocs = {};
+    for (const lang of langs) {
+      examDocs[lang] = await readJsonIfExists(resolve(topicDir, `exam.${lang}.v1.json`));
+    }
+    const questionRecords = mergeRecordsById(
+      Object.fromEntries(langs.map((lang) => [lang, examDocs[lang]?.questions])),
+    );
 
     for (const lang of langs) {
       const explainPath = resolve(topicDir, `explain.${lang}.v1.json`);
-      const examPath = resolve(topicDir, `exam.${lang}.v1.json`);
-
       const explainDoc = await readJsonIfExists(explainPath);
-      const examDoc = await readJsonIfExists(examPath);
+      const examDoc = examDocs[lang];
 
       const defaultTitle = `${normalizeTopicTitle(topic)} (${lang.toUpperCase()})`;
       const explainTitle = firstNonEmptyString([explainDoc?.title]);
       const title = explainTitle || defaultTitle;
 
-      const pseudoPayload = buildPseudocodeAsset({
-        topic,
-        lang,
-        title,
-        mergedVariants,
-        fallbackPseudo: topicFallbackPseudo,
-      });
+      const hasPseudoSource =
+        baseLangs.includes(lang) || variantsByLang[lang].length > 0 || Boolean(topicFallbackPseudo[lang]);
+      const pseudoPayload = hasPseudoSource
+        ? buildPseudocodeAsset({
+          topic,
+          lang,
+          title,
+          mergedVariants,
+          fallbackPseudo: topicFallbackPseudo,
+        })
+        : null;
       if (pseudoPayload) {
         const pseudoFileName = `${topic}.${lang}.pseudocode.json`;
-        const pseudoOutPath = resolve(workerRunDir, pseudoFileName);
-        await writeFile(pseudoOutPath, stableJson(pseudoPayload), "utf8");
-        writtenFiles.push(pseudoFileName);
+        generated.set(pseudoFileName, renderAsset(pseudoFileName, pseudoPayload, textIssues));
         includedTopics.add(topic);
       } else {
-        skipped.push(`${topic}.${lang}.pseudocode :: no pseudocode source (variants/python)`);
+        const reason = hasPseudoSource ? "no pseudocode source (variants/python)" : `no ${lang} variants`;
+        skipped.push(`${topic}.${lang}.pseudocode :: ${reason}`);
       }
 
       if (explainDoc) {
@@ -364,8 +573,7 @@ async function main() {
           explainDoc,
         });
         const explainFileName = `${topic}.${lang}.explain.json`;
-        await writeFile(resolve(workerRunDir, explainFileName), stableJson(explainPayload), "utf8");
-        writtenFiles.push(explainFileName);
+        generated.set(explainFileName, renderAsset(explainFileName, explainPayload, textIssues));
         includedTopics.add(topic);
       } else {
         skipped.push(`${topic}.${lang}.explain :: explain file missing`);
@@ -376,11 +584,10 @@ async function main() {
           topic,
           lang,
           title,
-          examDoc,
+          questionRecords,
         });
         const examFileName = `${topic}.${lang}.exam.json`;
-        await writeFile(resolve(workerRunDir, examFileName), stableJson(examPayload), "utf8");
-        writtenFiles.push(examFileName);
+        generated.set(examFileName, renderAsset(examFileName, examPayload, textIssues));
         includedTopics.add(topic);
       } else {
         skipped.push(`${topic}.${lang}.exam :: exam file missing`);
@@ -388,16 +595,59 @@ async function main() {
     }
   }
 
-  writtenFiles.sort((a, b) => a.localeCompare(b));
   const includedTopicsSorted = Array.from(includedTopics).sort((a, b) => a.localeCompare(b));
+  const current = await readRunDir();
+  const manifest = await readManifest();
+  const plan = planSync({ generated, current, owned: manifest.owned });
 
   console.log(`Source topics dir: ${sourceTopicsDir}`);
-  console.log(`Files written: ${writtenFiles.length}`);
+  console.log(`Files generated: ${generated.size}`);
   console.log(`Topics included (${includedTopicsSorted.length}): ${includedTopicsSorted.join(", ")}`);
   console.log(`Skipped (${skipped.length}):`);
   for (const item of skipped.sort((a, b) => a.localeCompare(b))) {
     console.log(`- ${item}`);
   }
+  console.log(`Repaired sources (${repairedSources.length}):`);
+  for (const item of repairedSources.sort((a, b) => a.localeCompare(b))) {
+    console.log(`- ${item}`);
+  }
+  if (textIssues.length) {
+    const report = strictText ? console.error : console.log;
+    report(`Possible "?" substitutions (${textIssues.length}):`);
+    for (const item of textIssues) report(`- ${item}`);
+    if (strictText) process.exitCode = 1;
+  }
+  printChangeReport(plan, generated, current);
+
+  const curriculumIssues = await checkCurriculum(plan, generated, current);
+  if (curriculumIssues.length) {
+    const curriculumFile = relative(repoRoot, curriculumPath);
+    console.error(`Curriculum problems in ${curriculumFile} (${curriculumIssues.length}):`);
+    for (const item of curriculumIssues) console.error(`- ${item}`);
+    console.error("Nothing was written; fix the curriculum or the sources first");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (dryRun) {
+    const outdated = plan.added.length + plan.changed.length + plan.removed.length > 0;
+    if (checkOnly && outdated) {
+      console.error("Assets are out of date; run npm run sync:fiae");
+      process.exitCode = 1;
+    }
+    return;
+  }
+  await mkdir(workerRunDir, { recursive: true });
+  for (const name of [...plan.added, ...plan.changed]) {
+    await writeFile(resolve(workerRunDir, name), generated.get(name), "utf8");
+  }
+  for (const name of plan.removed) {
+    await rm(resolve(workerRunDir, name), { force: true });
+  }
+  const owned = [...plan.added, ...plan.changed, ...plan.unchanged].sort((a, b) => a.localeCompare(b));
+  const updatedAt = nextUpdatedAt(manifest.updatedAt, plan, new Date().toISOString());
+  const nextManifest = { source: "fiae-tutor-core/export/tutor/topics", files: owned, updated_at: updatedAt };
+  await writeFile(manifestPath, stableJson(nextManifest), "utf8");
 }
 
 main().catch((error) => {
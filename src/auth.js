@@ -0,0 +1,93 @@
+import { base64UrlDecode, base64UrlEncode, hmacKey } from "./signing.js";
+
+export const SCOPE_CONTENT_READ = "content:read";
+export const SCOPE_EXAM_GRADE = "exam:grade";
+export const SCOPE_PROGRESS_WRITE = "progress:write";
+export const SCOPE_ADMIN = "admin";
+
+// The shared X-Adapter-Token predates scopes; it keeps the access it always had, minus admin.
+export const LEGACY_SCOPES = [SCOPE_CONTENT_READ, SCOPE_EXAM_GRADE, SCOPE_PROGRESS_WRITE];
+
+const CLOCK_SKEW_SECONDS = 60;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function decodeJsonSegment(segment) {
+  return JSON.parse(decoder.decode(base64UrlDecode(segment)));
+}
+
+// JWT_PUBLIC_KEY may be a PEM "PUBLIC KEY" (SPKI) block or a JWK as JSON.
+async function rsaPublicKey(publicKey) {
+  const algorithm = { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" };
+  const trimmed = publicKey.trim();
+  if (trimmed.startsWith("{")) {
+    return crypto.subtle.importKey("jwk", JSON.parse(trimmed), algorithm, false, ["verify"]);
+  }
+  const base64 = trimmed.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, "").replace(/\s+/g, "");
+  const der = Uint8Array.from(atob(base64), (ch) => ch.charCodeAt(0));
+  return crypto.subtle.importKey("spki", der, algorithm, false, ["verify"]);
+}
+
+function claimScopes(claims) {
+  if (Array.isArray(claims.scopes)) return claims.scopes.filter((scope) => typeof scope === "string");
+  if (typeof claims.scope === "string") return claims.scope.split(/\s+/).filter(Boolean);
+  return [];
+}
+
+// HS256 only; RS256 tokens are issued by an external identity provider.
+export async function signJwt(claims, secret) {
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: "HS256", typ: "JWT" })));
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+  const signed = encoder.encode(`${header}.${payload}`);
+  const signature = await crypto.subtle.sign("HMAC", await hmacKey(secret), signed);
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Returns { ok: true, identity } or { ok: false, detail } — never throws on malformed input.
+export async function verifyJwt(token, { secret = "", publicKey = "", now = Date.now() } = {}) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || parts.some((part) => !part)) return { ok: false, detail: "Invalid token" };
+  const [headerPart, payloadPart, signaturePart] = parts;
+
+  let header;
+  let claims;
+  let valid = false;
+  try {
+    header = decodeJsonSegment(headerPart);
+    claims = decodeJsonSegment(payloadPart);
+    const signed = encoder.encode(`${headerPart}.${payloadPart}`);
+    const signature = base64UrlDecode(signaturePart);
+    if (header?.alg === "HS256" && secret) {
+      valid = await crypto.subtle.verify("HMAC", await hmacKey(secret), signature, signed);
+    } else if (header?.alg === "RS256" && publicKey) {
+      const key = await rsaPublicKey(publicKey);
+      valid = await crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, signature, signed);
+    }
+  } catch {
+    return { ok: false, detail: "Invalid token" };
+  }
+  if (!valid || !claims || typeof claims !== "object") return { ok: false, detail: "Invalid token" };
+
+  if (!Number.isFinite(claims.exp)) return { ok: false, detail: "Invalid token" };
+  const nowSeconds = Math.floor(now / 1000);
+  if (nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    return { ok: false, detail: "Token expired" };
+  }
+  if (Number.isFinite(claims.nbf) && nowSeconds + CLOCK_SKEW_SECONDS < claims.nbf) {
+    return { ok: false, detail: "Token not yet valid" };
+  }
+  if (typeof claims.sub !== "string" || !claims.sub) return { ok: false, detail: "Invalid token" };
+
+  return {
+    ok: true,
+    identity: { auth: "jwt", sub: claims.sub, scopes: claimScopes(claims), expires_at: claims.exp },
+  };
+}
+
+export function legacyIdentity() {
+  return { auth: "legacy", sub: null, scopes: [...LEGACY_SCOPES], expires_at: null };
+}
+
+export function hasScope(identity, scope) {
+  return Boolean(identity?.scopes?.includes(scope) || identity?.scopes?.includes(SCOPE_ADMIN));
+}
@@ -0,0 +1,154 @@
+import { normalizeText, toUnifiedExam } from "./exam.js";
+import { seededShuffle } from "./random.js";
+
+// Practice exams mixed from every exam asset (topic exams, exam_bank_ap2, fiae_2023).
+// The same seed, filters and assets always yield the same exam, so it can be resumed or shared.
+
+export const COMPOSE_DEFAULT_COUNT = 10;
+export const COMPOSE_MAX_COUNT = 50;
+
+// Topic exam questions carry no points; they count like a short IHK sub-task.
+const UNSCORED_QUESTION_POINTS = 5;
+// AP2 "Entwicklung und Umsetzung von Algorithmen": 100 points in 90 minutes.
+const MINUTES_PER_POINT = 0.9;
+// Prompts sharing at least this share of their words are treated as the same question.
+const NEAR_DUPLICATE_SIMILARITY = 0.9;
+
+const QUESTION_TYPES = ["open", "mc"];
+
+function stringFilter(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim());
+}
+
+// Years are matched as strings ("2023"); a number such as 2023 means the same year.
+function yearFilter(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return stringFilter(items.map((item) => (Number.isInteger(item) ? String(item) : item)));
+}
+
+function optionalPositiveInteger(body, field) {
+  const value = body?.[field];
+  if (value === undefined || value === null) return { ok: true, value: null };
+  if (!Number.isInteger(value) || value < 1) {
+    return { ok: false, detail: `${field} must be a positive integer` };
+  }
+  return { ok: true, value };
+}
+
+// Returns { ok: true, filters } or { ok: false, detail }.
+export function parseComposeFilters(body) {
+  const filters = {
+    topics: stringFilter(body?.topics).map((topic) => topic.toLowerCase()),
+    difficulty: stringFilter(body?.difficulty).map((level) => level.toLowerCase()),
+    keywords: stringFilter(body?.keywords),
+    years: yearFilter(body?.year),
+    types: stringFilter(body?.type).map((type) => type.toLowerCase()),
+  };
+  const unknownTypes = filters.types.filter((type) => !QUESTION_TYPES.includes(type));
+  if (unknownTypes.length) {
+    return { ok: false, detail: `type must be one of ${QUESTION_TYPES.join(", ")}` };
+  }
+  for (const field of ["target_points", "time_budget_minutes", "count"]) {
+    const parsed = optionalPositiveInteger(body, field);
+    if (!parsed.ok) return parsed;
+    filters[field] = parsed.value;
+  }
+  if (filters.count !== null && filters.count > COMPOSE_MAX_COUNT) {
+    return { ok: false, detail: `count must be at most ${COMPOSE_MAX_COUNT}` };
+  }
+  return { ok: true, filters };
+}
+
+function promptWords(prompt) {
+  return new Set(normalizeText(prompt).match(/[\p{L}\p{N}]+/gu) ?? []);
+}
+
+function similarity(left, right) {
+  if (!left.size && !right.size) return 1;
+  let shared = 0;
+  for (const word of left) if (right.has(word)) shared += 1;
+  return shared / (left.size + right.size - shared);
+}
+
+// Keeps the first occurrence, so the pool order (topics.json order) decides which copy stays.
+// Ids are only unique per topic: several topic exams start with "ex01_trace_passes".
+function uniqueQuestions(questions) {
+  const seenIds = new Set();
+  const kept = [];
+  for (const question of questions) {
+    const key = `${question.topic}/${question.id}`;
+    if (typeof question.id !== "string" || !question.id || seenIds.has(key)) continue;
+    const words = promptWords(question.prompt);
+    if (kept.some((other) => similarity(words, other.words) >= NEAR_DUPLICATE_SIMILARITY)) continue;
+    seenIds.add(key);
+    kept.push({ question, words });
+  }
+  return kept.map((entry) => entry.question);
+}
+
+function matchesKeywords(question, keywords) {
+  if (!keywords.length) return true;
+  const tagged = question.keywords.map(normalizeText);
+  const prompt = normalizeText(question.prompt);
+  return keywords.some((keyword) => {
+    const wanted = normalizeText(keyword);
+    return tagged.includes(wanted) || prompt.includes(wanted);
+  });
+}
+
+function matchesFilters(question, filters) {
+  if (filters.difficulty.length && !filters.difficulty.includes(question.difficulty)) return false;
+  if (filters.years.length && !filters.years.includes(question.year)) return false;
+  if (filters.types.length && !filters.types.includes(question.type)) return false;
+  return matchesKeywords(question, filters.keywords);
+}
+
+function questionPoints(question) {
+  return question.points ?? UNSCORED_QUESTION_POINTS;
+}
+
+// A points target and a time budget both cap the exam; the tighter one wins.
+function pointBudget(filters) {
+  const budgets = [];
+  if (filters.target_points !== null) budgets.push(filters.target_points);
+  if (filters.time_budget_minutes !== null) budgets.push(filters.time_budget_minutes / MINUTES_PER_POINT);
+  return budgets.length ? Math.min(...budgets) : null;
+}
+
+function pickQuestions(candidates, filters) {
+  const budget = pointBudget(filters);
+  const count = filters.count ?? (budget === null ? COMPOSE_DEFAULT_COUNT : COMPOSE_MAX_COUNT);
+  const picked = [];
+  let total = 0;
+  for (const question of candidates) {
+    if (picked.length >= count) break;
+    const points = questionPoints(question);
+    if (budget !== null && total + points > budget) continue;
+    picked.push(question);
+    total += points;
+  }
+  return { picked, total };
+}
+
+// `exams` is [{ topic, payload }] in a stable order; the pool is deduplicated before it is
+// shuffled so the seed alone decides the selection.
+export function composeExam(exams, filters, { lang, seed }) {
+  const pool = exams.flatMap(({ topic, payload }) =>
+    toUnifiedExam(payload, { topic, lang }).questions.map((question) => ({ ...question, topic })),
+  );
+  const candidates = uniqueQuestions(pool).filter((question) => matchesFilters(question, filters));
+  const { picked, total } = pickQuestions(seededShuffle(candidates, seed), filters);
+  return {
+    schema_name: "tutor_api.exam.v2",
+    mode: "exam",
+    lang,
+    seed,
+    filters,
+    available_questions: candidates.length,
+    total_points: total,
+    estimated_minutes: Math.round(total * MINUTES_PER_POINT),
+    questions: picked,
+  };
+}
@@ -0,0 +1,96 @@
+// Prerequisite graph between topics and the learning paths through it, both kept by hand in
+// assets/tutor-data/curriculum.json. `prerequisites` maps a topic to the topics to learn first;
+// a path lists the topics it is about, and missing prerequisites are put in front of them.
+
+function prerequisitesOf(curriculum, topic) {
+  const listed = curriculum?.prerequisites?.[topic];
+  return Array.isArray(listed) ? listed : [];
+}
+
+function curriculumPaths(curriculum) {
+  return Array.isArray(curriculum?.paths) ? curriculum.paths : [];
+}
+
+function byName(a, b) {
+  return a.localeCompare(b);
+}
+
+// Returns one message per problem: topics that have no assets and prerequisite cycles.
+export function curriculumProblems(curriculum, knownTopics) {
+  const known = new Set(knownTopics);
+  const problems = [];
+  const prerequisites = curriculum?.prerequisites ?? {};
+  for (const [topic, required] of Object.entries(prerequisites)) {
+    if (!known.has(topic)) problems.push(`prerequisites: unknown topic ${topic}`);
+    if (!Array.isArray(required)) {
+      problems.push(`prerequisites/${topic}: expected a list of topics`);
+      continue;
+    }
+    for (const other of required) {
+      if (!known.has(other)) problems.push(`prerequisites/${topic}: unknown topic ${other}`);
+    }
+  }
+  for (const path of curriculumPaths(curriculum)) {
+    const topics = Array.isArray(path?.topics) ? path.topics : [];
+    if (!topics.length) problems.push(`paths/${path?.id}: no topics`);
+    for (const topic of topics) {
+      if (!known.has(topic)) problems.push(`paths/${path?.id}: unknown topic ${topic}`);
+    }
+  }
+
+  // Depth-first search; reaching a topic that is still on the stack closes a cycle.
+  const done = new Set();
+  const stack = [];
+  const visit = (topic) => {
+    if (done.has(topic)) return;
+    const onStack = stack.indexOf(topic);
+    if (onStack !== -1) {
+      problems.push(`prerequisites: cycle ${[...stack.slice(onStack), topic].join(" → ")}`);
+      return;
+    }
+    stack.push(topic);
+    for (const other of prerequisitesOf(curriculum, topic)) visit(other);
+    stack.pop();
+    done.add(topic);
+  };
+  for (const topic of Object.keys(prerequisites)) visit(topic);
+  return problems;
+}
+
+// `topics` plus everything they depend on, each topic after its prerequisites. Ties keep the
+// listed order. Assumes an acyclic graph (see curriculumProblems); a cycle is cut where it closes.
+export function orderTopics(curriculum, topics) {
+  const ordered = [];
+  const seen = new Set();
+  const visit = (topic) => {
+    if (seen.has(topic)) return;
+    seen.add(topic);
+    for (const other of prerequisitesOf(curriculum, topic)) visit(other);
+    ordered.push(topic);
+  };
+  for (const topic of topics) visit(topic);
+  return ordered;
+}
+
+export function learningPaths(curriculum) {
+  return curriculumPaths(curriculum).map((path) => ({
+    id: path.id,
+    titles: path.titles ?? {},
+    topics: orderTopics(curriculum, Array.isArray(path.topics) ? path.topics : []),
+  }));
+}
+
+// Direct neighbours in the graph (`prerequisites`, `unlocks`), the paths that go through the
+// topic and the other topics on them (`related`).
+export function topicRelations(curriculum, topic) {
+  const prerequisites = [...prerequisitesOf(curriculum, topic)];
+  const unlocks = Object.keys(curriculum?.prerequisites ?? {})
+    .filter((other) => prerequisitesOf(curriculum, other).includes(topic))
+    .sort(byName);
+  const paths = learningPaths(curriculum).filter((path) => path.topics.includes(topic));
+  const neighbours = new Set([topic, ...prerequisites, ...unlocks]);
+  const related = Array.from(new Set(paths.flatMap((path) => path.topics)))
+    .filter((other) => !neighbours.has(other))
+    .sort(byName);
+  return { prerequisites, unlocks, related, paths: paths.map((path) => path.id) };
+}
@@ -0,0 +1,260 @@
+import { SUPPORTED_LANGS } from "./locale.js";
+
+const SOLUTION_FIELDS = [
+  "answer",
+  "answer_short",
+  "answer_long",
+  "pseudocode",
+  "complexity",
+  "scoring_guide",
+  "explain_de",
+  "explain_fa",
+  "explain",
+];
+
+const UMLAUTS = { ä: "ae", ö: "oe", ü: "ue", ß: "ss" };
+
+// ─── Answer normalization ─────────────────────────────────────────────────────
+
+function normalizeDigits(text) {
+  return text
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660));
+}
+
+export function normalizeText(value) {
+  return normalizeDigits(String(value ?? "").normalize("NFKC"))
+    .toLowerCase()
+    .replace(/[äöüß]/g, (ch) => UMLAUTS[ch])
+    .replace(/[؛]/g, ";")
+    .replace(/[،]/g, ",")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function compactText(value) {
+  return normalizeText(value)
+    .replace(/\s*([[\](){},;:=<>+\-*/])\s*/g, "$1")
+    .replace(/[.!]+$/, "");
+}
+
+function parseNumber(value) {
+  const text = normalizeText(value);
+  if (!/^-?\d+(?:[.,]\d+)?$/.test(text)) return null;
+  return Number(text.replace(",", "."));
+}
+
+// Lists like "[1, 2,4 ,5]" and standalone numbers ("2 Swaps") in text order.
+// Numbers used as labels ("Pass 0:") and array indices ("arr[0]") are ignored.
+const DATA_TOKEN_PATTERN =
+  /(?<![\w\]])\[\s*(-?\d+(?:\.\d+)?(?:\s*,\s*-?\d+(?:\.\d+)?)*)?\s*\]|(?<![\w.[])(-?\d+(?:\.\d+)?)(?![\w.]|\s*:)/g;
+
+function dataSignature(value) {
+  const tokens = [];
+  let hasList = false;
+  for (const match of normalizeText(value).matchAll(DATA_TOKEN_PATTERN)) {
+    if (match[0].startsWith("[")) {
+      hasList = true;
+      const items = (match[1] ?? "").split(",").map((item) => item.trim()).filter(Boolean);
+      tokens.push(`[${items.map(Number).join(",")}]`);
+    } else {
+      tokens.push(String(Number(match[2])));
+    }
+  }
+  return { tokens, hasList };
+}
+
+function matchesOpenAnswer(given, expected) {
+  if (compactText(given) === compactText(expected)) return true;
+
+  const expectedNumber = parseNumber(expected);
+  if (expectedNumber !== null) {
+    const givenNumber = parseNumber(given);
+    return givenNumber !== null && Math.abs(givenNumber - expectedNumber) < 1e-9;
+  }
+
+  const expectedSignature = dataSignature(expected);
+  if (!expectedSignature.hasList) return false;
+  const givenSignature = dataSignature(given);
+  return (
+    givenSignature.tokens.length === expectedSignature.tokens.length &&
+    givenSignature.tokens.every((token, index) => token === expectedSignature.tokens[index])
+  );
+}
+
+// ─── Multiple choice ──────────────────────────────────────────────────────────
+
+function choiceKey(choice, index) {
+  if (choice && typeof choice === "object") {
+    const key = choice.id ?? choice.key;
+    if (typeof key === "string" && key.trim()) return key.trim();
+  }
+  return String.fromCharCode(65 + index);
+}
+
+function choiceText(choice) {
+  if (typeof choice === "string") return choice;
+  if (choice && typeof choice === "object") {
+    return String(choice.text ?? choice.label ?? "");
+  }
+  return "";
+}
+
+function resolveChoice(choices, value) {
+  const normalized = compactText(value);
+  if (!normalized) return "";
+  for (let index = 0; index < choices.length; index += 1) {
+    const key = choiceKey(choices[index], index);
+    if (compactText(key) === normalized || compactText(choiceText(choices[index])) === normalized) {
+      return key;
+    }
+  }
+  return normalized;
+}
+
+function matchesChoiceAnswer(question, given, expected) {
+  const choices = Array.isArray(question.choices) ? question.choices : [];
+  return resolveChoice(choices, given) === resolveChoice(choices, expected);
+}
+
+// tutor_asset.exam.v2 marks the correct choice; `answer` wins when both are present.
+function expectedAnswer(question) {
+  const answer = typeof question.answer === "string" ? question.answer.trim() : "";
+  if (answer || question.type !== "mc" || !Array.isArray(question.choices)) return answer;
+  const index = question.choices.findIndex((choice) => choice?.correct === true);
+  return index === -1 ? "" : choiceKey(question.choices[index], index);
+}
+
+// ─── Exam payloads ────────────────────────────────────────────────────────────
+
+function examQuestions(payload) {
+  return Array.isArray(payload?.questions)
+    ? payload.questions.filter((question) => question && typeof question === "object")
+    : [];
+}
+
+function stringField(value) {
+  return typeof value === "string" ? value : "";
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === "string") : [];
+}
+
+// Explanations as { de, fa, en }. Synced assets carry an `explain` map; older assets and the
+// IHK banks only have `explain_de`/`explain_fa`.
+function localizedExplain(question) {
+  return Object.fromEntries(
+    SUPPORTED_LANGS.map((lang) => [
+      lang,
+      stringField(question?.explain?.[lang]) || stringField(question?.[`explain_${lang}`]),
+    ]),
+  );
+}
+
+// One question shape for topic exams (tutor_asset.exam.v1/v2) and the IHK banks
+// (exam_bank.de.v2.full): v1 questions only have `answer`, which becomes `answer_short`;
+// the explanation in the requested language (else German) serves as `answer_long`.
+function toUnifiedQuestion(question, lang) {
+  const explain = localizedExplain(question);
+  const explanation = explain[lang] || explain.de;
+  const answerShort = stringField(question.answer_short) || stringField(question.answer);
+  const points = Number.isFinite(question.points) ? question.points : question.scoring_guide?.max_points;
+  const unified = {
+    id: question.id,
+    type: question.type === "mc" ? "mc" : "open",
+    prompt: stringField(question.prompt),
+    answer_short: answerShort,
+    answer_long: stringField(question.answer_long) || explanation || answerShort,
+    points: Number.isFinite(points) ? points : null,
+    difficulty: typeof question.difficulty === "string" ? question.difficulty : null,
+    year: typeof question.year === "string" ? question.year : null,
+    explain_de: explain.de,
+    explain_fa: explain.fa,
+    explain,
+    keywords: stringList(question.keywords),
+    traps: stringList(question.traps),
+  };
+  if (Array.isArray(question.choices)) unified.choices = question.choices;
+  for (const field of ["pseudocode", "complexity", "scoring_guide", "source", "generated", "input"]) {
+    if (question[field]) unified[field] = question[field];
+  }
+  return unified;
+}
+
+export function toUnifiedExam(payload, { topic, lang }) {
+  const years = stringList(payload?.years_covered);
+  return {
+    schema_name: "tutor_api.exam.v2",
+    source_schema: typeof payload?.schema_name === "string" ? payload.schema_name : null,
+    topic,
+    lang: typeof payload?.lang === "string" ? payload.lang : lang,
+    mode: "exam",
+    title: stringField(payload?.title) || stringField(payload?.doc_title),
+    years: years.length ? years : null,
+    ...(payload?.generated ? { generated: true, seed: payload.seed } : {}),
+    questions: examQuestions(payload).map((question) => toUnifiedQuestion(question, lang)),
+  };
+}
+
+export function toStudentExam(payload) {
+  return {
+    ...payload,
+    view: "student",
+    questions: examQuestions(payload).map((question) => {
+      const stripped = { ...question };
+      for (const field of SOLUTION_FIELDS) {
+        delete stripped[field];
+      }
+      if (Array.isArray(stripped.choices)) {
+        stripped.choices = stripped.choices.map((choice) => {
+          if (!choice || typeof choice !== "object") return choice;
+          const { correct, ...shown } = choice;
+          return shown;
+        });
+      }
+      return stripped;
+    }),
+  };
+}
+
+function gradeQuestion(question, given) {
+  const expected = expectedAnswer(question);
+  if (!expected) return "ungraded";
+  if (typeof given !== "string" && typeof given !== "number") return "unanswered";
+  if (!String(given).trim()) return "unanswered";
+
+  const isCorrect = question.type === "mc"
+    ? matchesChoiceAnswer(question, String(given), expected)
+    : matchesOpenAnswer(String(given), expected);
+  return isCorrect ? "correct" : "incorrect";
+}
+
+export function gradeExam(payload, answers) {
+  const results = examQuestions(payload).map((question) => {
+    const given = answers?.[question.id];
+    return {
+      id: question.id,
+      type: question.type,
+      verdict: gradeQuestion(question, given),
+      given: given ?? null,
+      expected: expectedAnswer(question),
+      explain_de: typeof question.explain_de === "string" ? question.explain_de : "",
+      explain_fa: typeof question.explain_fa === "string" ? question.explain_fa : "",
+      explain: localizedExplain(question),
+    };
+  });
+
+  const graded = results.filter((result) => result.verdict !== "ungraded");
+  const correct = graded.filter((result) => result.verdict === "correct").length;
+
+  return {
+    results,
+    score: {
+      correct,
+      graded: graded.length,
+      total: results.length,
+      percent: graded.length ? Math.round((correct / graded.length) * 1000) / 10 : 0,
+    },
+  };
+}
@@ -0,0 +1,138 @@
+import { SUPPORTED_LANGS, textDirection } from "./locale.js";
+
+// Per-field language fallback for run assets. Many files exist in the requested language but
+// leave single fields empty (exam `explain_fa: ""`, pseudocode `explain_variant.de: ""`); those
+// are filled along a fallback chain and every substitution is listed in a manifest.
+
+// Every chain ends in the remaining languages, so an empty field is shown in some language (and
+// flagged in the manifest) rather than left blank.
+export const DEFAULT_LANG_FALLBACKS = { fa: ["de", "en"], de: ["en", "fa"], en: ["de", "fa"] };
+
+const LANG_PATTERN = /^[a-z]{2}$/;
+const SUFFIXED_FIELD = /^(.+)_([a-z]{2})$/;
+
+// LANG_FALLBACKS overrides single chains, e.g. {"fa": ["en", "de"]}.
+export function resolveFallbackChain(env, lang) {
+  let overrides = {};
+  try {
+    overrides = env.LANG_FALLBACKS ? JSON.parse(env.LANG_FALLBACKS) : {};
+  } catch {
+    overrides = {};
+  }
+  const configured = Array.isArray(overrides?.[lang]) ? overrides[lang] : DEFAULT_LANG_FALLBACKS[lang] ?? [];
+  const chain = [lang];
+  for (const fallback of configured) {
+    if (typeof fallback === "string" && LANG_PATTERN.test(fallback) && !chain.includes(fallback)) {
+      chain.push(fallback);
+    }
+  }
+  return chain;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// The topics.json availability ({ topic: { lang: [modes] } }) as /v1/run serves it: every mode
+// found along a language's chain counts, so German-only topics are listed under `en` as well.
+// Languages whose chain has no files (and bundles, which list no modes) are left as they are.
+export function servedAvailability(env, availability) {
+  return Object.fromEntries(
+    Object.entries(availability).map(([topic, modesByLang]) => {
+      if (!isPlainObject(modesByLang)) return [topic, modesByLang];
+      const served = { ...modesByLang };
+      for (const lang of SUPPORTED_LANGS) {
+        const modes = resolveFallbackChain(env, lang).flatMap((chainLang) =>
+          Array.isArray(modesByLang[chainLang]) ? modesByLang[chainLang] : [],
+        );
+        if (modes.length) served[lang] = Array.from(new Set(modes)).sort();
+      }
+      return [topic, served];
+    }),
+  );
+}
+
+// Only text is filled. An empty list (`questions: []`) means the file has no items in that
+// language; taking another language's items would serve a foreign exam under the requested one.
+function isEmpty(value) {
+  return typeof value === "string" && !value.trim();
+}
+
+function isFilledText(candidate) {
+  return typeof candidate === "string" && !isEmpty(candidate);
+}
+
+// The text keeps the direction of the language it came from, which may differ from the page's.
+function substitution(path, from) {
+  return { path, from, direction: textDirection(from) };
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replaceAll("~", "~0").replaceAll("/", "~1")}`;
+}
+
+// Questions and variants are matched by id, so reordered files still line up.
+function alignedItem(list, item, index) {
+  if (!Array.isArray(list)) return undefined;
+  if (typeof item?.id === "string") return list.find((other) => other?.id === item.id);
+  return list[index];
+}
+
+// Candidates for an empty field, in chain order. Language-specific fields ("explain_fa",
+// {"de": ..., "fa": ...}) take the fallback language's sibling first, then the same field in
+// the fallback file; other fields come from the fallback file. Fields of another language
+// than the requested one are left alone.
+function candidates(node, key, sources, lang) {
+  const known = Object.keys(DEFAULT_LANG_FALLBACKS);
+  const langs = new Set([lang, ...sources.map((source) => source.lang), ...known]);
+  const suffixed = key.match(SUFFIXED_FIELD);
+  const isLangKey = langs.has(key) && Object.keys(node).some((other) => other !== key && langs.has(other));
+  if (isLangKey || (suffixed && langs.has(suffixed[2]))) {
+    const fieldLang = isLangKey ? key : suffixed[2];
+    if (fieldLang !== lang) return [];
+    const sibling = (fallbackLang) => (isLangKey ? fallbackLang : `${suffixed[1]}_${fallbackLang}`);
+    return sources.flatMap(({ lang: from, node: source }) => [
+      { from, value: node[sibling(from)] },
+      { from, value: source?.[sibling(from)] },
+    ]);
+  }
+  return sources.map(({ lang: from, node: source }) => ({ from, value: source?.[key] }));
+}
+
+function merge(node, sources, lang, path, manifest) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) => {
+      const aligned = sources.map((source) => ({ ...source, node: alignedItem(source.node, item, index) }));
+      return merge(item, aligned, lang, pointer(path, index), manifest);
+    });
+  }
+  if (!isPlainObject(node)) return node;
+
+  const merged = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (isEmpty(value)) {
+      const options = candidates(node, key, sources, lang);
+      const filled = options.find((candidate) => isFilledText(candidate.value));
+      if (filled) {
+        merged[key] = filled.value;
+        manifest.push(substitution(pointer(path, key), filled.from));
+        continue;
+      }
+    }
+    const aligned = sources.map((source) => ({ ...source, node: source.node?.[key] }));
+    merged[key] = merge(value, aligned, lang, pointer(path, key), manifest);
+  }
+  return merged;
+}
+
+// `documents` is [{ lang, payload }] in chain order, starting with the requested language
+// (or the first language in the chain that has a file). Returns { payload, fallbacks }.
+export function mergeLanguageFallbacks(documents, lang) {
+  const [primary] = documents;
+  const fallbacks = primary.lang === lang ? [] : [substitution("", primary.lang)];
+  const sources = documents
+    .filter((document) => document.lang !== lang)
+    .map(({ lang: from, payload }) => ({ lang: from, node: payload }));
+  const payload = merge(primary.payload, sources, lang, "", fallbacks);
+  return { payload, fallbacks };
+}
@@ -0,0 +1,491 @@
+import { seededRandom, shuffleWith } from "./random.js";
+import { buildTrace } from "./trace.js";
+
+// Generated exam items for the algorithm topics. Inputs are drawn from a seed, prompts are
+// filled in DE and FA, and answers and explanations come from the trace reference
+// implementations, so a learner gets fresh data every round instead of memorized answers.
+
+const TITLES = {
+  bubblesort: { de: "BubbleSort", fa: "BubbleSort" },
+  selectionsort: { de: "SelectionSort", fa: "SelectionSort" },
+  insertionsort: { de: "InsertionSort", fa: "InsertionSort" },
+  binarysearch: { de: "Binäre Suche", fa: "جستجوی دودویی" },
+  linearsearch: { de: "Lineare Suche", fa: "جستجوی خطی" },
+  minmax_avg: { de: "Minimum, Maximum, Durchschnitt", fa: "کمینه، بیشینه، میانگین" },
+  checksum: { de: "Prüfziffer", fa: "رقم کنترلی" },
+};
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function distinctValues(random, count, min, max) {
+  const pool = Array.from({ length: max - min + 1 }, (_, index) => min + index);
+  return shuffleWith(random, pool).slice(0, count);
+}
+
+// Prompts show arrays spaced like the authored assets ("arr = [5, 1, 4, 2]"), answers compact.
+function shown(values) {
+  return `[${values.join(", ")}]`;
+}
+
+function list(values) {
+  return `[${values.join(",")}]`;
+}
+
+// Inputs are generated within the tracer limits, so tracing cannot fail here.
+function trace(topic, variant, input) {
+  return buildTrace({ topic, lang: "de", variant, input }).trace;
+}
+
+// Splits sorting steps at each "pass" step: [{ i, steps, array }].
+function passes(steps) {
+  const result = [];
+  let current = [];
+  for (const step of steps) {
+    if (step.kind === "pass") {
+      result.push({ i: step.vars.i, steps: current, array: step.array });
+      current = [];
+    } else {
+      current.push(step);
+    }
+  }
+  return result;
+}
+
+function countSteps(steps, kind) {
+  return steps.filter((step) => step.kind === kind).length;
+}
+
+function passStatesAnswer(sorted, separator) {
+  return sorted.map((pass) => `Pass${pass.i}: ${list(pass.array)}`).join(`${separator} `);
+}
+
+function comparisonSum(sorted) {
+  const perPass = sorted.map((pass) => countSteps(pass.steps, "compare"));
+  return `${perPass.join(" + ")} = ${perPass.reduce((sum, count) => sum + count, 0)}`;
+}
+
+function sortingPrompt(name, array, lastPass, firstPass = 0) {
+  return {
+    de:
+      `Führe ${name} auf arr = ${shown(array)} aus. ` +
+      `Gib den Array-Zustand nach jedem Pass i=${firstPass}..${lastPass} an.`,
+    fa:
+      `${name} را روی arr = ${shown(array)} اجرا کن ` +
+      `و وضعیت آرایه را بعد از هر پاس i=${firstPass}..${lastPass} بنویس.`,
+  };
+}
+
+function comparisonsQuestion(name, array, sorted, variantDe, variantFa) {
+  const total = sorted.reduce((sum, pass) => sum + countSteps(pass.steps, "compare"), 0);
+  return {
+    kind: "comparison_count",
+    input: { array },
+    prompt: {
+      de: `Wie viele Vergleiche macht ${name} (${variantDe}) auf arr = ${shown(array)}?`,
+      fa: `${name} (${variantFa}) روی arr = ${shown(array)} چند مقایسه انجام می‌دهد؟`,
+    },
+    answer: { de: String(total), fa: String(total) },
+    explain: {
+      de: `Vergleiche pro Pass: ${comparisonSum(sorted)}.`,
+      fa: `مقایسه‌ها در هر پاس: ${comparisonSum(sorted)}.`,
+    },
+  };
+}
+
+// Swap explanations name the compared pair, like "(5,1) tauschen -> [1,5,4,2]".
+function bubbleSwaps(pass, lang) {
+  const parts = [];
+  pass.steps.forEach((step, index) => {
+    if (step.kind !== "swap") return;
+    const [left, right] = pass.steps[index - 1].values;
+    const pair = `(${left},${right})`;
+    const after = list(step.array);
+    parts.push(lang === "fa" ? `${pair} جابه‌جا → ${after}` : `${pair} tauschen -> ${after}`);
+  });
+  if (parts.length) return parts.join(lang === "fa" ? "، " : ", ");
+  return lang === "fa" ? "بدون جابه‌جایی" : "keine Vertauschung";
+}
+
+function bubbleSortQuestions(random) {
+  const array = distinctValues(random, randomInt(random, 4, 6), 1, 30);
+  const sorted = passes(trace("bubblesort", "classic_full", { array }).steps);
+  const swapArray = distinctValues(random, 5, 1, 30);
+  const [firstPass] = passes(trace("bubblesort", "classic_full", { array: swapArray }).steps);
+  const swaps = countSteps(firstPass.steps, "swap");
+  return [
+    {
+      kind: "pass_states",
+      input: { array },
+      prompt: sortingPrompt("BubbleSort", array, sorted.length - 1),
+      answer: { de: passStatesAnswer(sorted, ";"), fa: passStatesAnswer(sorted, "؛") },
+      explain: {
+        de: sorted.map((pass) => `Pass${pass.i}: ${bubbleSwaps(pass, "de")}.`).join(" "),
+        fa: sorted.map((pass) => `پاس${pass.i}: ${bubbleSwaps(pass, "fa")}.`).join(" "),
+      },
+    },
+    {
+      kind: "swap_count",
+      input: { array: swapArray },
+      prompt: {
+        de:
+          `Wie viele Swaps macht BubbleSort im ersten Pass (i=0) auf arr = ${shown(swapArray)}, ` +
+          "und wie sieht das Array danach aus?",
+        fa: `در پاس اول BubbleSort روی arr = ${shown(swapArray)} چند Swap داریم و آرایه بعد از پاس۰ چیست؟`,
+      },
+      answer: {
+        de: `${swaps} Swaps, ${list(firstPass.array)}`,
+        fa: `${swaps} Swap، حالت ${list(firstPass.array)}`,
+      },
+      explain: { de: `${bubbleSwaps(firstPass, "de")}.`, fa: `${bubbleSwaps(firstPass, "fa")}.` },
+    },
+    comparisonsQuestion("BubbleSort", array, sorted, "klassisch, ohne Early-Exit", "کلاسیک، بدون Early-Exit"),
+  ];
+}
+
+function selectionPass(pass, lang) {
+  const swap = pass.steps.find((step) => step.kind === "swap");
+  if (!swap) {
+    return lang === "fa" ? "کمینه از قبل در جای درست است" : `Minimum steht schon an Index ${pass.i}`;
+  }
+  const { minIndex } = swap.vars;
+  const value = swap.array[pass.i];
+  return lang === "fa"
+    ? `کمینه ${value} (اندیس ${minIndex}) ↔ اندیس ${pass.i} → ${list(swap.array)}`
+    : `Minimum ${value} (Index ${minIndex}) mit Index ${pass.i} tauschen -> ${list(swap.array)}`;
+}
+
+function selectionSortQuestions(random) {
+  const array = distinctValues(random, randomInt(random, 4, 6), 1, 30);
+  const sorted = passes(trace("selectionsort", "classic_int_asc", { array }).steps);
+  const swapArray = distinctValues(random, 6, 1, 30);
+  const swapPasses = passes(trace("selectionsort", "classic_int_asc", { array: swapArray }).steps);
+  const swaps = swapPasses.reduce((sum, pass) => sum + countSteps(pass.steps, "swap"), 0);
+  return [
+    {
+      kind: "pass_states",
+      input: { array },
+      prompt: sortingPrompt("SelectionSort", array, sorted.length - 1),
+      answer: { de: passStatesAnswer(sorted, ";"), fa: passStatesAnswer(sorted, "؛") },
+      explain: {
+        de: sorted.map((pass) => `Pass${pass.i}: ${selectionPass(pass, "de")}.`).join(" "),
+        fa: sorted.map((pass) => `پاس${pass.i}: ${selectionPass(pass, "fa")}.`).join(" "),
+      },
+    },
+    {
+      kind: "swap_count",
+      input: { array: swapArray },
+      prompt: {
+        de:
+          `Wie viele Swaps macht SelectionSort insgesamt auf arr = ${shown(swapArray)}? ` +
+          "(Getauscht wird nur, wenn minIndex ≠ i.)",
+        fa:
+          `SelectionSort روی arr = ${shown(swapArray)} در مجموع چند Swap انجام می‌دهد؟ ` +
+          "(فقط وقتی minIndex ≠ i جابه‌جا می‌شود.)",
+      },
+      answer: { de: String(swaps), fa: String(swaps) },
+      explain: {
+        de: swapPasses.map((pass) => `Pass${pass.i}: ${selectionPass(pass, "de")}.`).join(" "),
+        fa: swapPasses.map((pass) => `پاس${pass.i}: ${selectionPass(pass, "fa")}.`).join(" "),
+      },
+    },
+    comparisonsQuestion("SelectionSort", array, sorted, "klassisch", "کلاسیک"),
+  ];
+}
+
+function insertionPass(pass, lang) {
+  const insert = pass.steps.find((step) => step.kind === "insert");
+  const shifts = countSteps(pass.steps, "shift");
+  const [target] = insert.indices;
+  return lang === "fa"
+    ? `key=${insert.vars.key}، ${shifts} Shift، درج در اندیس ${target} → ${list(insert.array)}`
+    : `key=${insert.vars.key}, ${shifts} Shift(s), an Index ${target} einfügen -> ${list(insert.array)}`;
+}
+
+function insertionSortQuestions(random) {
+  const array = distinctValues(random, randomInt(random, 4, 6), 1, 30);
+  const sorted = passes(trace("insertionsort", "classic_int_asc", { array }).steps);
+  const shiftArray = distinctValues(random, 6, 1, 30);
+  const shiftPasses = passes(trace("insertionsort", "classic_int_asc", { array: shiftArray }).steps);
+  const perPass = shiftPasses.map((pass) => countSteps(pass.steps, "shift"));
+  const shifts = perPass.reduce((sum, count) => sum + count, 0);
+  return [
+    {
+      kind: "pass_states",
+      input: { array },
+      prompt: sortingPrompt("InsertionSort", array, array.length - 1, 1),
+      answer: { de: passStatesAnswer(sorted, ";"), fa: passStatesAnswer(sorted, "؛") },
+      explain: {
+        de: sorted.map((pass) => `Pass${pass.i}: ${insertionPass(pass, "de")}.`).join(" "),
+        fa: sorted.map((pass) => `پاس${pass.i}: ${insertionPass(pass, "fa")}.`).join(" "),
+      },
+    },
+    {
+      kind: "shift_count",
+      input: { array: shiftArray },
+      prompt: {
+        de:
+          `Wie oft verschiebt InsertionSort auf arr = ${shown(shiftArray)} ` +
+          "insgesamt ein Element nach rechts (Shifts)?",
+        fa:
+          `InsertionSort روی arr = ${shown(shiftArray)} ` +
+          "در مجموع چند بار یک عنصر را به راست جابه‌جا (Shift) می‌کند؟",
+      },
+      answer: { de: String(shifts), fa: String(shifts) },
+      explain: {
+        de: `Shifts pro Pass: ${perPass.join(" + ")} = ${shifts}.`,
+        fa: `Shift در هر پاس: ${perPass.join(" + ")} = ${shifts}.`,
+      },
+    },
+    comparisonsQuestion("InsertionSort", array, sorted, "klassisch", "کلاسیک"),
+  ];
+}
+
+function binarySearchSteps(steps, lang) {
+  const parts = [];
+  for (const step of steps) {
+    if (step.kind !== "compare") continue;
+    const { links, rechts, mid } = step.vars;
+    const [value, target] = step.values;
+    const relation = { eq: "=", lt: "<", gt: ">" }[step.result];
+    parts.push(`links=${links}, rechts=${rechts} -> mid=${mid} (${value} ${relation} ${target})`);
+  }
+  const found = steps.at(-1).value;
+  if (found !== -1) parts.push(lang === "fa" ? `پیدا شد، اندیس ${found}` : `gefunden, Index ${found}`);
+  else parts.push(lang === "fa" ? "links > rechts → پیدا نشد (-1)" : "links > rechts -> nicht gefunden (-1)");
+  return `${parts.join("; ")}.`;
+}
+
+function binarySearchQuestion(kind, array, target) {
+  const traced = trace("binarysearch", "classic_iterative", { array, target });
+  const mids = traced.steps.filter((step) => step.kind === "compare").map((step) => step.vars.mid);
+  return {
+    kind,
+    input: { array, target },
+    prompt: {
+      de:
+        "Führe die binäre Suche (links=0, rechts=n-1, mid=(links+rechts) DIV 2) " +
+        `auf arr = ${shown(array)} mit target = ${target} aus. ` +
+        "Gib die Folge der mid-Indizes und das Ergebnis (Index oder -1) an.",
+      fa:
+        "جستجوی دودویی (links=0، rechts=n-1، mid=(links+rechts) DIV 2) " +
+        `را روی arr = ${shown(array)} با target = ${target} اجرا کن. ` +
+        "دنباله‌ی اندیس‌های mid و نتیجه (اندیس یا -1) را بنویس.",
+    },
+    answer: { de: `mid: ${list(mids)}; ${traced.result}`, fa: `mid: ${list(mids)}؛ ${traced.result}` },
+    explain: { de: binarySearchSteps(traced.steps, "de"), fa: binarySearchSteps(traced.steps, "fa") },
+  };
+}
+
+function binarySearchQuestions(random) {
+  const array = distinctValues(random, randomInt(random, 7, 10), 1, 60).sort((a, b) => a - b);
+  // Skip the first mid so the hit takes more than one step.
+  const firstMid = Math.floor((array.length - 1) / 2);
+  const hits = array.filter((_, index) => index !== firstMid);
+  const target = hits[randomInt(random, 0, hits.length - 1)];
+  const gaps = Array.from({ length: 61 }, (_, value) => value).filter((value) => !array.includes(value));
+  const missing = gaps[randomInt(random, 0, gaps.length - 1)];
+  return [
+    binarySearchQuestion("search_index", array, target),
+    binarySearchQuestion("search_miss", array, missing),
+  ];
+}
+
+function linearSearchQuestions(random) {
+  const array = Array.from({ length: randomInt(random, 6, 8) }, () => randomInt(random, 1, 9));
+  const present = random() < 0.75;
+  const absent = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter((value) => !array.includes(value));
+  const target = present || !absent.length ? array[randomInt(random, 0, array.length - 1)] : absent[0];
+  const traced = trace("linearsearch", "first_hit", { array, target });
+  const comparisons = traced.stats.comparisons;
+  const explainDe =
+    traced.result === -1
+      ? `Alle ${comparisons} Elemente verglichen, kein Treffer -> -1.`
+      : `i=0..${traced.result} verglichen; arr[${traced.result}] = ${target} ist der erste Treffer.`;
+  const explainFa =
+    traced.result === -1
+      ? `هر ${comparisons} عنصر مقایسه شد و پیدا نشد → -1.`
+      : `i=0..${traced.result} مقایسه شد؛ arr[${traced.result}] = ${target} اولین یافته است.`;
+  return [
+    {
+      kind: "search_index",
+      input: { array, target },
+      prompt: {
+        de:
+          `Lineare Suche auf arr = ${shown(array)} mit target = ${target}: ` +
+          "An welchem Index liegt der erste Treffer? (-1, wenn nicht enthalten)",
+        fa:
+          `جستجوی خطی روی arr = ${shown(array)} با target = ${target}: ` +
+          "اندیس اولین یافته چیست؟ (اگر نبود -1)",
+      },
+      answer: { de: String(traced.result), fa: String(traced.result) },
+      explain: { de: explainDe, fa: explainFa },
+    },
+    {
+      kind: "comparison_count",
+      input: { array, target },
+      prompt: {
+        de:
+          "Wie viele Vergleiche mit target macht die lineare Suche (Abbruch beim ersten Treffer) " +
+          `auf arr = ${shown(array)} mit target = ${target}?`,
+        fa:
+          `جستجوی خطی (توقف در اولین یافته) روی arr = ${shown(array)} با target = ${target} ` +
+          "چند مقایسه با target انجام می‌دهد؟",
+      },
+      answer: { de: String(comparisons), fa: String(comparisons) },
+      explain: { de: explainDe, fa: explainFa },
+    },
+  ];
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function minMaxQuestions(random) {
+  const array = Array.from({ length: randomInt(random, 5, 7) }, () => randomInt(random, -9, 30));
+  const traced = trace("minmax_avg", "classic_minmax_avg", { array });
+  const { min, max, avg } = traced.result;
+  const sum = array.reduce((total, value) => total + value, 0);
+  const comparisons = traced.stats.comparisons;
+  return [
+    {
+      kind: "min_max",
+      input: { array },
+      prompt: {
+        de:
+          `Bestimme für arr = ${shown(array)} Minimum und Maximum in einem Durchlauf. ` +
+          "Antwort als [min, max].",
+        fa: `برای arr = ${shown(array)} کمینه و بیشینه را در یک پیمایش پیدا کن و به صورت [min, max] بنویس.`,
+      },
+      answer: { de: list([min, max]), fa: list([min, max]) },
+      explain: {
+        de: `min = ${min} (Index ${array.indexOf(min)}), max = ${max} (Index ${array.indexOf(max)}).`,
+        fa: `min = ${min} (اندیس ${array.indexOf(min)})، max = ${max} (اندیس ${array.indexOf(max)}).`,
+      },
+    },
+    {
+      kind: "average",
+      input: { array },
+      prompt: {
+        de: `Berechne den Durchschnitt von arr = ${shown(array)} (auf zwei Nachkommastellen gerundet).`,
+        fa: `میانگین arr = ${shown(array)} را حساب کن (تا دو رقم اعشار گرد کن).`,
+      },
+      answer: { de: String(round2(avg)), fa: String(round2(avg)) },
+      explain: {
+        de: `Summe = ${sum}, n = ${array.length} -> ${sum} / ${array.length} = ${round2(avg)}.`,
+        fa: `مجموع = ${sum}، n = ${array.length} → ${sum} / ${array.length} = ${round2(avg)}.`,
+      },
+    },
+    {
+      kind: "comparison_count",
+      input: { array },
+      prompt: {
+        de:
+          "Wie viele Vergleiche macht die klassische Schleife i=0..n-1 mit zwei IFs (min und max) " +
+          `auf arr = ${shown(array)}?`,
+        fa:
+          `حلقه‌ی کلاسیک i=0..n-1 با دو IF (برای min و max) روی arr = ${shown(array)} ` +
+          "چند مقایسه انجام می‌دهد؟",
+      },
+      answer: { de: String(comparisons), fa: String(comparisons) },
+      explain: {
+        de: `Zwei Vergleiche pro Element: 2 · ${array.length} = ${comparisons}.`,
+        fa: `برای هر عنصر دو مقایسه: 2 · ${array.length} = ${comparisons}.`,
+      },
+    },
+  ];
+}
+
+function checksumExplain(traced) {
+  const digits = traced.steps.filter((step) => step.kind === "assign").map((step) => step.vars.digit);
+  const { sum } = traced.steps.at(-1).vars;
+  return `s = ${digits.join(" + ")} = ${sum} -> (10 - ${sum % 10}) % 10 = ${traced.result}.`;
+}
+
+function checksumQuestions(random) {
+  const digits = (length) => Array.from({ length }, () => randomInt(random, 0, 9)).join("");
+  const plainCode = digits(randomInt(random, 5, 8));
+  const luhnCode = digits(randomInt(random, 5, 8));
+  const plain = trace("checksum", "checksum_mod_10", { code: plainCode });
+  const luhn = trace("checksum", "checksum_luhn_like", { code: luhnCode });
+  return [
+    {
+      kind: "check_digit",
+      input: { code: plainCode },
+      prompt: {
+        de:
+          `Berechne die Prüfziffer zu code = "${plainCode}": ` +
+          "s = Summe aller Ziffern, Prüfziffer = (10 - s % 10) % 10.",
+        fa:
+          `رقم کنترلی را برای code = "${plainCode}" حساب کن: ` +
+          "s = مجموع همه‌ی ارقام، رقم کنترلی = (10 - s % 10) % 10.",
+      },
+      answer: { de: String(plain.result), fa: String(plain.result) },
+      explain: { de: checksumExplain(plain), fa: checksumExplain(plain).replace("->", "→") },
+    },
+    {
+      kind: "luhn_check_digit",
+      input: { code: luhnCode },
+      prompt: {
+        de:
+          `Berechne die Luhn-Prüfziffer zu code = "${luhnCode}": Ziffern von rechts durchlaufen, ` +
+          "jede Ziffer an gerader Position (0, 2, …; Position 0 ist die letzte Ziffer) verdoppeln " +
+          "und bei > 9 minus 9 rechnen; s = Summe, Prüfziffer = (10 - s % 10) % 10.",
+        fa:
+          `رقم کنترلی Luhn را برای code = "${luhnCode}" حساب کن: ارقام را از راست پیمایش کن، ` +
+          "هر رقم در موقعیت زوج (0، 2، …؛ موقعیت 0 آخرین رقم است) را دو برابر کن " +
+          "و اگر بزرگ‌تر از 9 شد 9 را کم کن؛ s = مجموع، رقم کنترلی = (10 - s % 10) % 10.",
+      },
+      answer: { de: String(luhn.result), fa: String(luhn.result) },
+      explain: { de: checksumExplain(luhn), fa: checksumExplain(luhn).replace("->", "→") },
+    },
+  ];
+}
+
+const GENERATORS = {
+  bubblesort: bubbleSortQuestions,
+  selectionsort: selectionSortQuestions,
+  insertionsort: insertionSortQuestions,
+  binarysearch: binarySearchQuestions,
+  linearsearch: linearSearchQuestions,
+  minmax_avg: minMaxQuestions,
+  checksum: checksumQuestions,
+};
+
+export function hasGenerator(topic) {
+  return Object.hasOwn(GENERATORS, topic);
+}
+
+export function supportedGeneratorTopics() {
+  return Object.keys(GENERATORS);
+}
+
+// Same tutor_asset.exam.v1 shape as the authored exams, so grading, the student view and the
+// v2 transform apply unchanged. The same topic and seed always produce the same questions.
+export function generateExam({ topic, lang, seed }) {
+  const textLang = lang === "fa" ? "fa" : "de";
+  const random = seededRandom(`${topic}:${seed}`);
+  const title = TITLES[topic][textLang];
+  return {
+    schema_name: "tutor_asset.exam.v1",
+    version: "1.0",
+    topic,
+    lang: textLang,
+    mode: "exam",
+    title: textLang === "fa" ? `${title} — سوال‌های تولیدشده` : `${title} — generierte Aufgaben`,
+    generated: true,
+    seed,
+    questions: GENERATORS[topic](random).map((question) => ({
+      id: `gen_${topic}_${question.kind}`,
+      type: "open",
+      generated: true,
+      input: question.input,
+      prompt: question.prompt[textLang],
+      answer: question.answer[textLang],
+      explain_de: question.explain.de,
+      explain_fa: question.explain.fa,
+    })),
+  };
+}
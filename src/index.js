@@ -1,56 +1,84 @@
-﻿const ALLOWED_ORIGIN = "https://barakzai.cloud";
-const CORS_ALLOW_HEADERS = "X-Adapter-Token, Content-Type";
+﻿import {
+  SCOPE_CONTENT_READ,
+  SCOPE_EXAM_GRADE,
+  SCOPE_PROGRESS_WRITE,
+  hasScope,
+  legacyIdentity,
+  verifyJwt,
+} from "./auth.js";
+import { composeExam, parseComposeFilters } from "./compose.js";
+import { learningPaths, topicRelations } from "./curriculum.js";
+import { gradeExam, toStudentExam } from "./exam.js";
+import { mergeLanguageFallbacks, resolveFallbackChain, servedAvailability } from "./fallback.js";
+import { generateExam, hasGenerator, supportedGeneratorTopics } from "./generator.js";
+import { languageCatalog, negotiateLang, textDirection } from "./locale.js";
+import { emptyProgress, mergeProgress, progressKey } from "./progress.js";
+import { DEFAULT_MAX_STEPS, executePseudocode } from "./pseudocode.js";
+import {
+  DEFAULT_RATE_LIMITS,
+  consumeRateLimit,
+  createDurableObjectCounterStore,
+  resolveCounterStore,
+  resolveRateLimits,
+} from "./ratelimit.js";
+import {
+  MAX_GRADE,
+  MIN_GRADE,
+  cardId,
+  parseCardId,
+  reviewCard,
+  selectReviewSession,
+} from "./review.js";
+import { scoreRubricAnswer } from "./rubric.js";
+import { assetDocuments, validateSchema } from "./schema.js";
+import { searchContent } from "./search.js";
+import {
+  fetchYouTubeSearch,
+  filterSearchResults,
+  rankTopicVideos,
+  topicVideoQuery,
+} from "./youtube.js";
+import {
+  normalizeSearchQuery,
+  readSearchCache,
+  resolveSearchCache,
+  resolveSearchCacheConfig,
+  writeSearchCache,
+} from "./searchcache.js";
+import { signPayload, verifyPayload } from "./signing.js";
+import { resolveProgressStore } from "./storage.js";
+import { buildTrace, hasTracer, supportedTraceVariants } from "./trace.js";
+import { verifyPseudocode } from "./verify.js";
+import { SUPPORTED_API_VERSIONS, negotiateApiVersion, transformRunPayload } from "./versions.js";
+import {
+  gradeSimulation,
+  isSimulationExpired,
+  simulationSubmissionKey,
+  startSimulation,
+  studentWisoBundle,
+  studentWisoQuestion,
+  wisoTrainingQuestions,
+} from "./wiso.js";
+
+const ALLOWED_ORIGIN = "https://barakzai.cloud";
+const CORS_ALLOW_HEADERS = "Authorization, X-Adapter-Token, X-Learner-Token, Content-Type";
 const CORS_ALLOW_METHODS = "GET,POST,OPTIONS";
 const CORS_MAX_AGE = "86400";
+const CORS_EXPOSE_HEADERS = [
+  "Retry-After",
+  "X-RateLimit-Limit",
+  "X-RateLimit-Remaining",
+  "X-RateLimit-Reset",
+  "X-Cache",
+  "X-Upstream-Error",
+  "X-RateLimit-Error",
+  "Age",
+  "X-Request-Id",
+  "X-Api-Version",
+].join(", ");
 
 // ─── YouTube search proxy (innertube API) ─────────────────────────────────────
 
-function parseInnertubeResults(data) {
-  const items =
-    data?.contents?.twoColumnSearchResultsRenderer
-      ?.primaryContents?.sectionListRenderer
-      ?.contents?.[0]?.itemSectionRenderer?.contents ?? [];
-
-  return items
-    .filter((item) => item.videoRenderer)
-    .map((item) => {
-      const v = item.videoRenderer;
-      const title =
-        v.title?.runs?.[0]?.text ??
-        v.title?.accessibility?.accessibilityData?.label ??
-        "";
-      const author = v.ownerText?.runs?.[0]?.text ?? "";
-      const durationText = v.lengthText?.simpleText ?? "";
-      const viewText =
-        v.viewCountText?.simpleText ?? v.viewCountText?.runs?.[0]?.text ?? "0";
-
-      const parts = durationText.split(":").map(Number);
-      let lengthSeconds = 0;
-      if (parts.length === 3) lengthSeconds = parts[0] * 3600 + parts[1] * 60 + parts[2];
-      else if (parts.length === 2) lengthSeconds = parts[0] * 60 + parts[1];
-
-      const viewCount = Number.parseInt(viewText.replace(/\D/g, ""), 10) || 0;
-
-      return { type: "video", videoId: v.videoId, title, author, lengthSeconds, viewCount };
-    });
-}
-
-async function fetchYouTubeSearch(query) {
-  const res = await fetch("https://www.youtube.com/youtubei/v1/search", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      context: { client: { clientName: "WEB", clientVersion: "2.20250101.00.00" } },
-      query,
-    }),
-    signal: AbortSignal.timeout(10000),
-  });
-  if (!res.ok) return null;
-  const data = await res.json();
-  const results = parseInnertubeResults(data);
-  return results.length > 0 ? results : null;
-}
-
 function searchCorsHeaders(request) {
   const origin = request.headers.get("Origin") || "";
   const isAllowed = origin === ALLOWED_ORIGIN || /^http:\/\/localhost(:\d+)?$/.test(origin);
@@ -58,6 +86,7 @@ function searchCorsHeaders(request) {
     "Access-Control-Allow-Origin": isAllowed ? origin : ALLOWED_ORIGIN,
     "Access-Control-Allow-Headers": "Content-Type",
     "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Expose-Headers": CORS_EXPOSE_HEADERS,
     "Access-Control-Max-Age": CORS_MAX_AGE,
     Vary: "Origin",
   };
@@ -71,6 +100,7 @@ function corsHeaders(request) {
     "Access-Control-Allow-Origin": allowOrigin,
     "Access-Control-Allow-Headers": CORS_ALLOW_HEADERS,
     "Access-Control-Allow-Methods": CORS_ALLOW_METHODS,
+    "Access-Control-Expose-Headers": CORS_EXPOSE_HEADERS,
     "Access-Control-Max-Age": CORS_MAX_AGE,
     Vary: "Origin",
   };
@@ -102,18 +132,34 @@ function assertOrigin(request) {
   return { ok: true };
 }
 
-function assertAuth(request, env) {
+function bearerToken(request) {
+  const match = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : "";
+}
+
+// Bearer JWTs (HS256 via JWT_SECRET, RS256 via JWT_PUBLIC_KEY) identify the caller;
+// the shared X-Adapter-Token stays accepted as a legacy mode without a subject.
+async function assertAuth(request, env) {
+  const jwtSecret = String(env.JWT_SECRET || "");
+  const jwtPublicKey = String(env.JWT_PUBLIC_KEY || "");
   const expected = String(env.ADAPTER_TOKEN || "");
-  if (!expected) {
+  if (!expected && !jwtSecret && !jwtPublicKey) {
     return { ok: false, status: 500, payload: { detail: "Server misconfigured: ADAPTER_TOKEN is missing" } };
   }
 
+  const token = bearerToken(request);
+  if (token) {
+    const verified = await verifyJwt(token, { secret: jwtSecret, publicKey: jwtPublicKey });
+    if (!verified.ok) return { ok: false, status: 401, payload: { detail: verified.detail } };
+    return { ok: true, identity: verified.identity };
+  }
+
   const provided = request.headers.get("X-Adapter-Token") || "";
-  if (provided !== expected) {
+  if (!expected || provided !== expected) {
     return { ok: false, status: 401, payload: { detail: "Unauthorized" } };
   }
 
-  return { ok: true };
+  return { ok: true, identity: legacyIdentity() };
 }
 
 async function fetchAsset(env, request, path) {
@@ -121,36 +167,69 @@ async function fetchAsset(env, request, path) {
   return env.ASSETS.fetch(new Request(assetUrl.toString(), { method: "GET" }));
 }
 
-async function fetchRunAsset(env, request, topic, lang, mode) {
-  const requested = `/tutor-data/run/${topic}.${lang}.${mode}.json`;
-  const first = await fetchAsset(env, request, requested);
-  if (first.ok || first.status !== 404) {
-    return first;
-  }
-
-  // Language fallback: if requested language payload does not exist, use DE.
-  if (lang !== "de") {
-    const fallback = `/tutor-data/run/${topic}.de.${mode}.json`;
-    return fetchAsset(env, request, fallback);
-  }
-
-  return first;
-}
-
-function requiredRunFields(body) {
-  const required = ["api_version", "request_id", "topic", "lang", "mode"];
+function missingStringFields(body, required) {
   return required.filter((field) => {
     const value = body?.[field];
     return typeof value !== "string" || !value.trim();
   });
 }
 
-function normalizeTopicsPayload(payload, mode, lang) {
+function requiredRunFields(body) {
+  return missingStringFields(body, ["api_version", "request_id", "topic", "lang", "mode"]);
+}
+
+// Every route takes a JSON object; `null`, arrays and bare values are rejected like broken JSON.
+async function readJsonBody(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { ok: false, response: json({ detail: "Invalid JSON body" }, 400, apiHeaders(request)) };
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, response: json({ detail: "JSON body must be an object" }, 400, apiHeaders(request)) };
+  }
+  return { ok: true, body };
+}
+
+// Loads the first file along the language fallback chain and fills its empty fields from the
+// later ones. Returns { ok, payload, fallbacks } or { ok: false, response }.
+async function loadRunPayload(env, request, topic, lang, mode) {
+  const upstreamError = {
+    ok: false,
+    response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)),
+  };
+  const documents = [];
+  for (const chainLang of resolveFallbackChain(env, lang)) {
+    const response = await fetchAsset(env, request, `/tutor-data/run/${topic}.${chainLang}.${mode}.json`);
+    if (response.status === 404) continue;
+    // Only the file that is served must load; a broken fallback file is skipped.
+    const isPrimary = !documents.length;
+    if (!response.ok) {
+      if (isPrimary) return upstreamError;
+      continue;
+    }
+    try {
+      documents.push({ lang: chainLang, payload: JSON.parse(await response.text()) });
+    } catch {
+      if (isPrimary) return upstreamError;
+    }
+  }
+  if (!documents.length) {
+    return { ok: false, response: json({ detail: "Not found" }, 404, apiHeaders(request)) };
+  }
+  return { ok: true, ...mergeLanguageFallbacks(documents, lang) };
+}
+
+// `langs` is the fallback chain of the requested language: a topic counts as available in
+// `en` when /v1/run can serve it, even if only the German file exists. `kind` keeps catalog
+// entries of one kind (algorithm, exam_bank, subject_bundle); the catalog follows the topics.
+function normalizeTopicsPayload(payload, { mode, langs, kind }) {
   if (!payload || typeof payload !== "object" || !Array.isArray(payload.topics)) {
     return payload;
   }
 
-  if (!mode && !lang) {
+  if (!mode && !langs.length && !kind) {
     return payload;
   }
 
@@ -160,14 +239,15 @@ function normalizeTopicsPayload(payload, mode, lang) {
   }
 
   const requestedMode = typeof mode === "string" && mode.trim() ? mode.trim().toLowerCase() : "";
-  const requestedLang = typeof lang === "string" && lang.trim() ? lang.trim().toLowerCase() : "";
+  const catalog = payload.catalog && typeof payload.catalog === "object" ? payload.catalog : null;
 
   const filteredTopics = payload.topics.filter((topic) => {
     if (typeof topic !== "string" || !topic.trim()) return false;
+    if (kind && catalog?.[topic]?.kind !== kind) return false;
     const topicAvailability = availability[topic];
     if (!topicAvailability || typeof topicAvailability !== "object") return false;
 
-    const langsToCheck = requestedLang ? [requestedLang] : Object.keys(topicAvailability);
+    const langsToCheck = langs.length ? langs : Object.keys(topicAvailability);
     for (const langKey of langsToCheck) {
       const modes = topicAvailability[langKey];
       if (!Array.isArray(modes)) continue;
@@ -181,23 +261,171 @@ function normalizeTopicsPayload(payload, mode, lang) {
   return {
     ...payload,
     topics: filteredTopics.sort(),
+    ...(catalog && {
+      catalog: Object.fromEntries(
+        filteredTopics.filter((topic) => Object.hasOwn(catalog, topic)).map((topic) => [topic, catalog[topic]]),
+      ),
+    }),
   };
 }
 
-async function handleSearch(request, url) {
+async function revalidateSearch(cache, search, config) {
+  try {
+    const fetched = await fetchYouTubeSearch(search);
+    if (fetched.ok) await writeSearchCache(cache, search, fetched.page, config);
+  } catch {
+    // Keep serving the stale entry; the next request past the TTL tries again.
+  }
+}
+
+// Returns { ok: true, page, status, age } with status HIT, STALE or MISS, or
+// { ok: false, code, diagnostics } when YouTube fails and nothing usable is cached.
+// "No results" is a successful empty page; it is not cached.
+async function cachedYouTubeSearch(env, ctx, search) {
+  const cache = resolveSearchCache(env);
+  const config = resolveSearchCacheConfig(env);
+  const cached = cache ? await readSearchCache(cache, search, config) : null;
+
+  if (cached?.state === "fresh") return { ok: true, page: cached.page, status: "HIT", age: cached.age };
+  if (cached?.state === "revalidate") {
+    const revalidation = revalidateSearch(cache, search, config);
+    if (ctx?.waitUntil) ctx.waitUntil(revalidation);
+    else await revalidation;
+    return { ok: true, page: cached.page, status: "STALE", age: cached.age };
+  }
+
+  let fetched;
+  try {
+    fetched = await fetchYouTubeSearch(search);
+  } catch {
+    fetched = { ok: false, code: "upstream_unavailable", diagnostics: [] };
+  }
+  if (fetched.ok) {
+    if (cache) await writeSearchCache(cache, search, fetched.page, config);
+    return { ok: true, page: fetched.page, status: "MISS", age: null };
+  }
+  if (fetched.code === "no_results") {
+    return { ok: true, page: { results: [], continuation: null }, status: "MISS", age: null };
+  }
+  if (cached) {
+    return { ok: true, page: cached.page, status: "STALE", age: cached.age, upstream: fetched.code };
+  }
+  return fetched;
+}
+
+// A cached page served because YouTube failed names the failure in X-Upstream-Error.
+function searchCacheHeaders(result) {
+  if (!result.ok) return { "X-Cache": "MISS" };
+  const headers = { "X-Cache": result.status };
+  if (result.age !== null) headers.Age = String(result.age);
+  if (result.upstream) headers["X-Upstream-Error"] = result.upstream;
+  return headers;
+}
+
+function searchFailureStatus(code) {
+  return code === "upstream_schema_changed" ? 502 : 503;
+}
+
+function optionalCount(url, name) {
+  const raw = url.searchParams.get(name);
+  if (raw === null || raw === "") return { ok: true, value: null };
+  const value = Number(raw);
+  return Number.isInteger(value) && value >= 0 ? { ok: true, value } : { ok: false };
+}
+
+async function handleSearch(request, env, url, ctx) {
   const cors = searchCorsHeaders(request);
   if (request.method === "OPTIONS") {
     return new Response(null, { status: 204, headers: cors });
   }
   const q = url.searchParams.get("q");
-  if (!q?.trim()) {
+  const continuation = url.searchParams.get("continuation")?.trim() || null;
+  if (!q?.trim() && !continuation) {
     return json({ error: "q is required" }, 400, cors);
   }
-  const results = await fetchYouTubeSearch(q.trim());
-  if (results === null) {
-    return json({ error: "Search unavailable" }, 503, cors);
+  const lang = url.searchParams.get("lang")?.trim().toLowerCase() || null;
+  if (lang && !/^[a-z]{2}$/.test(lang)) {
+    return json({ error: "lang must be a two-letter language code" }, 400, cors);
+  }
+  const filters = {};
+  const filterParams = [
+    ["min_duration", "minDuration"],
+    ["max_duration", "maxDuration"],
+    ["min_views", "minViews"],
+  ];
+  for (const [param, key] of filterParams) {
+    const parsed = optionalCount(url, param);
+    if (!parsed.ok) return json({ error: `${param} must be a non-negative integer` }, 400, cors);
+    filters[key] = parsed.value;
+  }
+
+  const search = { query: normalizeSearchQuery(q), lang, continuation };
+  const result = await cachedYouTubeSearch(env, ctx, search);
+  if (!result.ok) {
+    const failure = { error: "Search unavailable", code: result.code };
+    if (result.diagnostics.length) failure.diagnostics = result.diagnostics;
+    return json(failure, searchFailureStatus(result.code), { ...cors, ...searchCacheHeaders(result) });
   }
-  return json({ results }, 200, cors);
+  const results = filterSearchResults(result.page.results, filters);
+  return json(
+    { results, continuation: result.page.continuation ?? null },
+    200,
+    { ...cors, ...searchCacheHeaders(result) },
+  );
+}
+
+const TOPIC_VIDEOS_DEFAULT_LIMIT = 10;
+const TOPIC_VIDEOS_MAX_LIMIT = 25;
+
+// Hand-maintained allow/deny lists per topic; a missing asset just means nothing is curated.
+async function loadCuratedVideos(env, request) {
+  const assetResponse = await fetchAsset(env, request, "/tutor-data/videos.curated.json");
+  if (assetResponse.status === 404) return { ok: true, topics: {} };
+  if (!assetResponse.ok) {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+  try {
+    const payload = JSON.parse(await assetResponse.text());
+    return { ok: true, topics: payload?.topics ?? {} };
+  } catch {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+}
+
+async function handleTopicVideos(request, env, url, topic, ctx) {
+  const lang = (url.searchParams.get("lang") || "de").trim().toLowerCase();
+  const rawLimit = url.searchParams.get("limit");
+  const limit = rawLimit === null ? TOPIC_VIDEOS_DEFAULT_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > TOPIC_VIDEOS_MAX_LIMIT) {
+    const detail = `limit must be an integer between 1 and ${TOPIC_VIDEOS_MAX_LIMIT}`;
+    return json({ detail }, 400, apiHeaders(request));
+  }
+
+  const explain = await loadRunPayload(env, request, topic, lang, "explain");
+  if (!explain.ok) return explain.response;
+  const curated = await loadCuratedVideos(env, request);
+  if (!curated.ok) return curated.response;
+
+  const query = normalizeSearchQuery(topicVideoQuery(explain.payload?.title, topic, lang));
+  const result = await cachedYouTubeSearch(env, ctx, { query, lang, continuation: null });
+  const videos = rankTopicVideos(result.ok ? result.page.results : [], {
+    query,
+    lang,
+    curated: curated.topics[topic] ?? {},
+    limit,
+  });
+  if (!result.ok && videos.length === 0) {
+    return json(
+      { detail: "Video search unavailable", code: result.code },
+      searchFailureStatus(result.code),
+      apiHeaders(request, searchCacheHeaders(result)),
+    );
+  }
+  return json(
+    { topic, lang, query, upstream: result.ok ? "ok" : result.code, videos },
+    200,
+    apiHeaders(request, searchCacheHeaders(result)),
+  );
 }
 
 async function handleTopics(request, env, url) {
@@ -218,60 +446,923 @@ async function handleTopics(request, env, url) {
       headers: { "Content-Type": "application/json; charset=utf-8", ...apiHeaders(request) },
     });
   }
-  const filteredPayload = normalizeTopicsPayload(
-    payload,
-    url.searchParams.get("mode"),
-    url.searchParams.get("lang"),
-  );
-  return new Response(JSON.stringify(filteredPayload), {
+  if (payload?.availability && typeof payload.availability === "object") {
+    payload = { ...payload, availability: servedAvailability(env, payload.availability) };
+  }
+  const lang = url.searchParams.get("lang")?.trim().toLowerCase();
+  const filteredPayload = normalizeTopicsPayload(payload, {
+    mode: url.searchParams.get("mode"),
+    langs: lang ? resolveFallbackChain(env, lang) : [],
+    kind: url.searchParams.get("kind")?.trim().toLowerCase(),
+  });
+  const withLanguages =
+    filteredPayload && typeof filteredPayload === "object" && !Array.isArray(filteredPayload)
+      ? { ...filteredPayload, languages: languageCatalog() }
+      : filteredPayload;
+  return new Response(JSON.stringify(withLanguages), {
     status: 200,
     headers: { "Content-Type": "application/json; charset=utf-8", ...apiHeaders(request) },
   });
 }
 
-async function handleRun(request, env) {
-  let body;
+// Returns { ok, catalog } with the per-topic entries of the generated topics.json.
+async function loadTopicCatalog(env, request) {
+  const assetResponse = await fetchAsset(env, request, "/tutor-data/topics.json");
+  if (assetResponse.status === 404) {
+    return { ok: false, response: json({ detail: "Not found" }, 404, apiHeaders(request)) };
+  }
+  if (!assetResponse.ok) {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
   try {
-    body = await request.json();
+    const payload = JSON.parse(await assetResponse.text());
+    return { ok: true, catalog: payload?.catalog ?? {} };
   } catch {
-    return json({ detail: "Invalid JSON body" }, 400, apiHeaders(request));
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+}
+
+// Hand-maintained prerequisite graph; without it topics have no relations and there are no paths.
+async function loadCurriculum(env, request) {
+  const assetResponse = await fetchAsset(env, request, "/tutor-data/curriculum.json");
+  if (assetResponse.status === 404) return { ok: true, curriculum: {} };
+  if (!assetResponse.ok) {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+  try {
+    return { ok: true, curriculum: JSON.parse(await assetResponse.text()) ?? {} };
+  } catch {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+}
+
+// `?lang=` as in /v1/run: defaults to de, "auto" picks from Accept-Language.
+function requestedQueryLang(request, url) {
+  const requested = (url.searchParams.get("lang") || "de").trim().toLowerCase();
+  return requested === "auto" ? negotiateLang(request.headers.get("Accept-Language")) : requested;
+}
+
+function localizedTitle(titles, chain, fallback) {
+  const lang = chain.find((candidate) => typeof titles?.[candidate] === "string" && titles[candidate]);
+  return lang ? titles[lang] : Object.values(titles ?? {})[0] ?? fallback;
+}
+
+async function handleTopicDetail(request, env, url, topic) {
+  const lang = requestedQueryLang(request, url);
+  const topics = await loadTopicCatalog(env, request);
+  if (!topics.ok) return topics.response;
+  if (!Object.hasOwn(topics.catalog, topic)) {
+    return json({ detail: "Unknown topic" }, 404, apiHeaders(request));
+  }
+  const entry = topics.catalog[topic];
+  const curriculum = await loadCurriculum(env, request);
+  if (!curriculum.ok) return curriculum.response;
+
+  const modes = Array.isArray(entry.modes) ? entry.modes : [];
+  const [explain, pseudocode] = await Promise.all(
+    ["explain", "pseudocode"].map((mode) =>
+      modes.includes(mode) ? loadRunPayload(env, request, topic, lang, mode) : { ok: true, payload: null },
+    ),
+  );
+  if (!explain.ok) return explain.response;
+  if (!pseudocode.ok) return pseudocode.response;
+
+  const chain = resolveFallbackChain(env, lang);
+  const variants = Array.isArray(pseudocode.payload?.variants) ? pseudocode.payload.variants : [];
+  const payload = {
+    topic,
+    lang,
+    direction: textDirection(lang),
+    kind: entry.kind,
+    title: localizedTitle(entry.titles, chain, topic),
+    titles: entry.titles ?? {},
+    summary: typeof explain.payload?.summary === "string" ? explain.payload.summary : null,
+    langs: entry.langs ?? [],
+    modes,
+    variants: variants.map((variant) => ({
+      id: variant.id,
+      label: variant.labels?.[lang] || variant.title || variant.id,
+      is_default: Boolean(variant.is_default),
+    })),
+    exam: {
+      question_count: entry.question_count ?? 0,
+      question_counts: entry.question_counts ?? {},
+      years: entry.years ?? [],
+      difficulty: entry.difficulty ?? {},
+    },
+    ...topicRelations(curriculum.curriculum, topic),
+    updated_at: entry.updated_at ?? null,
+    revision: entry.revision ?? null,
+  };
+  return json(payload, 200, apiHeaders(request, { "Content-Language": lang }));
+}
+
+async function handlePaths(request, env, url) {
+  const lang = requestedQueryLang(request, url);
+  const topics = await loadTopicCatalog(env, request);
+  if (!topics.ok) return topics.response;
+  const curriculum = await loadCurriculum(env, request);
+  if (!curriculum.ok) return curriculum.response;
+
+  const chain = resolveFallbackChain(env, lang);
+  const paths = learningPaths(curriculum.curriculum).map((path) => ({
+    id: path.id,
+    title: localizedTitle(path.titles, chain, path.id),
+    steps: path.topics.map((topic) => {
+      const entry = Object.hasOwn(topics.catalog, topic) ? topics.catalog[topic] : null;
+      return {
+        topic,
+        kind: entry?.kind ?? null,
+        title: localizedTitle(entry?.titles, chain, topic),
+        prerequisites: topicRelations(curriculum.curriculum, topic).prerequisites,
+      };
+    }),
+  }));
+  return json(
+    { lang, direction: textDirection(lang), paths },
+    200,
+    apiHeaders(request, { "Content-Language": lang }),
+  );
+}
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+async function handleContentSearch(request, env, url) {
+  const query = (url.searchParams.get("q") || "").trim();
+  if (!query) {
+    return json({ detail: "Missing required query parameter: q" }, 400, apiHeaders(request));
+  }
+  const limitParam = url.searchParams.get("limit");
+  const limit = limitParam === null ? SEARCH_DEFAULT_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return json({ detail: `limit must be between 1 and ${SEARCH_MAX_LIMIT}` }, 400, apiHeaders(request));
+  }
+
+  const assetResponse = await fetchAsset(env, request, "/tutor-data/search_index.json");
+  if (assetResponse.status === 404) {
+    return json({ detail: "Search index not built" }, 503, apiHeaders(request));
+  }
+  if (!assetResponse.ok) {
+    return json({ detail: "Upstream asset error" }, 502, apiHeaders(request));
   }
+  let index;
+  try {
+    index = JSON.parse(await assetResponse.text());
+  } catch {
+    return json({ detail: "Upstream asset error" }, 502, apiHeaders(request));
+  }
+
+  const lang = (url.searchParams.get("lang") || "").trim().toLowerCase();
+  const mode = (url.searchParams.get("mode") || "").trim().toLowerCase();
+  const found = searchContent(index, query, { lang, mode, limit });
+  return json({ query, lang: lang || null, mode: mode || null, ...found }, 200, apiHeaders(request));
+}
+
+async function resolveTraceVariant(env, request, body, topic, lang) {
+  if (typeof body.variant === "string" && body.variant.trim()) {
+    return body.variant.trim();
+  }
+  const loaded = await loadRunPayload(env, request, topic, lang, "pseudocode");
+  const selected = loaded.ok ? loaded.payload?.selected_variant : "";
+  if (typeof selected === "string" && supportedTraceVariants(topic).includes(selected)) {
+    return selected;
+  }
+  return supportedTraceVariants(topic)[0];
+}
+
+async function handleTraceRun(request, env, body, run) {
+  const variant = await resolveTraceVariant(env, request, body, run.topic, run.lang);
+  const traced = buildTrace({ topic: run.topic, lang: run.lang, variant, input: body.input });
+  if (!traced.ok) return json(traced.payload, traced.status, apiHeaders(request));
+  const shaped = transformRunPayload(run.version, traced.trace, run);
+  return json(withDirection(shaped, run.lang), 200, apiHeaders(request));
+}
+
+const STRICT_VALIDATION_MAX_ERRORS = 20;
+
+function isStrictAssetValidation(env) {
+  return ["1", "true"].includes(String(env.STRICT_ASSET_VALIDATION ?? "").trim().toLowerCase());
+}
+
+// Checks every document against assets/tutor-data/schemas/{schema_name}.json.
+// Returns a 502 response listing the violations, or null when the payload is valid.
+async function assetValidationFailure(env, request, payload) {
+  const errors = [];
+  for (const { document, path } of assetDocuments(payload)) {
+    const name = document?.schema_name;
+    const schemaResponse =
+      typeof name === "string" && /^[\w.]+$/.test(name)
+        ? await fetchAsset(env, request, `/tutor-data/schemas/${name}.json`)
+        : null;
+    if (!schemaResponse?.ok) {
+      errors.push({ path: `${path}/schema_name`, message: "has no known schema" });
+      continue;
+    }
+    let schema;
+    try {
+      schema = await schemaResponse.json();
+    } catch {
+      return json({ detail: "Upstream asset error" }, 502, apiHeaders(request));
+    }
+    for (const error of validateSchema(schema, document, { maxErrors: STRICT_VALIDATION_MAX_ERRORS })) {
+      errors.push({ path: `${path}${error.path}`, message: error.message });
+    }
+  }
+  if (!errors.length) return null;
+  return json(
+    { detail: "Asset failed schema validation", errors: errors.slice(0, STRICT_VALIDATION_MAX_ERRORS) },
+    502,
+    apiHeaders(request),
+  );
+}
+
+async function handleRun(request, env, identity) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
   const missing = requiredRunFields(body);
   if (missing.length) {
     return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
   }
+  const requestId = body.request_id.trim();
+  const negotiated = negotiateApiVersion(body.api_version, request.headers.get("Accept"));
+  if (!negotiated.ok) {
+    return json(
+      { detail: negotiated.detail, supported_versions: SUPPORTED_API_VERSIONS, request_id: requestId },
+      400,
+      apiHeaders(request, { "X-Request-Id": requestId }),
+    );
+  }
+  // `lang: "auto"` lets the browser's Accept-Language decide.
+  const requestedLang = body.lang.trim().toLowerCase();
+  const isAutoLang = requestedLang === "auto";
+  const run = {
+    topic: body.topic.trim().toLowerCase(),
+    lang: isAutoLang ? negotiateLang(request.headers.get("Accept-Language")) : requestedLang,
+    mode: body.mode.trim().toLowerCase(),
+    version: negotiated.version,
+    requestId,
+  };
+  const response = await runResponse(request, env, body, run, identity);
+  return withHeaders(response, {
+    "X-Request-Id": requestId,
+    "X-Api-Version": run.version,
+    "Content-Language": response.headers.get("Content-Language") ?? run.lang,
+    ...(isAutoLang ? { Vary: "Origin, Accept-Language" } : {}),
+  });
+}
+
+// Every run payload names its text direction so RTL (Persian) text renders correctly.
+function withDirection(payload, lang, extra = {}) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return payload;
+  return { ...payload, direction: textDirection(lang), ...extra };
+}
+
+// Seeded exam items computed from the trace reference implementations instead of an asset.
+// Without a seed the exam is random; the seed in the payload reproduces it for grading.
+function generatedExamPayload(request, body, topic, lang) {
+  if (!hasGenerator(topic)) {
+    const detail = `Topic "${topic}" has no question generator`;
+    return {
+      ok: false,
+      response: json({ detail, supported_topics: supportedGeneratorTopics() }, 422, apiHeaders(request)),
+    };
+  }
+  const seed = typeof body.seed === "string" && body.seed.trim() ? body.seed.trim() : crypto.randomUUID();
+  return { ok: true, payload: generateExam({ topic, lang, seed }) };
+}
+
+// Exams are served without their answers unless the caller asks for `view: "teacher"` and holds
+// the exam:grade scope.
+function examView(request, body, identity) {
+  if (body?.view !== "teacher") return { ok: true, teacher: false };
+  if (!hasScope(identity, SCOPE_EXAM_GRADE)) {
+    const detail = `The teacher view needs scope: ${SCOPE_EXAM_GRADE}`;
+    return { ok: false, response: json({ detail }, 403, apiHeaders(request)) };
+  }
+  return { ok: true, teacher: true };
+}
+
+async function runResponse(request, env, body, run, identity) {
+  const { topic, lang, mode, version } = run;
+  if (mode === "trace" && hasTracer(topic)) {
+    return handleTraceRun(request, env, body, run);
+  }
+  const view = mode === "exam" ? examView(request, body, identity) : null;
+  if (view && !view.ok) return view.response;
+  if (mode === "exam" && body.generated === true) {
+    const generated = generatedExamPayload(request, body, topic, lang);
+    if (!generated.ok) return generated.response;
+    const shaped = transformRunPayload(version, generated.payload, run);
+    const exam = view.teacher ? shaped : toStudentExam(shaped);
+    return json(withDirection(exam, lang), 200, apiHeaders(request));
+  }
+
+  const loaded = await loadRunPayload(env, request, topic, lang, mode);
+  if (!loaded.ok) return loaded.response;
+  const strict = isStrictAssetValidation(env);
+  const failure = strict ? await assetValidationFailure(env, request, loaded.payload) : null;
+  if (failure) return failure;
+  // The WISO bundle holds the simulation's answers; sessions grade against it on the server.
+  const served = topic === "wiso" ? studentWisoBundle(loaded.payload) : loaded.payload;
+  let shaped = transformRunPayload(version, served, run);
+  if (view && !view.teacher) shaped = toStudentExam(shaped);
+  // After a whole-file fallback the text is in the served file's language, not the requested one.
+  const servedLang = typeof loaded.payload?.lang === "string" ? loaded.payload.lang : lang;
+  return json(
+    withDirection(shaped, servedLang, { fallbacks: loaded.fallbacks }),
+    200,
+    apiHeaders(request, { "Content-Language": servedLang }),
+  );
+}
+
+// Topics listed in topics.json that ship an exam; assets that fail to load are skipped.
+async function loadComposeExams(env, request, lang, topics) {
+  const upstreamError = {
+    ok: false,
+    response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)),
+  };
+  const response = await fetchAsset(env, request, "/tutor-data/topics.json");
+  if (!response.ok) return upstreamError;
+  let available;
+  try {
+    available = (await response.json())?.topics;
+  } catch {
+    return upstreamError;
+  }
+  available = Array.isArray(available) ? available.filter((topic) => typeof topic === "string") : [];
+  const unknown = topics.filter((topic) => !available.includes(topic));
+  if (unknown.length) {
+    return {
+      ok: false,
+      response: json({ detail: `Unknown topics: ${unknown.join(", ")}` }, 400, apiHeaders(request)),
+    };
+  }
+  const exams = [];
+  for (const topic of topics.length ? available.filter((name) => topics.includes(name)) : available) {
+    const loaded = await loadRunPayload(env, request, topic, lang, "exam");
+    if (loaded.ok) exams.push({ topic, payload: loaded.payload });
+  }
+  return { ok: true, exams };
+}
+
+async function handleExamCompose(request, env, identity) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const view = examView(request, body, identity);
+  if (!view.ok) return view.response;
+  const filters = parseComposeFilters(body);
+  if (!filters.ok) return json({ detail: filters.detail }, 400, apiHeaders(request));
+  const lang = typeof body?.lang === "string" && body.lang.trim() ? body.lang.trim().toLowerCase() : "de";
+  // Without a seed the exam is random; the generated seed in the response reproduces it.
+  const seed = typeof body?.seed === "string" && body.seed.trim() ? body.seed.trim() : crypto.randomUUID();
+
+  const loaded = await loadComposeExams(env, request, lang, filters.filters.topics);
+  if (!loaded.ok) return loaded.response;
+  const exam = composeExam(loaded.exams, filters.filters, { lang, seed });
+  if (!exam.questions.length) {
+    return json({ detail: "No questions match the filters" }, 404, apiHeaders(request));
+  }
+  return json(view.teacher ? exam : toStudentExam(exam), 200, apiHeaders(request));
+}
+
+async function handleExamSubmit(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const missing = missingStringFields(body, ["topic", "lang"]);
+  if (!body?.answers || typeof body.answers !== "object" || Array.isArray(body.answers)) {
+    missing.push("answers");
+  }
+  if (missing.length) {
+    return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
+  }
   const topic = body.topic.trim().toLowerCase();
   const lang = body.lang.trim().toLowerCase();
-  const mode = body.mode.trim().toLowerCase();
-  const assetResponse = await fetchRunAsset(env, request, topic, lang, mode);
-  if (assetResponse.status === 404) {
-    return json({ detail: "Not found" }, 404, apiHeaders(request));
+  const generated = body.generated === true;
+  if (generated && (typeof body.seed !== "string" || !body.seed.trim())) {
+    return json({ detail: "seed is required to grade a generated exam" }, 400, apiHeaders(request));
+  }
+  const loaded = generated
+    ? generatedExamPayload(request, body, topic, lang)
+    : await loadRunPayload(env, request, topic, lang, "exam");
+  if (!loaded.ok) return loaded.response;
+  const graded = gradeExam(loaded.payload, body.answers);
+  return json({ topic, lang, ...graded }, 200, apiHeaders(request));
+}
+
+async function handleExamScore(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const missing = missingStringFields(body, ["topic", "lang", "question_id", "answer"]);
+  if (missing.length) {
+    return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
+  }
+  const topic = body.topic.trim().toLowerCase();
+  const lang = body.lang.trim().toLowerCase();
+  const loaded = await loadRunPayload(env, request, topic, lang, "exam");
+  if (!loaded.ok) return loaded.response;
+  const questions = Array.isArray(loaded.payload?.questions) ? loaded.payload.questions : [];
+  const question = questions.find((item) => item?.id === body.question_id.trim());
+  if (!question) {
+    return json({ detail: "Question not found" }, 404, apiHeaders(request));
+  }
+  if (!Array.isArray(question.scoring_guide?.criteria) || !question.scoring_guide.criteria.length) {
+    return json({ detail: "Question has no scoring guide" }, 422, apiHeaders(request));
+  }
+  return json({ topic, lang, ...scoreRubricAnswer(question, body.answer) }, 200, apiHeaders(request));
+}
+
+// Asset variants are always executed from the German file: the fa pseudocode
+// uses Persian keywords the interpreter does not understand.
+async function loadPseudocodeVariant(env, request, body) {
+  const topic = body.topic.trim().toLowerCase();
+  const loaded = await loadRunPayload(env, request, topic, "de", "pseudocode");
+  if (!loaded.ok) return loaded;
+  const variants = Array.isArray(loaded.payload?.variants) ? loaded.payload.variants : [];
+  const variantId = typeof body.variant === "string" && body.variant.trim()
+    ? body.variant.trim()
+    : loaded.payload?.selected_variant;
+  const variant = variants.find((item) => item?.id === variantId);
+  if (!variant || typeof variant.pseudocode !== "string") {
+    return { ok: false, response: json({ detail: "Variant not found" }, 404, apiHeaders(request)) };
   }
+  return { ok: true, source: variant.pseudocode, topic, variant: variant.id };
+}
+
+async function resolvePseudocodeSource(env, request, body) {
+  if (typeof body.pseudocode === "string" && body.pseudocode.trim()) {
+    return { ok: true, source: body.pseudocode };
+  }
+  return loadPseudocodeVariant(env, request, body);
+}
+
+async function handlePseudocodeExecute(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  if (missingStringFields(body, ["pseudocode"]).length && missingStringFields(body, ["topic"]).length) {
+    return json({ detail: "Missing required fields: pseudocode or topic" }, 400, apiHeaders(request));
+  }
+  if (body.args !== undefined && !Array.isArray(body.args)) {
+    return json({ detail: "args must be an array" }, 400, apiHeaders(request));
+  }
+  const hasValidInputs = body.inputs && typeof body.inputs === "object" && !Array.isArray(body.inputs);
+  if (body.inputs !== undefined && !hasValidInputs) {
+    return json({ detail: "inputs must be an object" }, 400, apiHeaders(request));
+  }
+  const maxSteps = body.max_steps ?? DEFAULT_MAX_STEPS;
+  if (!Number.isInteger(maxSteps) || maxSteps < 1) {
+    return json({ detail: "max_steps must be a positive integer" }, 400, apiHeaders(request));
+  }
+
+  const resolved = await resolvePseudocodeSource(env, request, body);
+  if (!resolved.ok) return resolved.response;
+  const execution = executePseudocode(resolved.source, {
+    entry: typeof body.function === "string" ? body.function.trim() : "",
+    args: body.args,
+    inputs: body.inputs,
+    maxSteps,
+  });
+  const source = resolved.topic ? { topic: resolved.topic, variant: resolved.variant } : {};
+  return json({ ...source, ...execution }, 200, apiHeaders(request));
+}
+
+async function handlePseudocodeVerify(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const missing = missingStringFields(body, ["topic", "pseudocode"]);
+  if (missing.length) {
+    return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
+  }
+  const reference = await loadPseudocodeVariant(env, request, body);
+  if (!reference.ok) return reference.response;
+  const verified = verifyPseudocode({
+    topic: reference.topic,
+    variant: reference.variant,
+    reference: reference.source,
+    source: body.pseudocode,
+    entry: typeof body.function === "string" ? body.function.trim() : "",
+  });
+  if (!verified.ok) return json(verified.payload, verified.status, apiHeaders(request));
+  return json(verified.report, 200, apiHeaders(request));
+}
+
+const REVIEW_DEFAULT_LIMIT = 20;
+const REVIEW_MAX_LIMIT = 100;
+
+async function loadExamTopics(env, request) {
+  const assetResponse = await fetchAsset(env, request, "/tutor-data/topics.json");
   if (!assetResponse.ok) {
-    return json({ detail: "Upstream asset error" }, 502, apiHeaders(request));
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
   }
-  return new Response(await assetResponse.text(), {
-    status: 200,
-    headers: { "Content-Type": "application/json; charset=utf-8", ...apiHeaders(request) },
+  try {
+    const availability = JSON.parse(await assetResponse.text())?.availability ?? {};
+    const hasExam = (modes) => Array.isArray(modes) && modes.includes("exam");
+    const langs = {};
+    for (const [topic, modesByLang] of Object.entries(availability)) {
+      const examLangs = Object.keys(modesByLang ?? {}).filter((lang) => hasExam(modesByLang[lang]));
+      if (examLangs.length) langs[topic] = examLangs;
+    }
+    return { ok: true, topics: Object.keys(langs).sort((a, b) => a.localeCompare(b)), langs };
+  } catch {
+    return { ok: false, response: json({ detail: "Upstream asset error" }, 502, apiHeaders(request)) };
+  }
+}
+
+// Every exam question plus the WISO trainingsfragen, already stripped of solutions.
+async function loadReviewCatalog(env, request, lang) {
+  const examTopics = await loadExamTopics(env, request);
+  if (!examTopics.ok) return examTopics;
+  const [wiso, ...exams] = await Promise.all([
+    loadRunPayload(env, request, "wiso", "de", "trace"),
+    ...examTopics.topics.map((topic) => loadRunPayload(env, request, topic, lang, "exam")),
+  ]);
+
+  const catalog = [];
+  exams.forEach((loaded, index) => {
+    if (!loaded.ok) return;
+    const topic = examTopics.topics[index];
+    for (const question of toStudentExam(loaded.payload).questions) {
+      if (typeof question.id !== "string" || !question.id) continue;
+      catalog.push({ card_id: cardId(topic, question.id), topic, question });
+    }
   });
+  if (wiso.ok) {
+    for (const question of wisoTrainingQuestions(wiso.payload)) {
+      const id = cardId("wiso", question.id);
+      catalog.push({ card_id: id, topic: "wiso", question: studentWisoQuestion(question) });
+    }
+  }
+  return { ok: true, catalog };
+}
+
+async function reviewCardExists(env, request, id) {
+  const parsedId = parseCardId(id);
+  if (!parsedId) return false;
+  if (parsedId.topic === "wiso") {
+    const loaded = await loadRunPayload(env, request, "wiso", "de", "trace");
+    const questions = loaded.ok ? wisoTrainingQuestions(loaded.payload) : [];
+    return questions.some((item) => item.id === parsedId.questionId);
+  }
+  // Card ids carry no language and some questions exist only in one, so every exam language counts.
+  const examTopics = await loadExamTopics(env, request);
+  if (!examTopics.ok || !Object.hasOwn(examTopics.langs, parsedId.topic)) return false;
+  for (const lang of examTopics.langs[parsedId.topic]) {
+    const loaded = await loadRunPayload(env, request, parsedId.topic, lang, "exam");
+    const questions = loaded.ok && Array.isArray(loaded.payload?.questions) ? loaded.payload.questions : [];
+    if (questions.some((item) => item?.id === parsedId.questionId)) return true;
+  }
+  return false;
+}
+
+async function handleReviewAnswer(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const missing = missingStringFields(body, ["card_id"]);
+  if (!Number.isInteger(body?.grade)) missing.push("grade");
+  if (missing.length) {
+    return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
+  }
+  if (body.grade < MIN_GRADE || body.grade > MAX_GRADE) {
+    return json({ detail: `grade must be between ${MIN_GRADE} and ${MAX_GRADE}` }, 400, apiHeaders(request));
+  }
+  const id = body.card_id.trim();
+  if (!(await reviewCardExists(env, request, id))) {
+    return json({ detail: "Card not found" }, 404, apiHeaders(request));
+  }
+  return json({ card: reviewCard(id, body.state, body.grade) }, 200, apiHeaders(request));
+}
+
+async function handleReviewDue(request, env) {
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const missing = missingStringFields(body, ["lang"]);
+  if (missing.length) {
+    return json({ detail: `Missing required fields: ${missing.join(", ")}` }, 400, apiHeaders(request));
+  }
+  if (body.states !== undefined && !Array.isArray(body.states)) {
+    return json({ detail: "states must be an array" }, 400, apiHeaders(request));
+  }
+  const limit = body.limit ?? REVIEW_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > REVIEW_MAX_LIMIT) {
+    return json({ detail: `limit must be between 1 and ${REVIEW_MAX_LIMIT}` }, 400, apiHeaders(request));
+  }
+
+  const lang = body.lang.trim().toLowerCase();
+  const loaded = await loadReviewCatalog(env, request, lang);
+  if (!loaded.ok) return loaded.response;
+  const cards = selectReviewSession(loaded.catalog, body.states ?? [], { limit });
+  return json(
+    {
+      lang,
+      due_count: cards.filter((card) => card.status === "due").length,
+      new_count: cards.filter((card) => card.status === "new").length,
+      cards,
+    },
+    200,
+    apiHeaders(request),
+  );
+}
+
+function sessionSecret(env) {
+  return String(env.SESSION_SECRET || "");
+}
+
+// The results reveal the correct answers, so a session is marked as submitted on its first
+// submit; resolves to false when it already was. D1 and the RATE_LIMITER Durable Object mark
+// atomically, KV only best effort. Without any of them the signed token alone decides.
+async function claimSimulationSubmission(env, claims) {
+  const key = simulationSubmissionKey(claims.sid);
+  const marker = { submitted_at: new Date().toISOString() };
+  const store = resolveProgressStore(env);
+  if (store?.kind === "d1") return store.claim(key, marker);
+  if (env.RATE_LIMITER) {
+    // A counter whose window is pinned to the session start counts every submit of the session.
+    const windowSeconds = Math.max(1, Math.ceil((claims.exp - claims.iat) / 1000));
+    const counter = createDurableObjectCounterStore(env.RATE_LIMITER);
+    const { count } = await counter.increment(key, windowSeconds, claims.iat);
+    return count === 1;
+  }
+  return store ? store.claim(key, marker) : true;
+}
+
+async function handleSessionStart(request, env, identity) {
+  const secret = sessionSecret(env);
+  if (!secret) {
+    return json({ detail: "Server misconfigured: SESSION_SECRET is missing" }, 500, apiHeaders(request));
+  }
+  const loaded = await loadRunPayload(env, request, "wiso", "de", "trace");
+  if (!loaded.ok) return loaded.response;
+  const { claims, session } = startSimulation(loaded.payload);
+  if (!claims.qs.length) {
+    return json({ detail: "No simulation questions available" }, 404, apiHeaders(request));
+  }
+  // Sessions started with a JWT can only be submitted by the same subject.
+  const token = await signPayload({ ...claims, sub: identity?.sub ?? null }, secret);
+  return json({ ...session, token }, 201, apiHeaders(request));
+}
+
+async function handleSessionSubmit(request, env, sessionId, identity) {
+  const secret = sessionSecret(env);
+  if (!secret) {
+    return json({ detail: "Server misconfigured: SESSION_SECRET is missing" }, 500, apiHeaders(request));
+  }
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+  const body = parsed.body;
+  const claims = await verifyPayload(body?.token, secret);
+  const sameSubject = !claims?.sub || claims.sub === identity?.sub;
+  if (!claims || claims.sid !== sessionId || !Array.isArray(claims.qs) || !sameSubject) {
+    return json({ detail: "Invalid session token" }, 401, apiHeaders(request));
+  }
+  if (isSimulationExpired(claims)) {
+    return json({ detail: "Session expired", expires_at: new Date(claims.exp).toISOString() }, 410, apiHeaders(request));
+  }
+  const loaded = await loadRunPayload(env, request, "wiso", "de", "trace");
+  if (!loaded.ok) return loaded.response;
+  if (!(await claimSimulationSubmission(env, claims))) {
+    return json({ detail: "Session already submitted" }, 409, apiHeaders(request));
+  }
+  return json(gradeSimulation(loaded.payload, claims, body.answers), 200, apiHeaders(request));
+}
+
+function learnerSecret(env) {
+  return String(env.LEARNER_SECRET || "");
+}
+
+async function handleLearnerCreate(request, env) {
+  const secret = learnerSecret(env);
+  if (!secret) {
+    return json({ detail: "Server misconfigured: LEARNER_SECRET is missing" }, 500, apiHeaders(request));
+  }
+  const learnerId = crypto.randomUUID();
+  const token = await signPayload({ lid: learnerId, iat: Date.now() }, secret);
+  return json({ learner_id: learnerId, token }, 201, apiHeaders(request));
 }
 
-function assertV1Access(request, env) {
+// A JWT subject identifies the learner directly; legacy callers send X-Learner-Token.
+async function progressContext(request, env, identity) {
+  const store = resolveProgressStore(env);
+  if (!store) {
+    const detail = "Server misconfigured: PROGRESS_KV or PROGRESS_DB is missing";
+    return { ok: false, response: json({ detail }, 500, apiHeaders(request)) };
+  }
+  if (identity?.auth === "jwt") {
+    return { ok: true, store, learnerId: identity.sub };
+  }
+  const secret = learnerSecret(env);
+  if (!secret) {
+    const detail = "Server misconfigured: LEARNER_SECRET is missing";
+    return { ok: false, response: json({ detail }, 500, apiHeaders(request)) };
+  }
+  const claims = await verifyPayload(request.headers.get("X-Learner-Token") || "", secret);
+  if (!claims || typeof claims.lid !== "string" || !claims.lid) {
+    return { ok: false, response: json({ detail: "Invalid learner token" }, 401, apiHeaders(request)) };
+  }
+  return { ok: true, store, learnerId: claims.lid };
+}
+
+async function handleProgressGet(request, env, identity) {
+  const context = await progressContext(request, env, identity);
+  if (!context.ok) return context.response;
+  const stored = await context.store.get(progressKey(context.learnerId));
+  return json(stored ?? emptyProgress(context.learnerId), 200, apiHeaders(request));
+}
+
+async function handleProgressUpdate(request, env, identity) {
+  const context = await progressContext(request, env, identity);
+  if (!context.ok) return context.response;
+  const parsed = await readJsonBody(request);
+  if (!parsed.ok) return parsed.response;
+
+  const key = progressKey(context.learnerId);
+  const current = (await context.store.get(key)) ?? emptyProgress(context.learnerId);
+  const merged = mergeProgress(current, parsed.body);
+  if (!merged.ok) return json({ detail: merged.detail }, 400, apiHeaders(request));
+  await context.store.put(key, merged.progress);
+  return json(merged.progress, 200, apiHeaders(request));
+}
+
+async function assertV1Access(request, env, scope) {
   const originCheck = assertOrigin(request);
-  if (!originCheck.ok) return json(originCheck.payload, originCheck.status, apiHeaders(request));
-  const authCheck = assertAuth(request, env);
-  if (!authCheck.ok) return json(authCheck.payload, authCheck.status, apiHeaders(request));
-  return null;
+  if (!originCheck.ok) {
+    return { ok: false, response: json(originCheck.payload, originCheck.status, apiHeaders(request)) };
+  }
+  const authCheck = await assertAuth(request, env);
+  if (!authCheck.ok) {
+    return { ok: false, response: json(authCheck.payload, authCheck.status, apiHeaders(request)) };
+  }
+  if (!hasScope(authCheck.identity, scope)) {
+    return { ok: false, response: json({ detail: `Missing scope: ${scope}` }, 403, apiHeaders(request)) };
+  }
+  return { ok: true, identity: authCheck.identity };
 }
 
-export async function handleRequest(request, env) {
+function matchV1Routes(pathname) {
+  return {
+    isTopics: pathname === "/v1/topics",
+    isPaths: pathname === "/v1/paths",
+    isRun: pathname === "/v1/run",
+    isContentSearch: pathname === "/v1/content/search",
+    isExamSubmit: pathname === "/v1/exam/submit",
+    isExamScore: pathname === "/v1/exam/score",
+    isExamCompose: pathname === "/v1/exam/compose",
+    isSessions: pathname === "/v1/sessions",
+    isReviewAnswer: pathname === "/v1/review/answer",
+    isProgress: pathname === "/v1/progress",
+    isProgressLearners: pathname === "/v1/progress/learners",
+    isReviewDue: pathname === "/v1/review/due",
+    isPseudocodeExecute: pathname === "/v1/pseudocode/execute",
+    isPseudocodeVerify: pathname === "/v1/pseudocode/verify",
+    sessionSubmitMatch: pathname.match(/^\/v1\/sessions\/([^/]+)\/submit$/),
+    topicVideosMatch: pathname.match(/^\/v1\/topics\/([a-z0-9_]+)\/videos$/),
+    topicDetailMatch: pathname.match(/^\/v1\/topics\/([a-z0-9_]+)$/),
+  };
+}
+
+async function dispatchV1(request, env, url, routes, identity, ctx) {
+  const {
+    isTopics,
+    isPaths,
+    isRun,
+    isContentSearch,
+    isExamSubmit,
+    isExamScore,
+    isExamCompose,
+    isSessions,
+    isReviewAnswer,
+    isProgress,
+    isProgressLearners,
+    isReviewDue,
+    isPseudocodeExecute,
+    isPseudocodeVerify,
+    sessionSubmitMatch,
+    topicVideosMatch,
+    topicDetailMatch,
+  } = routes;
+
+  if (isTopics && request.method === "GET") return handleTopics(request, env, url);
+  if (isPaths && request.method === "GET") return handlePaths(request, env, url);
+  if (isRun && request.method === "POST") return handleRun(request, env, identity);
+  if (isContentSearch && request.method === "GET") return handleContentSearch(request, env, url);
+  if (isExamSubmit && request.method === "POST") return handleExamSubmit(request, env);
+  if (isExamScore && request.method === "POST") return handleExamScore(request, env);
+  if (isExamCompose && request.method === "POST") return handleExamCompose(request, env, identity);
+  if (isSessions && request.method === "POST") return handleSessionStart(request, env, identity);
+  if (isReviewAnswer && request.method === "POST") return handleReviewAnswer(request, env);
+  if (isProgressLearners && request.method === "POST") return handleLearnerCreate(request, env);
+  if (isProgress && request.method === "GET") return handleProgressGet(request, env, identity);
+  if (isProgress && request.method === "POST") return handleProgressUpdate(request, env, identity);
+  if (isReviewDue && request.method === "POST") return handleReviewDue(request, env);
+  if (isPseudocodeExecute && request.method === "POST") return handlePseudocodeExecute(request, env);
+  if (isPseudocodeVerify && request.method === "POST") return handlePseudocodeVerify(request, env);
+  if (topicVideosMatch && request.method === "GET") {
+    return handleTopicVideos(request, env, url, topicVideosMatch[1], ctx);
+  }
+  if (topicDetailMatch && request.method === "GET") {
+    return handleTopicDetail(request, env, url, topicDetailMatch[1]);
+  }
+  if (sessionSubmitMatch && request.method === "POST") {
+    let sessionId;
+    try {
+      sessionId = decodeURIComponent(sessionSubmitMatch[1]);
+    } catch {
+      return json({ detail: "Invalid session id" }, 400, apiHeaders(request));
+    }
+    return handleSessionSubmit(request, env, sessionId, identity);
+  }
+
+  return json({ detail: "Not found" }, 404, apiHeaders(request));
+}
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+
+function gradesExams(routes) {
+  return routes.isExamSubmit || routes.isExamScore || routes.isSessions || Boolean(routes.sessionSubmitMatch);
+}
+
+// Reading progress is content access; changing it (or creating a learner) needs its own scope.
+function requiredScope(request, routes) {
+  if (gradesExams(routes)) return SCOPE_EXAM_GRADE;
+  const writesProgress = routes.isProgress || routes.isProgressLearners;
+  if (writesProgress && request.method === "POST") return SCOPE_PROGRESS_WRITE;
+  return SCOPE_CONTENT_READ;
+}
+
+function rateLimitGroup(url, routes) {
+  if (url.pathname === "/search" || routes.topicVideosMatch) return "search";
+  if (routes.isPseudocodeExecute || routes.isPseudocodeVerify) return "pseudocode";
+  if (gradesExams(routes) || routes.isExamCompose) return "exam";
+  return "default";
+}
+
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || "unknown";
+}
+
+// A counter store that fails (KV write limits, an unreachable Durable Object) lets the request
+// through unlimited rather than failing every route; X-RateLimit-Error says so.
+async function consumeRequestLimit(env, group, key) {
+  const rule = resolveRateLimits(env)[group] ?? DEFAULT_RATE_LIMITS.default;
+  try {
+    return await consumeRateLimit(resolveCounterStore(env), [`${key}:${group}`], rule);
+  } catch {
+    return {
+      limited: false,
+      remaining: rule.limit,
+      retryAfter: 0,
+      headers: { "X-RateLimit-Error": "counter-store-unavailable" },
+    };
+  }
+}
+
+// JWT subjects and learner tokens get their own budget on top of the per-IP one.
+async function rateLimitSubject(request, env, identity) {
+  if (identity.sub) return `sub:${identity.sub}`;
+  const learnerToken = request.headers.get("X-Learner-Token");
+  const secret = learnerSecret(env);
+  if (!learnerToken || !secret) return null;
+  const claims = await verifyPayload(learnerToken, secret);
+  return typeof claims?.lid === "string" && claims.lid ? `learner:${claims.lid}` : null;
+}
+
+function tooManyRequests(rate, headers, payload = { detail: "Too many requests" }) {
+  return json(
+    { ...payload, retry_after: rate.retryAfter },
+    429,
+    { ...headers, ...rate.headers, "Retry-After": String(rate.retryAfter) },
+  );
+}
+
+function withHeaders(response, headers) {
+  const decorated = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) decorated.headers.set(name, value);
+  return decorated;
+}
+
+export async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
-  const isTopics = url.pathname === "/v1/topics";
-  const isRun = url.pathname === "/v1/run";
+  const routes = matchV1Routes(url.pathname);
+  const hasPreflight = Object.values(routes).some(Boolean);
+  const group = rateLimitGroup(url, routes);
 
-  if (url.pathname === "/search") return handleSearch(request, url);
+  if (url.pathname === "/search") {
+    if (request.method === "OPTIONS") return handleSearch(request, env, url, ctx);
+    const rate = await consumeRequestLimit(env, group, `ip:${clientIp(request)}`);
+    if (rate.limited) {
+      return tooManyRequests(rate, searchCorsHeaders(request), { error: "Too many requests" });
+    }
+    return withHeaders(await handleSearch(request, env, url, ctx), rate.headers);
+  }
 
-  if (request.method === "OPTIONS" && (isTopics || isRun)) {
+  if (request.method === "OPTIONS" && hasPreflight) {
     const originCheck = assertOrigin(request);
     if (!originCheck.ok) {
       return json(originCheck.payload, originCheck.status, apiHeaders(request));
@@ -283,19 +1374,32 @@ export async function handleRequest(request, env) {
     return json({ ok: true, service: "dailyflow-tutor-api" }, 200, apiHeaders(request));
   }
 
-  if (url.pathname.startsWith("/v1/")) {
-    const denied = assertV1Access(request, env);
-    if (denied) return denied;
+  if (!url.pathname.startsWith("/v1/")) {
+    return json({ detail: "Not found" }, 404, apiHeaders(request));
   }
 
-  if (isTopics && request.method === "GET") return handleTopics(request, env, url);
-  if (isRun && request.method === "POST") return handleRun(request, env);
+  // Per-IP before authentication so failed logins count too, per subject once it is known.
+  let rate = await consumeRequestLimit(env, group, `ip:${clientIp(request)}`);
+  if (rate.limited) return tooManyRequests(rate, apiHeaders(request));
 
-  return json({ detail: "Not found" }, 404, apiHeaders(request));
+  const access = await assertV1Access(request, env, requiredScope(request, routes));
+  if (!access.ok) return withHeaders(access.response, rate.headers);
+  const identity = access.identity;
+
+  const subject = await rateLimitSubject(request, env, identity);
+  if (subject) {
+    const subjectRate = await consumeRequestLimit(env, group, subject);
+    if (subjectRate.limited) return tooManyRequests(subjectRate, apiHeaders(request));
+    if (subjectRate.remaining < rate.remaining) rate = subjectRate;
+  }
+
+  return withHeaders(await dispatchV1(request, env, url, routes, identity, ctx), rate.headers);
 }
 
+export { RateLimitCounter } from "./ratelimit.js";
+
 export default {
-  async fetch(request, env) {
-    return handleRequest(request, env);
+  async fetch(request, env, ctx) {
+    return handleRequest(request, env, ctx);
   },
 };
@@ -0,0 +1,34 @@
+// Languages the tutor serves and how their text is laid out. Persian is written right to
+// left; the `direction` in every payload lets the frontend set `dir` without a language table.
+
+export const SUPPORTED_LANGS = ["de", "fa", "en"];
+export const DEFAULT_LANG = "de";
+
+const RTL_LANGS = new Set(["fa"]);
+
+export function textDirection(lang) {
+  return RTL_LANGS.has(lang) ? "rtl" : "ltr";
+}
+
+export function languageCatalog() {
+  return SUPPORTED_LANGS.map((code) => ({ code, direction: textDirection(code) }));
+}
+
+// Picks the best supported language from an Accept-Language header ("fa-IR,fa;q=0.9,en;q=0.5").
+// Ranges match by primary subtag; "*" and unsupported ranges fall through to DEFAULT_LANG.
+export function negotiateLang(acceptLanguage) {
+  const ranges = String(acceptLanguage ?? "")
+    .split(",")
+    .map((part, index) => {
+      const [range, ...params] = part.split(";");
+      const quality = params.map((param) => param.trim().match(/^q=([\d.]+)$/i)).find(Boolean);
+      return {
+        lang: range.trim().toLowerCase().split("-")[0],
+        q: quality ? Number(quality[1]) : 1,
+        index,
+      };
+    })
+    .filter((range) => SUPPORTED_LANGS.includes(range.lang) && range.q > 0)
+    .sort((left, right) => right.q - left.q || left.index - right.index);
+  return ranges[0]?.lang ?? DEFAULT_LANG;
+}
@@ -0,0 +1,93 @@
+const MAX_ANSWERED = 5000;
+const MAX_KEY_LENGTH = 200;
+const VERDICTS = new Set(["correct", "incorrect", "unanswered", "ungraded"]);
+
+export function progressKey(learnerId) {
+  return `progress:${learnerId}`;
+}
+
+export function emptyProgress(learnerId) {
+  return { learner_id: learnerId, updated_at: null, answered: {}, scores: {}, last_variant: {} };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isKey(value) {
+  if (typeof value !== "string" || value === "__proto__") return false;
+  return value.trim().length > 0 && value.length <= MAX_KEY_LENGTH;
+}
+
+function invalid(detail) {
+  return { ok: false, detail };
+}
+
+// answered: { "<topic>:<question id>": { verdict, answered_at? } }
+function mergeAnswered(current, update, nowIso) {
+  const merged = { ...current };
+  for (const [key, entry] of Object.entries(update)) {
+    if (!isKey(key) || !isPlainObject(entry) || !VERDICTS.has(entry.verdict)) {
+      return invalid(`answered.${key} needs a verdict (${Array.from(VERDICTS).join(", ")})`);
+    }
+    const answeredAt = Date.parse(entry.answered_at);
+    merged[key] = {
+      verdict: entry.verdict,
+      answered_at: Number.isNaN(answeredAt) ? nowIso : new Date(answeredAt).toISOString(),
+    };
+  }
+  if (Object.keys(merged).length > MAX_ANSWERED) {
+    return invalid(`answered is limited to ${MAX_ANSWERED} entries`);
+  }
+  return { ok: true, value: merged };
+}
+
+// scores: { "<topic>": { "<mode>": { score, max } } }
+function mergeScores(current, update, nowIso) {
+  const merged = { ...current };
+  for (const [topic, modes] of Object.entries(update)) {
+    if (!isKey(topic) || !isPlainObject(modes)) return invalid(`scores.${topic} must be an object of modes`);
+    merged[topic] = { ...(merged[topic] ?? {}) };
+    for (const [mode, entry] of Object.entries(modes)) {
+      const numeric = isPlainObject(entry) && Number.isFinite(entry.score) && Number.isFinite(entry.max);
+      if (!isKey(mode) || !numeric || entry.score < 0 || entry.max < entry.score) {
+        return invalid(`scores.${topic}.${mode} needs numeric score <= max`);
+      }
+      merged[topic][mode] = { score: entry.score, max: entry.max, updated_at: nowIso };
+    }
+  }
+  return { ok: true, value: merged };
+}
+
+// last_variant: { "<topic>": "<variant id>" }
+function mergeLastVariant(current, update) {
+  const merged = { ...current };
+  for (const [topic, variant] of Object.entries(update)) {
+    if (!isKey(topic) || !isKey(variant)) return invalid(`last_variant.${topic} must be a variant id`);
+    merged[topic] = variant;
+  }
+  return { ok: true, value: merged };
+}
+
+// Applies a partial update; sections that are not sent stay untouched.
+export function mergeProgress(current, update, now = Date.now()) {
+  if (!isPlainObject(update)) return invalid("Progress update must be an object");
+  const nowIso = new Date(now).toISOString();
+  const next = { ...current };
+
+  const sections = [
+    ["answered", (value) => mergeAnswered(current.answered, value, nowIso)],
+    ["scores", (value) => mergeScores(current.scores, value, nowIso)],
+    ["last_variant", (value) => mergeLastVariant(current.last_variant, value)],
+  ];
+  for (const [name, merge] of sections) {
+    if (update[name] === undefined) continue;
+    if (!isPlainObject(update[name])) return invalid(`${name} must be an object`);
+    const merged = merge(update[name]);
+    if (!merged.ok) return merged;
+    next[name] = merged.value;
+  }
+
+  next.updated_at = nowIso;
+  return { ok: true, progress: next };
+}
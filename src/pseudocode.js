@@ -0,0 +1,922 @@
+// Parser and sandboxed interpreter for the German pseudocode dialect of the
+// *.pseudocode.json assets. Blocks are delimited by indentation; "ENDE ..." lines
+// are optional closers so both styles found in the assets parse the same way.
+
+export const DEFAULT_MAX_STEPS = 10000;
+export const MAX_STEPS_LIMIT = 100000;
+const MAX_CALL_DEPTH = 100;
+const MAX_VALUE_LENGTH = 10000;
+const MAX_OUTPUT_BYTES = 256 * 1024;
+const encoder = new TextEncoder();
+
+const TOKEN_PATTERN =
+  /\s*(?:(\/\/.*)|(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([\p{L}_][\p{L}\p{N}_]*)|(<=|>=|!=|<>|==|->|[=<>+\-*/%()[\],.;:]))/uy;
+
+const RESERVED = new Set([
+  "UND", "ODER", "NICHT", "DANN", "BIS", "SCHRITT", "ABWAERTS", "ZURUECK", "AUS", "MIT", "ZU", "HINZU",
+  "MOD", "DIV", "TUE", "MACHE",
+]);
+
+const LITERALS = new Map([
+  ["WAHR", true],
+  ["TRUE", true],
+  ["FALSCH", false],
+  ["FALSE", false],
+]);
+
+const FUNCTION_HEADS = new Set(["FUNKTION", "PROZEDUR", "FUNCTION", "PROCEDURE"]);
+const COMPARATOR_DIRECTIONS = new Set(["asc", "desc"]);
+
+class PseudocodeError extends Error {
+  constructor(kind, message, line) {
+    super(message);
+    this.kind = kind;
+    this.line = line;
+  }
+}
+
+function keyword(text) {
+  return text
+    .toUpperCase()
+    .replace(/Ä/g, "AE")
+    .replace(/Ö/g, "OE")
+    .replace(/Ü/g, "UE")
+    .replace(/ẞ|ß/g, "SS");
+}
+
+// ─── Lexer ────────────────────────────────────────────────────────────────────
+
+function unescapeString(text) {
+  return text.replace(/\\(.)/g, (_, ch) => ({ n: "\n", t: "\t" })[ch] ?? ch);
+}
+
+function tokenizeLine(text, line) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) break;
+      throw new PseudocodeError("syntax", `Unexpected character "${text.slice(start).trim()[0]}"`, line);
+    }
+    if (match[1] !== undefined) break;
+    if (match[2] !== undefined) tokens.push({ type: "num", value: Number(match[2]) });
+    else if (match[3] !== undefined) {
+      tokens.push({ type: "str", value: unescapeString(match[3].slice(1, -1)) });
+    }
+    else if (match[4] !== undefined) tokens.push({ type: "id", value: match[4], key: keyword(match[4]) });
+    else if (match[5] !== undefined) tokens.push({ type: "op", value: match[5] });
+    else break;
+  }
+  return tokens;
+}
+
+function sourceLines(source) {
+  const lines = [];
+  const errors = [];
+  String(source ?? "").split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const expanded = raw.replace(/\t/g, "  ");
+    try {
+      const tokens = tokenizeLine(expanded, line);
+      if (tokens.length) {
+        lines.push({ line, indent: expanded.length - expanded.trimStart().length, tokens });
+      }
+    } catch (error) {
+      errors.push({ kind: "syntax", line, message: error.message });
+    }
+  });
+  return { lines, errors };
+}
+
+// ─── Expressions ──────────────────────────────────────────────────────────────
+
+function createCursor(tokens, line) {
+  let pos = 0;
+  return {
+    line,
+    peek: (offset = 0) => tokens[pos + offset],
+    next: () => tokens[pos++],
+    done: () => pos >= tokens.length,
+    rest: () => tokens.slice(pos),
+    isOp(value) {
+      const token = tokens[pos];
+      return token?.type === "op" && token.value === value;
+    },
+    isKey(...keys) {
+      const token = tokens[pos];
+      return token?.type === "id" && keys.includes(token.key);
+    },
+    expectOp(value) {
+      const token = tokens[pos];
+      if (token?.type !== "op" || token.value !== value) {
+        throw new PseudocodeError("syntax", `Expected "${value}"`, line);
+      }
+      pos += 1;
+    },
+    expectKey(...keys) {
+      const token = tokens[pos];
+      if (token?.type !== "id" || !keys.includes(token.key)) {
+        throw new PseudocodeError("syntax", `Expected ${keys[0]}`, line);
+      }
+      pos += 1;
+    },
+  };
+}
+
+const BINARY_PRECEDENCE = [
+  { ops: ["ODER"], node: "or" },
+  { ops: ["UND"], node: "and" },
+  { ops: ["=", "==", "!=", "<>", "<", "<=", ">", ">="], node: "compare" },
+  { ops: ["+", "-"], node: "arith" },
+  { ops: ["*", "/", "%", "MOD", "DIV"], node: "arith" },
+];
+
+function binaryOperator(cursor, ops) {
+  const token = cursor.peek();
+  if (!token) return null;
+  if (token.type === "op" && ops.includes(token.value)) return token.value;
+  if (token.type === "id" && ops.includes(token.key)) return token.key;
+  return null;
+}
+
+function parseExpression(cursor, level = 0) {
+  if (level === 2 && cursor.isKey("NICHT")) {
+    cursor.next();
+    return { type: "not", operand: parseExpression(cursor, level) };
+  }
+  if (level >= BINARY_PRECEDENCE.length) return parseUnary(cursor);
+
+  let left = parseExpression(cursor, level + 1);
+  const { ops, node } = BINARY_PRECEDENCE[level];
+  for (let op = binaryOperator(cursor, ops); op; op = binaryOperator(cursor, ops)) {
+    cursor.next();
+    const right = parseExpression(cursor, level + 1);
+    left = { type: node, op, left, right };
+  }
+  return left;
+}
+
+function parseUnary(cursor) {
+  if (cursor.isOp("-")) {
+    cursor.next();
+    return { type: "neg", operand: parseUnary(cursor) };
+  }
+  if (cursor.isOp("+")) {
+    cursor.next();
+    return parseUnary(cursor);
+  }
+  return parsePostfix(cursor, parsePrimary(cursor));
+}
+
+function parseArguments(cursor, closer) {
+  const args = [];
+  if (cursor.isOp(closer)) {
+    cursor.next();
+    return args;
+  }
+  for (;;) {
+    args.push(parseExpression(cursor));
+    if (cursor.isOp(",")) {
+      cursor.next();
+      continue;
+    }
+    cursor.expectOp(closer);
+    return args;
+  }
+}
+
+function parsePrimary(cursor) {
+  const token = cursor.next();
+  if (!token) throw new PseudocodeError("syntax", "Unexpected end of expression", cursor.line);
+
+  if (token.type === "num" || token.type === "str") return { type: "literal", value: token.value };
+  if (token.type === "op" && token.value === "(") {
+    const items = parseArguments(cursor, ")");
+    if (items.length === 0) throw new PseudocodeError("syntax", "Empty parentheses", cursor.line);
+    return items.length === 1 ? items[0] : { type: "list", items };
+  }
+  if (token.type === "op" && token.value === "[") {
+    return { type: "list", items: parseArguments(cursor, "]") };
+  }
+  if (token.type === "id") {
+    if (LITERALS.has(token.key)) return { type: "literal", value: LITERALS.get(token.key) };
+    if (token.key === "LEERE_LISTE") return { type: "list", items: [] };
+    if (RESERVED.has(token.key)) {
+      throw new PseudocodeError("syntax", `Unexpected keyword ${token.value}`, cursor.line);
+    }
+    if (cursor.isOp("(")) {
+      cursor.next();
+      return { type: "call", name: token.value, args: parseArguments(cursor, ")") };
+    }
+    return { type: "var", name: token.value };
+  }
+  throw new PseudocodeError("syntax", `Unexpected "${token.value}"`, cursor.line);
+}
+
+function parsePostfix(cursor, node) {
+  let current = node;
+  for (;;) {
+    if (cursor.isOp("[")) {
+      cursor.next();
+      const index = parseExpression(cursor);
+      cursor.expectOp("]");
+      current = { type: "index", target: current, index };
+    } else if (cursor.isOp(".") && cursor.peek(1)?.type === "id") {
+      cursor.next();
+      const member = cursor.next();
+      if (cursor.isOp("(")) {
+        cursor.next();
+        const args = parseArguments(cursor, ")");
+        current = { type: "method", target: current, name: member.value, key: member.key, args };
+      } else {
+        current = { type: "member", target: current, name: member.value, key: member.key };
+      }
+    } else {
+      return current;
+    }
+  }
+}
+
+function parseFullExpression(tokens, line) {
+  const cursor = createCursor(tokens, line);
+  const expr = parseExpression(cursor);
+  if (!cursor.done()) {
+    throw new PseudocodeError("syntax", `Unexpected "${cursor.peek().value}"`, line);
+  }
+  return expr;
+}
+
+// ─── Statements ───────────────────────────────────────────────────────────────
+
+function splitTopLevel(tokens, separator) {
+  const parts = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === "op" && (token.value === "(" || token.value === "[")) depth += 1;
+    if (token.type === "op" && (token.value === ")" || token.value === "]")) depth -= 1;
+    if (depth === 0 && token.type === "op" && token.value === separator) parts.push([]);
+    else parts[parts.length - 1].push(token);
+  }
+  return parts.filter((part) => part.length);
+}
+
+function findTopLevel(tokens, predicate) {
+  let depth = 0;
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (token.type === "op" && (token.value === "(" || token.value === "[")) depth += 1;
+    if (token.type === "op" && (token.value === ")" || token.value === "]")) depth -= 1;
+    if (depth === 0 && predicate(token)) return index;
+  }
+  return -1;
+}
+
+function isLValue(node) {
+  return node.type === "var" || node.type === "index" || node.type === "member";
+}
+
+function parseSimpleStatement(tokens, line) {
+  const head = tokens[0];
+  const key = head.type === "id" ? head.key : "";
+
+  if (key === "GIB" || key === "RUECKGABE" || key === "RETURN") {
+    const last = tokens[tokens.length - 1];
+    if (key === "GIB" && last?.type === "id" && last.key === "AUS") {
+      const values = splitTopLevel(tokens.slice(1, -1), ",").map((part) => parseFullExpression(part, line));
+      return { type: "output", values, line };
+    }
+    const end = key === "GIB" ? tokens.length - 1 : tokens.length;
+    if (key === "GIB" && (last?.type !== "id" || last.key !== "ZURUECK")) {
+      throw new PseudocodeError("syntax", "Expected ZURUECK at the end of GIB", line);
+    }
+    const valueTokens = tokens.slice(1, end);
+    const value = valueTokens.length ? parseFullExpression(valueTokens, line) : null;
+    return { type: "return", value, line };
+  }
+  if (key === "AUSGABE" || key === "PRINT") {
+    const values = splitTopLevel(tokens.slice(1), ",").map((part) => parseFullExpression(part, line));
+    return { type: "output", values, line };
+  }
+  if (key === "ABBRUCH" || key === "BREAK") {
+    return { type: "break", line };
+  }
+  if (key === "TAUSCHE" || key === "VERTAUSCHE" || key === "SWAP") {
+    const rest = tokens.slice(1);
+    let splitAt = findTopLevel(rest, (token) => token.type === "id" && token.key === "MIT");
+    if (splitAt < 0) splitAt = findTopLevel(rest, (token) => token.type === "op" && token.value === ",");
+    if (splitAt < 0) throw new PseudocodeError("syntax", "TAUSCHE needs two operands", line);
+    const a = parseFullExpression(rest.slice(0, splitAt), line);
+    const b = parseFullExpression(rest.slice(splitAt + 1), line);
+    if (!isLValue(a) || !isLValue(b)) {
+      throw new PseudocodeError("syntax", "TAUSCHE needs assignable operands", line);
+    }
+    return { type: "swap", a, b, line };
+  }
+  if (key === "FUEGE") {
+    const zu = findTopLevel(tokens, (token) => token.type === "id" && token.key === "ZU");
+    const last = tokens[tokens.length - 1];
+    if (zu < 0 || last?.type !== "id" || last.key !== "HINZU") {
+      throw new PseudocodeError("syntax", "Expected FUEGE <wert> ZU <liste> HINZU", line);
+    }
+    const value = parseFullExpression(tokens.slice(1, zu), line);
+    const list = parseFullExpression(tokens.slice(zu + 1, -1), line);
+    return { type: "append", value, list, line };
+  }
+
+  const eq = findTopLevel(tokens, (token) => token.type === "op" && token.value === "=");
+  if (eq > 0) {
+    const target = parseFullExpression(tokens.slice(0, eq), line);
+    if (isLValue(target)) {
+      return { type: "assign", target, value: parseFullExpression(tokens.slice(eq + 1), line), line };
+    }
+  }
+  const expr = parseFullExpression(tokens, line);
+  if (expr.type !== "call" && expr.type !== "method") {
+    throw new PseudocodeError("syntax", "Expression is not a statement", line);
+  }
+  return { type: "expr", expr, line };
+}
+
+function lineKey(entry, offset = 0) {
+  const token = entry?.tokens[offset];
+  return token?.type === "id" ? token.key : "";
+}
+
+// "ENDE", "ENDE SOLANGE" … but not an assignment to a variable called "end".
+function isCloser(entry) {
+  const key = lineKey(entry);
+  if (key !== "ENDE" && key !== "END") return false;
+  return entry.tokens.length === 1 || (entry.tokens.length === 2 && entry.tokens[1].type === "id");
+}
+
+function isElse(entry) {
+  return lineKey(entry) === "SONST" || lineKey(entry) === "ELSE";
+}
+
+function createParser(lines, errors) {
+  let pos = 0;
+
+  function record(error, line) {
+    if (error instanceof PseudocodeError) {
+      errors.push({ kind: error.kind, line: error.line, message: error.message });
+    }
+    else errors.push({ kind: "syntax", line, message: String(error?.message ?? error) });
+  }
+
+  function consumeCloser(indent) {
+    const entry = lines[pos];
+    if (entry && isCloser(entry) && entry.indent >= indent) pos += 1;
+  }
+
+  function parseBlock(parentIndent) {
+    const body = [];
+    while (pos < lines.length) {
+      const entry = lines[pos];
+      if (entry.indent <= parentIndent || isCloser(entry) || isElse(entry)) break;
+      body.push(...parseStatement(entry));
+    }
+    return body;
+  }
+
+  function parseCondition(tokens, line, terminators) {
+    const end = findTopLevel(tokens, (token) => token.type === "id" && terminators.includes(token.key));
+    const condTokens = end < 0 ? tokens : tokens.slice(0, end);
+    if (!condTokens.length) throw new PseudocodeError("syntax", "Missing condition", line);
+    return { cond: parseFullExpression(condTokens, line), rest: end < 0 ? [] : tokens.slice(end + 1) };
+  }
+
+  function parseIf(entry, tokens) {
+    const branches = [];
+    let elseBody = null;
+    const { cond, rest } = parseCondition(tokens, entry.line, ["DANN", "THEN"]);
+    pos += 1;
+
+    if (rest.length) {
+      const body = splitTopLevel(rest, ";").map((part) => parseSimpleStatement(part, entry.line));
+      return [{ type: "if", branches: [{ cond, body }], elseBody, line: entry.line }];
+    }
+
+    branches.push({ cond, body: parseBlock(entry.indent) });
+    while (pos < lines.length && isElse(lines[pos]) && lines[pos].indent >= entry.indent) {
+      const elseEntry = lines[pos];
+      const elseTokens = elseEntry.tokens.slice(1);
+      const nested = elseTokens[0]?.type === "id" && ["WENN", "IF", "FALLS"].includes(elseTokens[0].key);
+      if (nested) {
+        const branch = parseCondition(elseTokens.slice(1), elseEntry.line, ["DANN", "THEN"]);
+        pos += 1;
+        branches.push({ cond: branch.cond, body: parseBlock(elseEntry.indent) });
+      } else {
+        pos += 1;
+        elseBody = parseBlock(elseEntry.indent);
+        break;
+      }
+    }
+    consumeCloser(entry.indent);
+    return [{ type: "if", branches, elseBody, line: entry.line }];
+  }
+
+  function parseWhile(entry, tokens) {
+    const { cond } = parseCondition(tokens, entry.line, ["TUE", "MACHE", "DO"]);
+    pos += 1;
+    const body = parseBlock(entry.indent);
+    consumeCloser(entry.indent);
+    return [{ type: "while", cond, body, line: entry.line }];
+  }
+
+  function parseFor(entry, tokens) {
+    const cursor = createCursor(tokens, entry.line);
+    const variable = cursor.next();
+    if (variable?.type !== "id") throw new PseudocodeError("syntax", "Expected loop variable", entry.line);
+    cursor.expectOp("=");
+    const from = parseExpression(cursor);
+    cursor.expectKey("BIS", "TO");
+    const to = parseExpression(cursor);
+    let step = null;
+    let down = false;
+    while (!cursor.done()) {
+      if (cursor.isKey("SCHRITT", "STEP")) {
+        cursor.next();
+        step = parseExpression(cursor);
+      } else if (cursor.isKey("ABWAERTS")) {
+        cursor.next();
+        down = true;
+      } else if (cursor.isKey("TUE", "MACHE", "DO")) {
+        cursor.next();
+      } else {
+        throw new PseudocodeError("syntax", `Unexpected "${cursor.peek().value}" in FUER`, entry.line);
+      }
+    }
+    pos += 1;
+    const body = parseBlock(entry.indent);
+    consumeCloser(entry.indent);
+    return [{ type: "for", variable: variable.value, from, to, step, down, body, line: entry.line }];
+  }
+
+  function parseStatement(entry) {
+    const key = lineKey(entry);
+    const tokens = entry.tokens.slice(1);
+    try {
+      if (key === "WENN" || key === "IF" || key === "FALLS") return parseIf(entry, tokens);
+      if (key === "SOLANGE" || key === "WHILE") return parseWhile(entry, tokens);
+      if (key === "FUER" || key === "FOR") return parseFor(entry, tokens);
+      if (FUNCTION_HEADS.has(key)) {
+        throw new PseudocodeError("syntax", "Functions cannot be nested", entry.line);
+      }
+      pos += 1;
+      return splitTopLevel(entry.tokens, ";").map((part) => parseSimpleStatement(part, entry.line));
+    } catch (error) {
+      record(error, entry.line);
+      if (lines[pos] === entry) pos += 1;
+      parseBlock(entry.indent);
+      consumeCloser(entry.indent);
+      return [];
+    }
+  }
+
+  function parseFunction(entry) {
+    const cursor = createCursor(entry.tokens.slice(1), entry.line);
+    const name = cursor.next();
+    if (name?.type !== "id") throw new PseudocodeError("syntax", "Expected function name", entry.line);
+    const params = [];
+    if (cursor.isOp("(")) {
+      cursor.next();
+      while (!cursor.isOp(")")) {
+        const param = cursor.next();
+        if (param?.type !== "id") throw new PseudocodeError("syntax", "Expected parameter name", entry.line);
+        params.push(param.value);
+        if (cursor.isOp(",")) cursor.next();
+        else if (!cursor.isOp(")")) throw new PseudocodeError("syntax", `Expected ")"`, entry.line);
+      }
+      cursor.next();
+    }
+    if (cursor.isOp("->") || cursor.isOp(":")) {
+      cursor.next();
+      cursor.next();
+    }
+    pos += 1;
+    const body = parseBlock(entry.indent);
+    consumeCloser(entry.indent);
+    return { name: name.value, key: name.key, params, body, line: entry.line };
+  }
+
+  function parseProgram() {
+    const functions = [];
+    const main = [];
+    while (pos < lines.length) {
+      const entry = lines[pos];
+      if (FUNCTION_HEADS.has(lineKey(entry))) {
+        try {
+          functions.push(parseFunction(entry));
+        } catch (error) {
+          record(error, entry.line);
+          pos += 1;
+          parseBlock(entry.indent);
+          consumeCloser(entry.indent);
+        }
+      } else if (isCloser(entry) || isElse(entry)) {
+        record(new PseudocodeError("syntax", `Unexpected ${entry.tokens[0].value}`, entry.line), entry.line);
+        pos += 1;
+      } else {
+        main.push(...parseStatement(entry));
+      }
+    }
+    return { functions, main };
+  }
+
+  return { parseProgram };
+}
+
+export function parsePseudocode(source) {
+  const { lines, errors } = sourceLines(source);
+  const program = createParser(lines, errors).parseProgram();
+  errors.sort((a, b) => a.line - b.line);
+  return { program, errors };
+}
+
+// ─── Interpreter ──────────────────────────────────────────────────────────────
+
+const BREAK = Symbol("break");
+
+function describe(value) {
+  if (Array.isArray(value)) return "list";
+  if (value === null || value === undefined) return "nothing";
+  return typeof value;
+}
+
+function valuesEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+  return a === b;
+}
+
+function compareDefault(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+const BUILTINS = {
+  LAENGE: (value) => {
+    if (typeof value === "string" || Array.isArray(value)) return value.length;
+    throw new Error(`LAENGE expects a list or string, got ${describe(value)}`);
+  },
+  TOINT: (value) => {
+    const number = Number.parseInt(String(value), 10);
+    if (Number.isNaN(number)) throw new Error(`TOINT cannot convert "${value}"`);
+    return number;
+  },
+  TOLOWER: (value) => String(value).toLowerCase(),
+  TOUPPER: (value) => String(value).toUpperCase(),
+  ABS: (value) => Math.abs(value),
+  ABRUNDEN: (value) => Math.floor(value),
+  AUFRUNDEN: (value) => Math.ceil(value),
+  WURZEL: (value) => Math.sqrt(value),
+  MIN: (...values) => Math.min(...values),
+  MAX: (...values) => Math.max(...values),
+};
+BUILTINS.LENGTH = BUILTINS.LAENGE;
+BUILTINS.LEN = BUILTINS.LAENGE;
+BUILTINS.INT = BUILTINS.TOINT;
+BUILTINS.FLOOR = BUILTINS.ABRUNDEN;
+BUILTINS.SQRT = BUILTINS.WURZEL;
+
+function createInterpreter(program, maxSteps) {
+  const functions = new Map(program.functions.map((fn) => [fn.key, fn]));
+  const output = [];
+  let steps = 0;
+  let outputBytes = 0;
+  let depth = 0;
+
+  function fail(message, line) {
+    throw new PseudocodeError("runtime", message, line);
+  }
+
+  function tick(line) {
+    steps += 1;
+    if (steps > maxSteps) fail(`Step limit of ${maxSteps} exceeded`, line);
+  }
+
+  function lookup(scope, name, line) {
+    if (!scope.has(name)) fail(`Variable "${name}" is not defined`, line);
+    const value = scope.get(name);
+    if (value === undefined) fail(`Variable "${name}" has no value`, line);
+    return value;
+  }
+
+  function indexValue(container, index, line) {
+    if (Array.isArray(container) || typeof container === "string") {
+      if (!Number.isInteger(index)) fail(`Index ${index} is not an integer`, line);
+      if (index < 0 || index >= container.length) {
+        fail(`Index ${index} out of range (length ${container.length})`, line);
+      }
+      return container[index];
+    }
+    if (container && typeof container === "object") {
+      if (!Object.hasOwn(container, index)) fail(`Field "${index}" does not exist`, line);
+      return container[index];
+    }
+    return fail(`Cannot index into ${describe(container)}`, line);
+  }
+
+  function arithmetic(op, a, b, line) {
+    const concatenates = typeof a === "string" || typeof b === "string" || (Array.isArray(a) && Array.isArray(b));
+    if (op === "+" && concatenates) {
+      const joined = Array.isArray(a) ? [...a, ...b] : `${a}${b}`;
+      if (joined.length > MAX_VALUE_LENGTH) fail(`Values are limited to ${MAX_VALUE_LENGTH} items`, line);
+      return joined;
+    }
+    if (typeof a !== "number" || typeof b !== "number") {
+      fail(`Operator ${op} needs numbers, got ${describe(a)} and ${describe(b)}`, line);
+    }
+    switch (op) {
+      case "+":
+        return a + b;
+      case "-":
+        return a - b;
+      case "*":
+        return a * b;
+      case "/":
+      case "DIV":
+        if (b === 0) fail("Division by zero", line);
+        // Like Java: dividing two integers yields an integer, e.g. mitte = (links + rechts) / 2.
+        return op === "DIV" || (Number.isInteger(a) && Number.isInteger(b)) ? Math.trunc(a / b) : a / b;
+      default:
+        if (b === 0) fail("Division by zero", line);
+        return a % b;
+    }
+  }
+
+  function compare(op, a, b) {
+    switch (op) {
+      case "=":
+      case "==":
+        return valuesEqual(a, b);
+      case "!=":
+      case "<>":
+        return !valuesEqual(a, b);
+      case "<":
+        return a < b;
+      case "<=":
+        return a <= b;
+      case ">":
+        return a > b;
+      default:
+        return a >= b;
+    }
+  }
+
+  function truthy(value, line) {
+    if (typeof value !== "boolean") fail(`Condition must be WAHR or FALSCH, got ${describe(value)}`, line);
+    return value;
+  }
+
+  function evaluate(node, scope, line) {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "list":
+        return node.items.map((item) => evaluate(item, scope, line));
+      case "var":
+        return lookup(scope, node.name, line);
+      case "neg": {
+        const value = evaluate(node.operand, scope, line);
+        if (typeof value !== "number") fail(`Cannot negate ${describe(value)}`, line);
+        return -value;
+      }
+      case "not":
+        return !truthy(evaluate(node.operand, scope, line), line);
+      case "and":
+        return truthy(evaluate(node.left, scope, line), line)
+          && truthy(evaluate(node.right, scope, line), line);
+      case "or":
+        return truthy(evaluate(node.left, scope, line), line)
+          || truthy(evaluate(node.right, scope, line), line);
+      case "compare":
+        return compare(node.op, evaluate(node.left, scope, line), evaluate(node.right, scope, line));
+      case "arith":
+        return arithmetic(node.op, evaluate(node.left, scope, line), evaluate(node.right, scope, line), line);
+      case "index":
+        return indexValue(evaluate(node.target, scope, line), evaluate(node.index, scope, line), line);
+      case "member": {
+        const target = evaluate(node.target, scope, line);
+        const hasLength = Array.isArray(target) || typeof target === "string";
+        if (hasLength && (node.key === "LENGTH" || node.key === "LAENGE")) return target.length;
+        return indexValue(target, node.name, line);
+      }
+      case "method":
+        return callMethod(node, scope, line);
+      case "call":
+        return callFunction(node, scope, line);
+      default:
+        return fail(`Unsupported expression ${node.type}`, line);
+    }
+  }
+
+  function callMethod(node, scope, line) {
+    const target = evaluate(node.target, scope, line);
+    const args = node.args.map((arg) => evaluate(arg, scope, line));
+    if (Array.isArray(target) && ["PUSH", "APPEND", "ADD"].includes(node.key)) {
+      if (target.length + args.length > MAX_VALUE_LENGTH) {
+        fail(`Lists are limited to ${MAX_VALUE_LENGTH} items`, line);
+      }
+      target.push(...args);
+      return null;
+    }
+    return fail(`Unknown method ${node.name}`, line);
+  }
+
+  function callFunction(node, scope, line) {
+    const key = keyword(node.name);
+    const args = node.args.map((arg) => evaluate(arg, scope, line));
+
+    if (scope.has(node.name)) {
+      const value = scope.get(node.name);
+      // Comparator parameters (f, cmp) can be passed as "asc"/"desc" or left out for ascending order.
+      if (value === undefined || COMPARATOR_DIRECTIONS.has(value)) {
+        if (args.length !== 2) fail(`Comparator ${node.name} expects 2 arguments`, line);
+        const result = compareDefault(args[0], args[1]);
+        return value === "desc" ? -result : result;
+      }
+      if (typeof value === "string" && functions.has(keyword(value))) {
+        return invoke(functions.get(keyword(value)), args, line);
+      }
+      fail(`${node.name} is not a function`, line);
+    }
+    if (functions.has(key)) return invoke(functions.get(key), args, line);
+    if (Object.hasOwn(BUILTINS, key)) {
+      try {
+        return BUILTINS[key](...args);
+      } catch (error) {
+        fail(error.message, line);
+      }
+    }
+    return fail(`Unknown function ${node.name}`, line);
+  }
+
+  function assign(target, value, scope, line) {
+    if (target.type === "var") {
+      scope.set(target.name, value);
+      return;
+    }
+    const container = evaluate(target.target, scope, line);
+    const index = target.type === "member" ? target.name : evaluate(target.index, scope, line);
+    if (Array.isArray(container)) {
+      if (!Number.isInteger(index) || index < 0 || index >= container.length) {
+        fail(`Index ${index} out of range (length ${container.length})`, line);
+      }
+      container[index] = value;
+    } else if (container && typeof container === "object") {
+      container[index] = value;
+    } else {
+      fail(`Cannot assign into ${describe(container)}`, line);
+    }
+  }
+
+  function execBlock(body, scope) {
+    for (const statement of body) {
+      const signal = exec(statement, scope);
+      if (signal) return signal;
+    }
+    return null;
+  }
+
+  function exec(statement, scope) {
+    const { line } = statement;
+    tick(line);
+    switch (statement.type) {
+      case "assign":
+        assign(statement.target, evaluate(statement.value, scope, line), scope, line);
+        return null;
+      case "expr":
+        evaluate(statement.expr, scope, line);
+        return null;
+      case "output": {
+        const values = statement.values.map((value) => evaluate(value, scope, line));
+        outputBytes += encoder.encode(JSON.stringify(values)).length;
+        if (outputBytes > MAX_OUTPUT_BYTES) fail(`Output is limited to ${MAX_OUTPUT_BYTES} bytes`, line);
+        output.push(values);
+        return null;
+      }
+      case "return":
+        return { value: statement.value ? evaluate(statement.value, scope, line) : null };
+      case "break":
+        return BREAK;
+      case "swap": {
+        const a = evaluate(statement.a, scope, line);
+        const b = evaluate(statement.b, scope, line);
+        assign(statement.a, b, scope, line);
+        assign(statement.b, a, scope, line);
+        return null;
+      }
+      case "append": {
+        const list = evaluate(statement.list, scope, line);
+        if (!Array.isArray(list)) fail(`FUEGE needs a list, got ${describe(list)}`, line);
+        if (list.length >= MAX_VALUE_LENGTH) fail(`Lists are limited to ${MAX_VALUE_LENGTH} items`, line);
+        list.push(evaluate(statement.value, scope, line));
+        return null;
+      }
+      case "if": {
+        for (const branch of statement.branches) {
+          if (truthy(evaluate(branch.cond, scope, line), line)) return execBlock(branch.body, scope);
+        }
+        return statement.elseBody ? execBlock(statement.elseBody, scope) : null;
+      }
+      case "while": {
+        while (truthy(evaluate(statement.cond, scope, line), line)) {
+          const signal = execBlock(statement.body, scope);
+          if (signal === BREAK) break;
+          if (signal) return signal;
+          tick(line);
+        }
+        return null;
+      }
+      case "for": {
+        const from = evaluate(statement.from, scope, line);
+        const to = evaluate(statement.to, scope, line);
+        const step = statement.step ? evaluate(statement.step, scope, line) : statement.down ? -1 : 1;
+        if (![from, to, step].every((value) => typeof value === "number")) {
+          fail("FUER bounds must be numbers", line);
+        }
+        if (step === 0) fail("SCHRITT must not be 0", line);
+        for (let value = from; step > 0 ? value <= to : value >= to; value += step) {
+          scope.set(statement.variable, value);
+          const signal = execBlock(statement.body, scope);
+          if (signal === BREAK) break;
+          if (signal) return signal;
+          tick(line);
+        }
+        return null;
+      }
+      default:
+        return fail(`Unsupported statement ${statement.type}`, line);
+    }
+  }
+
+  function invoke(fn, args, line) {
+    depth += 1;
+    if (depth > MAX_CALL_DEPTH) fail(`Call depth of ${MAX_CALL_DEPTH} exceeded`, line);
+    const scope = new Map(fn.params.map((param, index) => [param, args[index]]));
+    const signal = execBlock(fn.body, scope);
+    depth -= 1;
+    return signal && signal !== BREAK ? signal.value : null;
+  }
+
+  return {
+    run(entryName, args, namedArgs) {
+      if (!program.functions.length) {
+        const scope = new Map(Object.entries(namedArgs ?? {}));
+        const signal = execBlock(program.main, scope);
+        return {
+          functionName: null,
+          result: signal && signal !== BREAK ? signal.value : null,
+          variables: Object.fromEntries(scope),
+        };
+      }
+      const fn = entryName ? functions.get(keyword(entryName)) : program.functions[0];
+      if (!fn) fail(`Function ${entryName} is not defined`, 0);
+      const bound = fn.params.map((param, index) =>
+        (namedArgs && Object.hasOwn(namedArgs, param) ? namedArgs[param] : args?.[index]));
+      return { functionName: fn.name, result: invoke(fn, bound, fn.line), arguments: bound };
+    },
+    stats: () => ({ steps }),
+    output,
+  };
+}
+
+function cloneInput(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Returns { ok, result, output, steps, errors } — errors carry kind ("syntax" | "runtime") and line.
+export function executePseudocode(source, { entry, args, inputs, maxSteps = DEFAULT_MAX_STEPS } = {}) {
+  const { program, errors } = parsePseudocode(source);
+  if (errors.length) {
+    return { ok: false, result: null, output: [], steps: 0, errors };
+  }
+
+  const interpreter = createInterpreter(program, Math.min(Math.max(1, maxSteps), MAX_STEPS_LIMIT));
+  try {
+    const run = interpreter.run(entry, cloneInput(args), cloneInput(inputs));
+    return {
+      ok: true,
+      function: run.functionName,
+      result: run.result,
+      ...(run.variables ? { variables: run.variables } : { arguments: run.arguments }),
+      output: interpreter.output,
+      steps: interpreter.stats().steps,
+      errors: [],
+    };
+  } catch (error) {
+    if (!(error instanceof PseudocodeError)) throw error;
+    return {
+      ok: false,
+      result: null,
+      output: interpreter.output,
+      steps: interpreter.stats().steps,
+      errors: [{ kind: error.kind, line: error.line, message: error.message }],
+    };
+  }
+}
@@ -0,0 +1,37 @@
+// Seeded randomness for reproducible exams: the same seed string always yields the same
+// sequence, so composed and generated exams can be resumed or shared by seed alone.
+
+// FNV-1a, so a string seed maps onto the 32-bit state of the generator below.
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// mulberry32: tiny, fast and good enough for picking practice questions.
+export function seededRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function shuffleWith(random, items) {
+  const result = [...items];
+  for (let index = result.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+  }
+  return result;
+}
+
+export function seededShuffle(items, seed) {
+  return shuffleWith(seededRandom(seed), items);
+}
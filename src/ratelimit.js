@@ -0,0 +1,132 @@
+// Fixed-window rate limiting. Counters live in a pluggable store:
+// a Durable Object (RATE_LIMITER, atomic), a KV namespace (RATE_LIMIT_KV, best effort)
+// or an in-memory map that only protects a single isolate.
+
+export const DEFAULT_RATE_LIMITS = {
+  search: { limit: 30, window: 60 },
+  pseudocode: { limit: 60, window: 60 },
+  exam: { limit: 30, window: 60 },
+  default: { limit: 120, window: 60 },
+};
+
+// KV rejects expirationTtl values below 60 seconds.
+const KV_MIN_TTL_SECONDS = 60;
+
+function windowBounds(windowSeconds, now) {
+  const size = windowSeconds * 1000;
+  const start = Math.floor(now / size) * size;
+  return { start, resetAt: start + size };
+}
+
+export function createMemoryCounterStore() {
+  const counters = new Map();
+  return {
+    async increment(key, windowSeconds, now = Date.now()) {
+      const { start, resetAt } = windowBounds(windowSeconds, now);
+      for (const [existing, entry] of counters) {
+        if (entry.resetAt <= now) counters.delete(existing);
+      }
+      const bucket = `${key}:${start}`;
+      const count = (counters.get(bucket)?.count ?? 0) + 1;
+      counters.set(bucket, { count, resetAt });
+      return { count, resetAt };
+    },
+  };
+}
+
+// Read-modify-write without atomicity: concurrent requests can undercount slightly.
+export function createKvCounterStore(namespace) {
+  return {
+    async increment(key, windowSeconds, now = Date.now()) {
+      const { start, resetAt } = windowBounds(windowSeconds, now);
+      const bucket = `ratelimit:${key}:${start}`;
+      const count = (Number(await namespace.get(bucket)) || 0) + 1;
+      const ttl = Math.max(KV_MIN_TTL_SECONDS, Math.ceil((resetAt - now) / 1000));
+      await namespace.put(bucket, String(count), { expirationTtl: ttl });
+      return { count, resetAt };
+    },
+  };
+}
+
+export function createDurableObjectCounterStore(namespace) {
+  return {
+    async increment(key, windowSeconds, now = Date.now()) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const response = await stub.fetch("https://rate-limiter/increment", {
+        method: "POST",
+        body: JSON.stringify({ window_seconds: windowSeconds, now }),
+      });
+      const { count, reset_at: resetAt } = await response.json();
+      return { count, resetAt };
+    },
+  };
+}
+
+// One instance per rate-limit key; bound as RATE_LIMITER in wrangler.toml.
+export class RateLimitCounter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { window_seconds: windowSeconds, now } = await request.json();
+    const { start, resetAt } = windowBounds(windowSeconds, now);
+    const stored = await this.state.storage.get("window");
+    const count = stored?.start === start ? stored.count + 1 : 1;
+    await this.state.storage.put("window", { start, count });
+    return Response.json({ count, reset_at: resetAt });
+  }
+}
+
+let isolateStore = null;
+
+export function resolveCounterStore(env) {
+  if (env.RATE_LIMITER) return createDurableObjectCounterStore(env.RATE_LIMITER);
+  if (env.RATE_LIMIT_KV) return createKvCounterStore(env.RATE_LIMIT_KV);
+  isolateStore ??= createMemoryCounterStore();
+  return isolateStore;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// RATE_LIMITS overrides single groups, e.g. {"search": {"limit": 10, "window": 60}}.
+export function resolveRateLimits(env) {
+  let overrides = {};
+  try {
+    overrides = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  } catch {
+    overrides = {};
+  }
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  for (const [group, rule] of Object.entries(overrides ?? {})) {
+    if (isPositiveInteger(rule?.limit) && isPositiveInteger(rule?.window)) {
+      limits[group] = { limit: rule.limit, window: rule.window };
+    }
+  }
+  return limits;
+}
+
+// Counts the request against every key and reports the most exhausted one.
+export async function consumeRateLimit(store, keys, rule, now = Date.now()) {
+  let worst = null;
+  for (const key of keys) {
+    const { count, resetAt } = await store.increment(key, rule.window, now);
+    const remaining = Math.max(0, rule.limit - count);
+    if (!worst || remaining < worst.remaining || (remaining === worst.remaining && count > worst.count)) {
+      worst = { count, remaining, resetAt };
+    }
+  }
+  const limited = worst.count > rule.limit;
+  return {
+    limited,
+    remaining: worst.remaining,
+    retryAfter: limited ? Math.max(1, Math.ceil((worst.resetAt - now) / 1000)) : 0,
+    headers: {
+      "X-RateLimit-Limit": String(rule.limit),
+      "X-RateLimit-Remaining": String(worst.remaining),
+      "X-RateLimit-Reset": String(Math.ceil(worst.resetAt / 1000)),
+    },
+  };
+}
@@ -0,0 +1,108 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+export const MIN_GRADE = 0;
+export const MAX_GRADE = 5;
+
+// Card ids are language independent ("bubblesort:ex01", "wiso:AR-01"): the de and fa
+// exam assets share question ids, so one review history covers both languages.
+export function cardId(topic, questionId) {
+  return `${topic}:${questionId}`;
+}
+
+export function parseCardId(value) {
+  if (typeof value !== "string") return null;
+  const separator = value.indexOf(":");
+  if (separator <= 0 || separator === value.length - 1) return null;
+  return { topic: value.slice(0, separator), questionId: value.slice(separator + 1) };
+}
+
+export function newCardState(id) {
+  return {
+    card_id: id,
+    repetitions: 0,
+    interval_days: 0,
+    ease: DEFAULT_EASE,
+    due_at: null,
+    reviewed_at: null,
+  };
+}
+
+// Client-held states are untrusted, so every field is clamped back into SM-2's range.
+export function normalizeCardState(state) {
+  if (!state || typeof state !== "object" || !parseCardId(state.card_id)) return null;
+  const due = Date.parse(state.due_at);
+  const reviewed = Date.parse(state.reviewed_at);
+  return {
+    card_id: state.card_id,
+    repetitions: Number.isInteger(state.repetitions) && state.repetitions > 0 ? state.repetitions : 0,
+    interval_days: Number.isFinite(state.interval_days) && state.interval_days > 0 ? state.interval_days : 0,
+    ease: Number.isFinite(state.ease) ? Math.max(MIN_EASE, state.ease) : DEFAULT_EASE,
+    due_at: Number.isNaN(due) ? null : new Date(due).toISOString(),
+    reviewed_at: Number.isNaN(reviewed) ? null : new Date(reviewed).toISOString(),
+  };
+}
+
+// SM-2: grades below 3 restart the repetition sequence, the ease factor moves with every answer.
+export function reviewCard(id, state, grade, now = Date.now()) {
+  const normalized = normalizeCardState(state);
+  const current = normalized?.card_id === id ? normalized : newCardState(id);
+  const passed = grade >= 3;
+  const repetitions = passed ? current.repetitions + 1 : 0;
+  let interval = 1;
+  if (passed && current.repetitions === 1) interval = 6;
+  else if (passed && current.repetitions > 1) interval = Math.round(current.interval_days * current.ease);
+
+  const penalty = MAX_GRADE - grade;
+  const ease = Math.max(MIN_EASE, current.ease + (0.1 - penalty * (0.08 + penalty * 0.02)));
+
+  return {
+    card_id: id,
+    repetitions,
+    interval_days: interval,
+    ease: Math.round(ease * 100) / 100,
+    due_at: new Date(now + interval * DAY_MS).toISOString(),
+    reviewed_at: new Date(now).toISOString(),
+  };
+}
+
+// Alternates between topics so a session of new cards is not one topic after the other.
+function interleaveByTopic(cards) {
+  const byTopic = new Map();
+  for (const card of cards) {
+    if (!byTopic.has(card.topic)) byTopic.set(card.topic, []);
+    byTopic.get(card.topic).push(card);
+  }
+  const queues = Array.from(byTopic.values());
+  const result = [];
+  for (let round = 0; result.length < cards.length; round += 1) {
+    for (const queue of queues) {
+      if (round < queue.length) result.push(queue[round]);
+    }
+  }
+  return result;
+}
+
+// catalog: [{ card_id, topic, question }] in asset order. Returns overdue cards first
+// (most overdue at the top) and fills up with never-seen cards.
+export function selectReviewSession(catalog, states, { limit, now = Date.now() }) {
+  const known = new Map();
+  for (const state of states) {
+    const normalized = normalizeCardState(state);
+    if (normalized) known.set(normalized.card_id, normalized);
+  }
+
+  const due = catalog
+    .filter((card) => known.has(card.card_id))
+    .map((card) => ({ ...card, state: known.get(card.card_id) }))
+    .filter((card) => !card.state.due_at || Date.parse(card.state.due_at) <= now)
+    .sort((a, b) => (Date.parse(a.state.due_at) || 0) - (Date.parse(b.state.due_at) || 0))
+    .slice(0, limit)
+    .map((card) => ({ ...card, status: "due" }));
+
+  const fresh = interleaveByTopic(catalog.filter((card) => !known.has(card.card_id)))
+    .slice(0, limit - due.length)
+    .map((card) => ({ ...card, status: "new", state: newCardState(card.card_id) }));
+
+  return [...due, ...fresh];
+}
@@ -0,0 +1,285 @@
+import { normalizeText } from "./exam.js";
+
+const STOPWORDS = new Set([
+  "alle", "angegeben", "auch", "begruendung", "benannt", "bzw", "dass", "durch", "eine", "einer",
+  "eines", "erklaert", "falsch", "falsche", "falscher", "falsches", "fuer", "genannt", "inkl",
+  "korrekt", "korrekte", "korrekter", "korrektes", "mindestens", "nicht", "oder", "ohne", "richtig",
+  "sinnvolle", "sinnvoller", "sowie", "statt", "und", "vollstaendig", "warum", "wird", "zwei", "drei",
+]);
+
+// Pseudocode rarely repeats the wording of a criterion, so concept words also
+// count as hit when the answer contains the construct they describe.
+const CONCEPT_MARKERS = [
+  ["schleife", /\b(solange|fuer|for|while|wiederhole)\b/],
+  ["aeusser", /\b(solange|fuer|for|while)\b/],
+  ["inner", /\b(solange|fuer|for|while)\b/],
+  ["iteration", /\b(solange|fuer|for|while)\b/],
+  ["bedingung", /\b(wenn|solange|if|while)\b/],
+  ["fallunterscheid", /\b(sonst|else)\b/],
+  ["vergleich", /<=|>=|!=|<|>|=/],
+  ["initialisier", /\b\w+\s*=\s*[^=\s]/],
+  ["variable", /\b\w+\s*=\s*[^=\s]/],
+  ["grenze", /\b(links|rechts|left|right|low|high)\b/],
+  ["update", /\b\w+\s*=\s*\w+\s*[+-]\s*1\b/],
+  ["rueckgabe", /\b(zurueck|return)\b/],
+  ["verschieb", /\w+\[[^\]]+\]\s*=\s*\w+\[[^\]]+\]/],
+  ["einfueg", /\w+\[[^\]]+\]\s*=\s*\w+/],
+  ["tausch", /\b(tausche|vertausche|swap)\b/],
+];
+
+const FULL_CREDIT_RATIO = 0.75;
+
+const OPERAND = String.raw`(?:[A-Za-z_]\w*(?:\[[^\]\s]*\])?|\d+)(?![\p{L}\w])`;
+const CODE_FRAGMENT_PATTERN = new RegExp(
+  String.raw`${OPERAND}(?:\s*(?:<=|>=|!=|==|<|>|=)\s*-?${OPERAND}|\s*[+-]\s*\d+(?![\p{L}\w]))+`,
+  "gu",
+);
+
+function compactCode(value) {
+  return normalizeText(value)
+    .replace(/≤/g, "<=")
+    .replace(/≥/g, ">=")
+    .replace(/≠/g, "!=")
+    .replace(/==/g, "=")
+    .replace(/\s+/g, "");
+}
+
+function parsePoints(text, pattern) {
+  const match = text.match(pattern);
+  return match ? Number(match[1].replace(",", ".")) : 0;
+}
+
+function stripAnnotations(text) {
+  return text.replace(/\([^)]*\)\s*$/, "").trim();
+}
+
+function extractFragments(text) {
+  return Array.from(text.matchAll(CODE_FRAGMENT_PATTERN), (match) => match[0].trim());
+}
+
+function extractKeywords(text) {
+  let rest = text;
+  for (const fragment of extractFragments(text)) {
+    rest = rest.replace(fragment, " ");
+  }
+  const words = normalizeText(rest).split(/[^a-z0-9]+/);
+  return Array.from(new Set(words.filter((word) => word.length >= 4 && !STOPWORDS.has(word))));
+}
+
+function answerWords(answer) {
+  const text = normalizeText(answer);
+  return { text, list: text.split(/[^a-z0-9]+/).filter(Boolean) };
+}
+
+// Keywords match on a shared stem so "Initialisierung" also accepts "initialisiere".
+function sharesStem(words, keyword) {
+  const stem = keyword.slice(0, Math.max(4, Math.min(keyword.length, 6)));
+  return words.list.some((word) => word.startsWith(stem));
+}
+
+function hasKeyword(words, keyword) {
+  if (sharesStem(words, keyword)) return true;
+  return CONCEPT_MARKERS.some(([concept, marker]) => keyword.startsWith(concept) && marker.test(words.text));
+}
+
+// Standalone numbers ("49 -> nicht bestanden", "Ausgabe 0"); list markers such as "1)" are skipped.
+function extractNumbers(text) {
+  const matches = normalizeText(text).matchAll(/(?<![\w.])-?\d+(?![\w)]|\.\d)/g);
+  return Array.from(new Set(Array.from(matches, (m) => m[0])));
+}
+
+function splitCamelCase(keyword) {
+  return keyword.replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+// The model answer, cut into lines and sentences: answer_short, answer_long, each pseudocode line
+// and the keywords. Criteria are checked against the units that talk about them.
+function referenceUnits(question) {
+  const prose = [question.answer_short, question.answer_long]
+    .filter((text) => typeof text === "string")
+    .flatMap((text) => text.split(/\n|(?<=[.!?])\s+(?=\p{Lu})/u));
+  const code = typeof question.pseudocode === "string" ? question.pseudocode.split("\n") : [];
+  const keywords = Array.isArray(question.keywords)
+    ? question.keywords.filter((item) => typeof item === "string").map(splitCamelCase)
+    : [];
+  const unit = (source) => (text) => ({ source, text: text.trim(), words: answerWords(text) });
+  return [...prose.map(unit("prose")), ...code.map(unit("code")), ...keywords.map(unit("prose"))].filter(
+    (item) => item.text,
+  );
+}
+
+// What an answer has to contain, taken from reference units. Terms that occur in the scoring
+// guide itself are left out: repeating the rubric must not earn its points.
+function expectedTerms(units, rubric) {
+  const fragments = new Set();
+  const numbers = new Set();
+  const words = new Set();
+  for (const unit of units) {
+    for (const fragment of extractFragments(normalizeText(unit.text))) {
+      const compact = compactCode(fragment);
+      if (!rubric.compact.includes(compact)) fragments.add(compact);
+    }
+    for (const number of extractNumbers(unit.text)) {
+      if (!rubric.numbers.has(number)) numbers.add(number);
+    }
+    for (const word of extractKeywords(unit.text)) {
+      if (!sharesStem(rubric.words, word)) words.add(word);
+    }
+  }
+  return { fragments: [...fragments], numbers: [...numbers], words: [...words] };
+}
+
+function matchTerms(expected, answer, words) {
+  const compactAnswer = compactCode(answer);
+  const answerNumbers = new Set(extractNumbers(answer));
+  const result = { hit: 0, total: 0, fragmentHit: 0, fragmentTotal: 0, matched: [], missing: [] };
+  const check = (term, weight, hit) => {
+    result.total += weight;
+    if (hit) result.hit += weight;
+    (hit ? result.matched : result.missing).push(term);
+  };
+  for (const fragment of expected.fragments) {
+    const hit = compactAnswer.includes(fragment);
+    check(fragment, 2, hit);
+    result.fragmentTotal += 1;
+    if (hit) result.fragmentHit += 1;
+  }
+  for (const number of expected.numbers) check(number, 1, answerNumbers.has(number));
+  for (const keyword of expected.words) check(keyword, 1, hasKeyword(words, keyword));
+  return result;
+}
+
+// The pseudocode and the written explanation are scored as separate references and the answer
+// gets the better of the two: correct code need not repeat the explanation, nor the other way round.
+function bestMatch(units, answer, words, rubric) {
+  return ["code", "prose"]
+    .map((source) => units.filter((unit) => unit.source === source))
+    .map((sourceUnits) => matchTerms(expectedTerms(sourceUnits, rubric), answer, words))
+    .filter((match) => match.total)
+    .sort((left, right) => right.hit / right.total - left.hit / left.total)[0];
+}
+
+function evaluateCriterion(criterion, answer, words, reference) {
+  const points = parsePoints(criterion, /\((\d+(?:[.,]\d+)?)\s*P\)\s*$/i);
+  const label = stripAnnotations(criterion);
+  const criterionFragments = extractFragments(label).map(compactCode);
+  const criterionKeywords = extractKeywords(label);
+  const relevant = reference.units.filter(
+    (unit) =>
+      criterionKeywords.some((keyword) => hasKeyword(unit.words, keyword)) ||
+      criterionFragments.some((fragment) => compactCode(unit.text).includes(fragment)),
+  );
+  // A criterion the model answer never names ("Alle Iterationswerte korrekt") covers all of it.
+  const match =
+    bestMatch(relevant, answer, words, reference.rubric) ??
+    bestMatch(reference.units, answer, words, reference.rubric);
+  if (!match) {
+    return { criterion: label, points, awarded: null, checked: false, matched: [], missing: [] };
+  }
+  // Code is not graded by overlap: a fragment the criterion names (`links <= rechts`) must be in
+  // the answer for any credit, and each missing fragment of the model lines it covers costs its share.
+  const compactAnswer = compactCode(answer);
+  const ownFragments = criterionFragments.filter((fragment) => reference.compact.includes(fragment));
+  const ownMatched = ownFragments.filter((fragment) => compactAnswer.includes(fragment));
+  const fragmentTotal = match.fragmentTotal + ownFragments.length;
+  const fragmentShare = fragmentTotal ? (match.fragmentHit + ownMatched.length) / fragmentTotal : 1;
+  const ownShare = ownFragments.length ? ownMatched.length / ownFragments.length : 1;
+  const ratio = match.hit / match.total;
+  const credit = Math.min(ratio >= FULL_CREDIT_RATIO ? 1 : ratio, fragmentShare, ownShare);
+  return {
+    criterion: label,
+    points,
+    awarded: Math.round(points * credit * 2) / 2,
+    checked: true,
+    matched: [...ownMatched, ...match.matched],
+    missing: [...ownFragments.filter((fragment) => !ownMatched.includes(fragment)), ...match.missing],
+  };
+}
+
+// Only deductions that name something missing ("Fehlender -1 Fall") or a concrete
+// wrong fragment ("links < rechts statt links <= rechts") can be checked mechanically; a missing
+// item only counts when the model answer has it.
+function evaluateDeduction(deduction, answer, words, reference) {
+  const points = parsePoints(deduction, /\(-\s*(\d+(?:[.,]\d+)?)[^)]*\)\s*$/);
+  const label = stripAnnotations(deduction);
+  const result = { deduction: label, points, checked: false, applied: false };
+
+  const missingMatch = label.match(/^(?:fehlende[rsn]?|keine[rsn]?|ohne)\s+(.+)$/i);
+  if (missingMatch) {
+    const compactAnswer = compactCode(answer);
+    const items = [...extractFragments(missingMatch[1]), ...(missingMatch[1].match(/-?\d+/g) ?? [])]
+      .map(compactCode)
+      .filter((item) => reference.compact.includes(item));
+    if (items.length) {
+      result.checked = true;
+      result.applied = items.every((item) => !compactAnswer.includes(item));
+      return result;
+    }
+    const keywords = extractKeywords(missingMatch[1])
+      .filter((keyword) => hasKeyword(reference.words, keyword));
+    if (keywords.length) {
+      result.checked = true;
+      result.applied = keywords.every((keyword) => !hasKeyword(words, keyword));
+    }
+    return result;
+  }
+
+  const insteadMatch = label.match(/^(.+?)\s+statt\s+(.+)$/i);
+  if (insteadMatch) {
+    const [wrong] = extractFragments(insteadMatch[1]);
+    const [right] = extractFragments(insteadMatch[2]);
+    if (wrong && right) {
+      const compactAnswer = compactCode(answer);
+      result.checked = true;
+      result.applied = compactAnswer.includes(compactCode(wrong)) && !compactAnswer.includes(compactCode(right));
+    }
+  }
+
+  return result;
+}
+
+export function scoreRubricAnswer(question, answer) {
+  const guide = question?.scoring_guide;
+  const criteria = Array.isArray(guide?.criteria) ? guide.criteria.filter((item) => typeof item === "string") : [];
+  const deductions = Array.isArray(guide?.common_deductions)
+    ? guide.common_deductions.filter((item) => typeof item === "string")
+    : [];
+  const maxPoints = Number(guide?.max_points ?? question?.points) || 0;
+  const words = answerWords(answer);
+  const units = referenceUnits(question);
+  const referenceText = units.map((unit) => unit.text).join("\n");
+  const rubricText = [...criteria, ...deductions].map(stripAnnotations).join("\n");
+  const reference = {
+    units,
+    compact: compactCode(referenceText),
+    words: answerWords(referenceText),
+    rubric: {
+      compact: compactCode(rubricText),
+      numbers: new Set(extractNumbers(rubricText)),
+      words: answerWords(rubricText),
+    },
+  };
+
+  const criteriaResults = criteria.map((criterion) => evaluateCriterion(criterion, answer, words, reference));
+  const deductionResults = deductions.map((deduction) =>
+    evaluateDeduction(deduction, answer, words, reference),
+  );
+
+  const earned = criteriaResults.reduce((sum, item) => sum + (item.awarded ?? 0), 0);
+  const deducted = deductionResults
+    .filter((item) => item.applied)
+    .reduce((sum, item) => sum + item.points, 0);
+
+  const unchecked = criteriaResults
+    .filter((item) => !item.checked)
+    .reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    question_id: question.id,
+    max_points: maxPoints,
+    awarded_points: Math.max(0, Math.min(maxPoints, earned - deducted)),
+    unchecked_points: unchecked,
+    criteria: criteriaResults,
+    deductions: deductionResults,
+  };
+}
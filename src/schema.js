@@ -0,0 +1,119 @@
+// A small JSON Schema validator for the tutor asset schemas. Covers the keywords those
+// schemas use: type, enum, const, required, properties, additionalProperties, items,
+// minItems, minLength, minimum, pattern, anyOf, allOf, if/then and local $ref ("#/$defs/...").
+// Workers forbid runtime code generation, which rules out Ajv-style compiled validators.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node?.[key.replaceAll("~1", "/").replaceAll("~0", "~")], root);
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replaceAll("~", "~0").replaceAll("/", "~1")}`;
+}
+
+function check(root, schema, value, path, errors) {
+  if (errors.length >= errors.limit || schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed" });
+    return;
+  }
+  if (schema.$ref) {
+    check(root, resolveRef(root, schema.$ref), value, path, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(" or ")}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map((item) => JSON.stringify(item)).join(", ");
+    errors.push({ path, message: `must be one of ${allowed}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      const message =
+        schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`;
+      errors.push({ path, message });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(root, schema.items, item, pointer(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(value, key)) errors.push({ path: pointer(path, key), message: "is required" });
+    }
+    const properties = schema.properties ?? {};
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) check(root, properties[key], item, pointer(path, key), errors);
+      else if (schema.additionalProperties !== undefined) {
+        check(root, schema.additionalProperties, item, pointer(path, key), errors);
+      }
+    }
+  }
+
+  for (const part of schema.allOf ?? []) check(root, part, value, path, errors);
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => validateAgainst(root, option, value).length === 0);
+    if (!matches) errors.push({ path, message: "does not match any allowed shape" });
+  }
+  if (schema.if && schema.then && validateAgainst(root, schema.if, value).length === 0) {
+    check(root, schema.then, value, path, errors);
+  }
+}
+
+function validateAgainst(root, schema, value, maxErrors = Infinity) {
+  const errors = [];
+  errors.limit = maxErrors;
+  check(root, schema, value, "", errors);
+  return Array.from(errors);
+}
+
+// Returns [{ path, message }] with JSON Pointer paths; an empty array means valid.
+export function validateSchema(schema, value, { maxErrors = Infinity } = {}) {
+  return validateAgainst(schema, schema, value, maxErrors);
+}
+
+// Asset files either hold one document or, like fiae_2023.json, an array of documents.
+export function assetDocuments(payload) {
+  return Array.isArray(payload)
+    ? payload.map((document, index) => ({ document, path: `/${index}` }))
+    : [{ document: payload, path: "" }];
+}
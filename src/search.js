@@ -0,0 +1,121 @@
+import { normalizeText } from "./exam.js";
+
+export const SEARCH_INDEX_SCHEMA = "tutor_search_index.v1";
+const SNIPPET_LENGTH = 160;
+const MIN_PREFIX_LENGTH = 3;
+
+// Persian text mixes Arabic code points (ي/ك), optional diacritics and zero-width
+// non-joiners; fold them so "شبه‌كد" and "شبه کد" produce the same terms.
+function foldPersian(text) {
+  return text
+    .replace(/[يى]/g, "ی")
+    .replace(/ك/g, "ک")
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, "")
+    .replace(/\u200C/g, " ");
+}
+
+export function searchTerms(value) {
+  return foldPersian(normalizeText(value))
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= 2);
+}
+
+function termCounts(text) {
+  const counts = new Map();
+  for (const term of searchTerms(text)) {
+    counts.set(term, (counts.get(term) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// documents: [{ topic, lang, mode, title, ref, text }] — ref is the deep link inside the asset.
+export function buildSearchIndex(documents) {
+  const postings = new Map();
+  const docs = documents.map((document, docIndex) => {
+    for (const [term, count] of termCounts(`${document.title}\n${document.text}`)) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([docIndex, count]);
+    }
+    return {
+      topic: document.topic,
+      lang: document.lang,
+      mode: document.mode,
+      title: document.title,
+      ref: document.ref,
+      text: document.text,
+    };
+  });
+
+  return {
+    schema_name: SEARCH_INDEX_SCHEMA,
+    docs,
+    terms: Object.fromEntries(Array.from(postings.entries()).sort(([a], [b]) => a.localeCompare(b))),
+  };
+}
+
+function termMatches(index, queryTerm) {
+  const exact = index.terms[queryTerm];
+  const matches = exact ? [{ postings: exact, weight: 1 }] : [];
+  if (queryTerm.length < MIN_PREFIX_LENGTH) return matches;
+  for (const [term, postings] of Object.entries(index.terms)) {
+    if (term !== queryTerm && term.startsWith(queryTerm)) matches.push({ postings, weight: 0.5 });
+  }
+  return matches;
+}
+
+function makeSnippet(text, queryTerms) {
+  const lines = text.split(/\n+/).map((line) => line.trim()).filter(Boolean);
+  const hit = lines.find((line) => {
+    const terms = searchTerms(line);
+    return queryTerms.some((queryTerm) => terms.some((term) => term.startsWith(queryTerm)));
+  }) ?? lines[0] ?? "";
+  return hit.length > SNIPPET_LENGTH ? `${hit.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : hit;
+}
+
+// Every query term has to match (exactly or as a prefix); rarer terms weigh more.
+export function searchContent(index, query, { lang = "", mode = "", limit = 20 } = {}) {
+  const queryTerms = Array.from(new Set(searchTerms(query)));
+  const docs = Array.isArray(index?.docs) ? index.docs : [];
+  if (!queryTerms.length || !index?.terms) return { total: 0, hits: [] };
+
+  const scores = new Map();
+  const matchedTerms = new Map();
+  for (const queryTerm of queryTerms) {
+    for (const { postings, weight } of termMatches(index, queryTerm)) {
+      const idf = Math.log(1 + docs.length / postings.length);
+      for (const [docIndex, count] of postings) {
+        const doc = docs[docIndex];
+        if (!doc || (lang && doc.lang !== lang) || (mode && doc.mode !== mode)) continue;
+        scores.set(docIndex, (scores.get(docIndex) ?? 0) + weight * idf * (1 + Math.log(count)));
+        if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+        matchedTerms.get(docIndex).add(queryTerm);
+      }
+    }
+  }
+
+  const phrase = queryTerms.join(" ");
+  const ranked = Array.from(scores.entries())
+    .filter(([docIndex]) => matchedTerms.get(docIndex).size === queryTerms.length)
+    .map(([docIndex, score]) => {
+      const doc = docs[docIndex];
+      const inTitle = queryTerms.length > 1 && searchTerms(doc.title).join(" ").includes(phrase);
+      const inText = queryTerms.length > 1 && searchTerms(doc.text).join(" ").includes(phrase);
+      return { doc, score: score * (inTitle ? 2 : 1) * (inText ? 1.5 : 1) };
+    })
+    .sort((a, b) => b.score - a.score || a.doc.topic.localeCompare(b.doc.topic));
+
+  return {
+    total: ranked.length,
+    hits: ranked.slice(0, limit).map(({ doc, score }) => ({
+      topic: doc.topic,
+      lang: doc.lang,
+      mode: doc.mode,
+      title: doc.title,
+      ref: doc.ref,
+      snippet: makeSnippet(doc.text, queryTerms),
+      score: Math.round(score * 1000) / 1000,
+    })),
+  };
+}
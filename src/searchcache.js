@@ -0,0 +1,74 @@
+// Cache API wrapper for the YouTube search proxy. An entry is fresh for `ttl` seconds,
+// served stale while it is revalidated for `swr` more, and kept for `maxStale` seconds
+// as a fallback for when the upstream fails.
+
+export const DEFAULT_SEARCH_CACHE = { ttl: 3600, swr: 86400, maxStale: 7 * 86400 };
+
+// Synthetic host: the Cache API only needs a URL-shaped GET key, it is never fetched.
+const CACHE_KEY_ORIGIN = "https://youtube-search.cache";
+
+export function normalizeSearchQuery(query) {
+  return String(query ?? "")
+    .normalize("NFC")
+    .toLocaleLowerCase("de")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// One entry per page: the language hint and continuation cursor change what YouTube returns.
+function cacheKey({ query, lang = null, continuation = null }) {
+  const params = new URLSearchParams({ q: query });
+  if (lang) params.set("hl", lang);
+  if (continuation) params.set("continuation", continuation);
+  return new Request(`${CACHE_KEY_ORIGIN}/search?${params}`, { method: "GET" });
+}
+
+function seconds(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function resolveSearchCacheConfig(env) {
+  return {
+    ttl: seconds(env.SEARCH_CACHE_TTL, DEFAULT_SEARCH_CACHE.ttl),
+    swr: seconds(env.SEARCH_CACHE_SWR, DEFAULT_SEARCH_CACHE.swr),
+    maxStale: seconds(env.SEARCH_CACHE_MAX_STALE, DEFAULT_SEARCH_CACHE.maxStale),
+  };
+}
+
+// caches.default exists on Workers only; SEARCH_CACHE lets tests inject a cache.
+export function resolveSearchCache(env) {
+  return env.SEARCH_CACHE ?? globalThis.caches?.default ?? null;
+}
+
+// `search` is { query (normalized), lang, continuation }. Returns { page, age, state } with
+// state "fresh", "revalidate" or "stale", or null.
+export async function readSearchCache(cache, search, config, now = Date.now()) {
+  const cached = await cache.match(cacheKey(search));
+  if (!cached) return null;
+  let entry;
+  try {
+    entry = await cached.json();
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(entry?.page?.results) || !Number.isFinite(entry.stored_at)) return null;
+
+  const age = Math.max(0, Math.floor((now - entry.stored_at) / 1000));
+  if (age > config.ttl + Math.max(config.swr, config.maxStale)) return null;
+  let state = "stale";
+  if (age <= config.ttl) state = "fresh";
+  else if (age <= config.ttl + config.swr) state = "revalidate";
+  return { page: entry.page, age, state };
+}
+
+export async function writeSearchCache(cache, search, page, config, now = Date.now()) {
+  const retention = config.ttl + Math.max(config.swr, config.maxStale);
+  const response = new Response(JSON.stringify({ page, stored_at: now }), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": `public, max-age=${retention}`,
+    },
+  });
+  await cache.put(cacheKey(search), response);
+}
@@ -0,0 +1,58 @@
+// Minimal key/value store over the bindings the worker can be deployed with.
+// Values are JSON documents; `get` resolves to null for unknown keys. `claim` writes a key only
+// if it is not set yet and resolves to whether this call set it.
+
+export function createKvStore(namespace) {
+  return {
+    kind: "kv",
+    async get(key) {
+      return namespace.get(key, "json");
+    },
+    async put(key, value) {
+      await namespace.put(key, JSON.stringify(value));
+    },
+    // KV has no compare-and-set: two claims within its propagation delay can both succeed.
+    async claim(key, value) {
+      if ((await namespace.get(key)) !== null) return false;
+      await namespace.put(key, JSON.stringify(value));
+      return true;
+    },
+  };
+}
+
+// Expects the table from migrations/0001_kv_store.sql.
+export function createD1Store(db) {
+  return {
+    kind: "d1",
+    async get(key) {
+      const row = await db.prepare("SELECT value FROM kv_store WHERE key = ?1").bind(key).first();
+      return row ? JSON.parse(row.value) : null;
+    },
+    async put(key, value) {
+      await db
+        .prepare(
+          "INSERT INTO kv_store (key, value, updated_at) VALUES (?1, ?2, ?3) " +
+            "ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at",
+        )
+        .bind(key, JSON.stringify(value), new Date().toISOString())
+        .run();
+    },
+    // Atomic: of concurrent inserts for one key, exactly one changes a row.
+    async claim(key, value) {
+      const result = await db
+        .prepare(
+          "INSERT INTO kv_store (key, value, updated_at) VALUES (?1, ?2, ?3) ON CONFLICT(key) DO NOTHING",
+        )
+        .bind(key, JSON.stringify(value), new Date().toISOString())
+        .run();
+      return result.meta.changes === 1;
+    },
+  };
+}
+
+// D1 wins when both bindings are configured. Returns null when neither is bound.
+export function resolveProgressStore(env) {
+  if (env.PROGRESS_DB) return createD1Store(env.PROGRESS_DB);
+  if (env.PROGRESS_KV) return createKvStore(env.PROGRESS_KV);
+  return null;
+}
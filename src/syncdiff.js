@@ -0,0 +1,67 @@
+// Change report for the fiae sync: which of its asset files are added, changed or removed, and
+// inside a changed file which questions or variants (by id) and which other fields differ.
+
+// Item lists compared by id; every other field is compared as a whole.
+const ITEM_LISTS = ["questions", "variants"];
+
+function sameJson(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function itemsById(list) {
+  const items = Array.isArray(list) ? list : [];
+  return new Map(
+    items.map((item, index) => [typeof item?.id === "string" && item.id ? item.id : `#${index}`, item]),
+  );
+}
+
+function byName(a, b) {
+  return a.localeCompare(b);
+}
+
+// Returns { fields, items: { added, changed, removed } }. A list that was only reordered
+// shows up in `fields`.
+export function diffAsset(before, after) {
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  const fields = Array.from(keys).filter(
+    (field) => !ITEM_LISTS.includes(field) && !sameJson(before?.[field], after?.[field]),
+  );
+  const items = { added: [], changed: [], removed: [] };
+  for (const list of ITEM_LISTS) {
+    const previous = itemsById(before?.[list]);
+    const next = itemsById(after?.[list]);
+    let differs = false;
+    for (const [id, item] of next) {
+      if (!previous.has(id)) items.added.push(id);
+      else if (!sameJson(previous.get(id), item)) items.changed.push(id);
+      else continue;
+      differs = true;
+    }
+    for (const id of previous.keys()) {
+      if (next.has(id)) continue;
+      items.removed.push(id);
+      differs = true;
+    }
+    if (!differs && !sameJson(before?.[list], after?.[list])) fields.push(list);
+  }
+  for (const ids of Object.values(items)) ids.sort(byName);
+  return { fields: fields.sort(byName), items };
+}
+
+// `generated` and `current` map file names to file text; `owned` holds the names the sync
+// wrote last time (its manifest). Files the sync does not own are never overwritten or removed:
+// a generated file that already exists without being owned is reported as `foreign`.
+export function planSync({ generated, current, owned }) {
+  const plan = { added: [], changed: [], unchanged: [], removed: [], foreign: [] };
+  for (const [name, text] of generated) {
+    if (!current.has(name)) plan.added.push(name);
+    else if (!owned.has(name)) plan.foreign.push(name);
+    else if (current.get(name) !== text) plan.changed.push(name);
+    else plan.unchanged.push(name);
+  }
+  for (const name of owned) {
+    if (!generated.has(name) && current.has(name)) plan.removed.push(name);
+  }
+  for (const names of Object.values(plan)) names.sort(byName);
+  return plan;
+}
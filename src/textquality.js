@@ -0,0 +1,137 @@
+// Encoding repair and text lint for synced assets. fiae-tutor-core files are not all UTF-8:
+// some carry a BOM, some were saved as Windows-1252, and some went through a tool that wrote
+// every non-ASCII character as "?" ("P?sse", Persian "?????"). The first two can be repaired;
+// the last is lost and can only be reported.
+
+const UTF8 = new TextDecoder("utf-8", { fatal: true });
+// Windows-1252 for 0x80-0x9f; the rest matches Latin-1. Node's TextDecoder decodes the
+// "windows-1252" label as plain Latin-1, so the table is spelled out.
+const WINDOWS_1252_C1 = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ";
+
+function windows1252Char(byte) {
+  return byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_C1[byte - 0x80] : String.fromCharCode(byte);
+}
+
+const BYTE_BY_CHAR = new Map(Array.from({ length: 256 }, (_, byte) => [windows1252Char(byte), byte]));
+
+// Runs of characters that UTF-8 bytes turn into when read as Windows-1252 ("fÃ¼r", "â€“").
+const MOJIBAKE_RUN = /[\u0080-ÿŒœŠšŸŽžƒˆ˜–—‘-‚“-„†-•…‰‹›€™]{2,}/g;
+// "?" inside or at the start of a word, or several in a row: a lost character, not a question.
+const SUBSTITUTION = /\?{2,}|\p{L}\?\p{L}|(?<![\p{L}\p{N}?])\?\p{L}/u;
+const EXCERPT_RADIUS = 20;
+
+// Words whose ASCII transliteration is never a different German word. Anything not listed
+// keeps its spelling: "neue", "Queue" and "aktuell" contain "ue" legitimately.
+const UMLAUT_WORDS = [
+  "abhängig", "Änderung", "ändern", "ausführen", "Begründe", "begründen", "binäre", "eigenhändiger",
+  "einfügen", "eingefügt", "enthält", "erfüllt", "erklärt", "Erläutern", "fällt", "fälschlich",
+  "früh", "führt", "Führe", "für", "geprüft", "gültig", "größer", "größte", "Günstigkeitsprinzip",
+  "Kündigung", "kürzer", "Länge", "längste", "möglich", "Pässe", "Prädikat", "Priorität", "prüfen",
+  "Prüft", "Prüfung", "Prüfungslogik", "Prüfungssimulation", "Prüfziffer", "Rückgabe",
+  "Rückgabewert", "Sonderkündigungsschutz", "Stabilität", "Tätigkeit", "Tätigkeiten", "über",
+  "überflüssiger", "überlaufen", "unverändert", "wäre", "würde", "Zeitkomplexität", "zurück",
+  "zurückgeben", "zurückgesetzt",
+];
+
+function transliterate(word) {
+  return word.toLowerCase().replace(/[äöüß]/g, (char) => ({ ä: "ae", ö: "oe", ü: "ue", ß: "ss" })[char]);
+}
+
+const UMLAUT_BY_TRANSLITERATION = new Map(UMLAUT_WORDS.map((word) => [transliterate(word), word]));
+
+function pointer(path, key) {
+  return `${path}/${String(key).replaceAll("~", "~0").replaceAll("/", "~1")}`;
+}
+
+// Calls `visit(text, path, key)` for every string in a JSON value and returns the rebuilt value.
+function mapStrings(value, visit, path = "", key = null) {
+  if (typeof value === "string") return visit(value, path, key);
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapStrings(item, visit, pointer(path, index), key));
+  }
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [
+      field,
+      mapStrings(item, visit, pointer(path, field), field),
+    ]),
+  );
+}
+
+// Decodes a source file by its BOM, else as UTF-8, else as Windows-1252. Latin-1 is the
+// Windows-1252 subset without 0x80-0x9f, so it decodes the same way.
+export function decodeSourceText(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: UTF8.decode(bytes.subarray(3)), encoding: "utf-8-bom" };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "utf-16le" };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "utf-16be" };
+  }
+  try {
+    return { text: UTF8.decode(bytes), encoding: "utf-8" };
+  } catch {
+    const hasC1 = bytes.some((byte) => byte >= 0x80 && byte <= 0x9f);
+    const text = Array.from(bytes, windows1252Char).join("");
+    return { text, encoding: hasC1 ? "windows-1252" : "latin-1" };
+  }
+}
+
+// Undoes UTF-8 that was read as Windows-1252 and saved again. Runs that do not form valid
+// UTF-8 ("ä" on its own, "äß") are real text and stay.
+export function repairMojibake(text) {
+  return text.replace(MOJIBAKE_RUN, (run) => {
+    try {
+      return UTF8.decode(Uint8Array.from(run, (char) => BYTE_BY_CHAR.get(char)));
+    } catch {
+      return run;
+    }
+  });
+}
+
+function restoreUmlauts(word) {
+  const restored = UMLAUT_BY_TRANSLITERATION.get(word.toLowerCase());
+  if (!restored) return word;
+  const first = word[0] === word[0].toUpperCase() ? restored[0].toUpperCase() : restored[0].toLowerCase();
+  return first + restored.slice(1);
+}
+
+// "fuer" -> "für" for the listed words. Inline code (`...`) and all-caps words are left
+// alone: pseudocode keywords such as ZURUECK and FUER are spelled in ASCII on purpose.
+export function normalizeTransliterations(text) {
+  return text
+    .split(/(`[^`]*`)/)
+    .map((part, index) =>
+      index % 2
+        ? part
+        : part.replace(/(?<![\p{L}\p{N}_])\p{L}+(?![\p{L}\p{N}_])/gu, (word) =>
+          word.length > 1 && word === word.toUpperCase() ? word : restoreUmlauts(word),
+        ),
+    )
+    .join("");
+}
+
+// Applies normalizeTransliterations to every string except `pseudocode` fields.
+export function normalizeAssetTransliterations(payload) {
+  return mapStrings(payload, (text, path, key) =>
+    key === "pseudocode" ? text : normalizeTransliterations(text),
+  );
+}
+
+// Returns [{ path, count, excerpt }] for every string that still holds "?" substitutions;
+// `path` is a JSON Pointer into the payload.
+export function findSubstitutions(payload) {
+  const found = [];
+  mapStrings(payload, (text, path) => {
+    const matches = text.match(new RegExp(SUBSTITUTION.source, "gu"));
+    if (matches) {
+      const at = text.search(SUBSTITUTION);
+      const excerpt = text.slice(Math.max(0, at - EXCERPT_RADIUS), at + EXCERPT_RADIUS).replace(/\s+/g, " ");
+      found.push({ path, count: matches.length, excerpt });
+    }
+    return text;
+  });
+  return found;
+}
@@ -0,0 +1,486 @@
+const MAX_INPUT_LENGTH = 32;
+
+function createRecorder() {
+  const steps = [];
+  const stats = { comparisons: 0, swaps: 0, writes: 0 };
+
+  function step(kind, fields = {}) {
+    const entry = { step: steps.length, kind, ...fields };
+    if (Array.isArray(entry.array)) entry.array = [...entry.array];
+    steps.push(entry);
+    if (kind === "compare") stats.comparisons += 1;
+    if (kind === "swap") stats.swaps += 1;
+    if (kind === "shift" || kind === "insert") stats.writes += 1;
+  }
+
+  return { step, steps, stats };
+}
+
+function swap(arr, a, b) {
+  [arr[a], arr[b]] = [arr[b], arr[a]];
+}
+
+// ─── Sorting ──────────────────────────────────────────────────────────────────
+
+function traceBubbleSort({ array }, rec, { descending = false, earlyExit = false } = {}) {
+  const arr = [...array];
+  const n = arr.length;
+  for (let i = 0; i <= n - 2; i += 1) {
+    let swapped = false;
+    for (let j = 0; j <= n - 2 - i; j += 1) {
+      const outOfOrder = descending ? arr[j] < arr[j + 1] : arr[j] > arr[j + 1];
+      rec.step("compare", {
+        vars: { i, j },
+        indices: [j, j + 1],
+        values: [arr[j], arr[j + 1]],
+        result: outOfOrder,
+        array: arr,
+      });
+      if (outOfOrder) {
+        swap(arr, j, j + 1);
+        swapped = true;
+        rec.step("swap", { vars: { i, j }, indices: [j, j + 1], array: arr });
+      }
+    }
+    rec.step("pass", { vars: { i }, array: arr });
+    if (earlyExit && !swapped) {
+      rec.step("break", { vars: { i } });
+      break;
+    }
+  }
+  return arr;
+}
+
+function traceCocktailSort({ array }, rec) {
+  const arr = [...array];
+  let left = 0;
+  let right = arr.length - 1;
+  let pass = 0;
+  while (left < right) {
+    for (let i = left; i <= right - 1; i += 1) {
+      const outOfOrder = arr[i] > arr[i + 1];
+      rec.step("compare", {
+        vars: { left, right, i },
+        indices: [i, i + 1],
+        values: [arr[i], arr[i + 1]],
+        result: outOfOrder,
+        array: arr,
+      });
+      if (outOfOrder) {
+        swap(arr, i, i + 1);
+        rec.step("swap", { vars: { left, right, i }, indices: [i, i + 1], array: arr });
+      }
+    }
+    right -= 1;
+    for (let i = right; i >= left + 1; i -= 1) {
+      const outOfOrder = arr[i - 1] > arr[i];
+      rec.step("compare", {
+        vars: { left, right, i },
+        indices: [i - 1, i],
+        values: [arr[i - 1], arr[i]],
+        result: outOfOrder,
+        array: arr,
+      });
+      if (outOfOrder) {
+        swap(arr, i - 1, i);
+        rec.step("swap", { vars: { left, right, i }, indices: [i - 1, i], array: arr });
+      }
+    }
+    left += 1;
+    rec.step("pass", { vars: { i: pass, left, right }, array: arr });
+    pass += 1;
+  }
+  return arr;
+}
+
+function traceSelectionSort({ array }, rec) {
+  const arr = [...array];
+  const n = arr.length;
+  for (let i = 0; i <= n - 2; i += 1) {
+    let minIndex = i;
+    for (let j = i + 1; j <= n - 1; j += 1) {
+      const smaller = arr[j] < arr[minIndex];
+      rec.step("compare", {
+        vars: { i, j, minIndex },
+        indices: [j, minIndex],
+        values: [arr[j], arr[minIndex]],
+        result: smaller,
+        array: arr,
+      });
+      if (smaller) {
+        minIndex = j;
+        rec.step("assign", { vars: { i, j, minIndex } });
+      }
+    }
+    if (minIndex !== i) {
+      swap(arr, i, minIndex);
+      rec.step("swap", { vars: { i, minIndex }, indices: [i, minIndex], array: arr });
+    }
+    rec.step("pass", { vars: { i }, array: arr });
+  }
+  return arr;
+}
+
+function traceInsertionSort({ array }, rec) {
+  const arr = [...array];
+  for (let i = 1; i <= arr.length - 1; i += 1) {
+    const key = arr[i];
+    let j = i - 1;
+    while (j >= 0) {
+      const greater = arr[j] > key;
+      rec.step("compare", {
+        vars: { i, j, key },
+        indices: [j],
+        values: [key, arr[j]],
+        result: greater,
+        array: arr,
+      });
+      if (!greater) break;
+      arr[j + 1] = arr[j];
+      rec.step("shift", { vars: { i, j, key }, indices: [j, j + 1], array: arr });
+      j -= 1;
+    }
+    arr[j + 1] = key;
+    rec.step("insert", { vars: { i, j, key }, indices: [j + 1], array: arr });
+    rec.step("pass", { vars: { i }, array: arr });
+  }
+  return arr;
+}
+
+// ─── Searching ────────────────────────────────────────────────────────────────
+
+function traceBinarySearch({ array, target }, rec, { safeMid = false } = {}) {
+  let links = 0;
+  let rechts = array.length - 1;
+  while (links <= rechts) {
+    const mid = safeMid ? links + Math.floor((rechts - links) / 2) : Math.floor((links + rechts) / 2);
+    const relation = array[mid] === target ? "eq" : array[mid] < target ? "lt" : "gt";
+    rec.step("compare", {
+      vars: { links, rechts, mid },
+      indices: [mid],
+      values: [array[mid], target],
+      result: relation,
+    });
+    if (relation === "eq") {
+      rec.step("return", { vars: { links, rechts, mid }, value: mid });
+      return mid;
+    }
+    if (relation === "lt") links = mid + 1;
+    else rechts = mid - 1;
+    rec.step("assign", { vars: { links, rechts, mid } });
+  }
+  rec.step("return", { vars: { links, rechts }, value: -1 });
+  return -1;
+}
+
+function traceLinearSearch({ array, target }, rec, { collect = "first", sortedExit = false } = {}) {
+  const hits = [];
+  for (let i = 0; i <= array.length - 1; i += 1) {
+    const equal = array[i] === target;
+    rec.step("compare", { vars: { i }, indices: [i], values: [array[i], target], result: equal });
+    if (equal) {
+      if (collect === "all") {
+        hits.push(i);
+        rec.step("assign", { vars: { i }, value: [...hits] });
+        continue;
+      }
+      const value = collect === "bool" ? true : i;
+      rec.step("return", { vars: { i }, value });
+      return value;
+    }
+    if (sortedExit && array[i] > target) {
+      rec.step("return", { vars: { i }, value: -1 });
+      return -1;
+    }
+  }
+  const value = collect === "all" ? hits : collect === "bool" ? false : -1;
+  rec.step("return", { value });
+  return value;
+}
+
+function traceSubstringSearch({ text, pattern }, rec, { caseInsensitive = false } = {}) {
+  const s = caseInsensitive ? text.toLowerCase() : text;
+  const p = caseInsensitive ? pattern.toLowerCase() : pattern;
+  for (let i = 0; i <= s.length - p.length; i += 1) {
+    let j = 0;
+    while (j < p.length) {
+      const equal = s[i + j] === p[j];
+      rec.step("compare", {
+        vars: { i, j },
+        indices: [i + j, j],
+        values: [s[i + j], p[j]],
+        result: equal,
+      });
+      if (!equal) break;
+      j += 1;
+    }
+    if (j === p.length) {
+      rec.step("return", { vars: { i, j }, value: i });
+      return i;
+    }
+  }
+  rec.step("return", { value: -1 });
+  return -1;
+}
+
+// ─── Aggregates ───────────────────────────────────────────────────────────────
+
+function traceMinMaxAvg({ array }, rec, options = {}) {
+  const { min: withMin = true, max: withMax = true, avg: withAvg = true, indices = false } = options;
+  // An empty array has no minimum, maximum or average: every result field is null.
+  const empty = array.length === 0;
+  let min = empty ? null : array[0];
+  let max = empty ? null : array[0];
+  let minI = empty ? null : 0;
+  let maxI = empty ? null : 0;
+  let sum = 0;
+  const start = withAvg ? 0 : 1;
+  for (let i = start; i <= array.length - 1; i += 1) {
+    if (withMin) {
+      const smaller = array[i] < min;
+      rec.step("compare", { vars: { i, min }, indices: [i], values: [array[i], min], result: smaller });
+      if (smaller) {
+        min = array[i];
+        minI = i;
+      }
+    }
+    if (withMax) {
+      const larger = array[i] > max;
+      rec.step("compare", { vars: { i, max }, indices: [i], values: [array[i], max], result: larger });
+      if (larger) {
+        max = array[i];
+        maxI = i;
+      }
+    }
+    if (withAvg) sum += array[i];
+    const vars = { i };
+    if (withMin) vars.min = min;
+    if (withMax) vars.max = max;
+    if (withAvg) vars.sum = sum;
+    if (indices) Object.assign(vars, { minI, maxI });
+    rec.step("assign", { vars });
+  }
+
+  const result = {};
+  if (withMin) result.min = min;
+  if (indices) result.minI = minI;
+  if (withMax) result.max = max;
+  if (indices) result.maxI = maxI;
+  if (withAvg) result.avg = empty ? null : sum / array.length;
+  const value = Object.keys(result).length === 1 ? Object.values(result)[0] : result;
+  rec.step("return", { value });
+  return value;
+}
+
+function traceCount({ array, threshold }, rec, { collect = false } = {}) {
+  let count = 0;
+  const out = [];
+  for (let i = 0; i <= array.length - 1; i += 1) {
+    const matches = array[i] > threshold;
+    rec.step("compare", { vars: { i, count }, indices: [i], values: [array[i], threshold], result: matches });
+    if (matches) {
+      count += 1;
+      out.push(array[i]);
+      rec.step("assign", { vars: collect ? { i, out: [...out] } : { i, count } });
+    }
+  }
+  const value = collect ? out : count;
+  rec.step("return", { value });
+  return value;
+}
+
+function traceMaxPeriod({ array, threshold }, rec, { predicate }) {
+  let maxLen = 0;
+  let cur = 0;
+  let end = -1;
+  for (let i = 0; i <= array.length - 1; i += 1) {
+    const matches = predicate(array[i], threshold);
+    rec.step("compare", { vars: { i, cur, maxLen }, indices: [i], values: [array[i]], result: matches });
+    if (matches) {
+      cur += 1;
+      if (cur > maxLen) {
+        maxLen = cur;
+        end = i;
+      }
+    } else {
+      cur = 0;
+    }
+    rec.step("assign", { vars: { i, cur, maxLen, end } });
+  }
+  const value = { maxLen, start: maxLen === 0 ? -1 : end - maxLen + 1, end };
+  rec.step("return", { value });
+  return value;
+}
+
+function traceChecksum({ code }, rec, { scheme }) {
+  let sum = 0;
+  let pos = 0;
+  const reverse = scheme === "luhn" || scheme === "alternating";
+  const order = Array.from(code, (_, index) => (reverse ? code.length - 1 - index : index));
+  for (const i of order) {
+    let digit = Number(code[i]);
+    if (scheme === "luhn" && pos % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    if (scheme === "alternating") digit *= pos % 2 === 0 ? 3 : 1;
+    sum += digit;
+    rec.step("assign", { vars: { i, pos, digit, sum } });
+    pos += 1;
+  }
+  const value = scheme === "sum" ? sum : (10 - (sum % 10)) % 10;
+  rec.step("return", { vars: { sum }, value });
+  return value;
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+const SORT_INPUT = ["array"];
+const SEARCH_INPUT = ["array", "target"];
+const THRESHOLD_INPUT = ["array", "threshold"];
+const STRING_INPUT = ["text", "pattern"];
+const CODE_INPUT = ["code"];
+
+function tracer(input, run, options = {}) {
+  return { input, run: (values, rec) => run(values, rec, options) };
+}
+
+const TRACERS = {
+  bubblesort: {
+    classic_full: tracer(SORT_INPUT, traceBubbleSort),
+    strings: tracer(SORT_INPUT, traceBubbleSort),
+    early_exit: tracer(SORT_INPUT, traceBubbleSort, { earlyExit: true }),
+    reverse: tracer(SORT_INPUT, traceBubbleSort, { descending: true }),
+    cocktail: tracer(SORT_INPUT, traceCocktailSort),
+  },
+  selectionsort: {
+    classic_int_asc: tracer(SORT_INPUT, traceSelectionSort),
+    comparator_f: tracer(SORT_INPUT, traceSelectionSort),
+    strings: tracer(SORT_INPUT, traceSelectionSort),
+    generic: tracer(SORT_INPUT, traceSelectionSort),
+  },
+  insertionsort: {
+    classic_int_asc: tracer(SORT_INPUT, traceInsertionSort),
+    optimized_shift: tracer(SORT_INPUT, traceInsertionSort),
+    comparator_f: tracer(SORT_INPUT, traceInsertionSort),
+    strings_lex: tracer(SORT_INPUT, traceInsertionSort),
+    generic_concept: tracer(SORT_INPUT, traceInsertionSort),
+  },
+  binarysearch: {
+    classic_iterative: tracer(SEARCH_INPUT, traceBinarySearch),
+    trace_exam: tracer(SEARCH_INPUT, traceBinarySearch),
+    safe_mid: tracer(SEARCH_INPUT, traceBinarySearch, { safeMid: true }),
+  },
+  linearsearch: {
+    first_hit: tracer(SEARCH_INPUT, traceLinearSearch),
+    all_hits: tracer(SEARCH_INPUT, traceLinearSearch, { collect: "all" }),
+    contains_bool: tracer(SEARCH_INPUT, traceLinearSearch, { collect: "bool" }),
+    early_exit_sorted: tracer(SEARCH_INPUT, traceLinearSearch, { sortedExit: true }),
+  },
+  search_contains: {
+    array_contains_index: tracer(SEARCH_INPUT, traceLinearSearch),
+    array_contains_bool: tracer(SEARCH_INPUT, traceLinearSearch, { collect: "bool" }),
+    string_contains_substring: tracer(STRING_INPUT, traceSubstringSearch),
+    string_contains_ci: tracer(STRING_INPUT, traceSubstringSearch, { caseInsensitive: true }),
+  },
+  minmax_avg: {
+    classic_minmax_avg: tracer(SORT_INPUT, traceMinMaxAvg),
+    min_only: tracer(SORT_INPUT, traceMinMaxAvg, { max: false, avg: false }),
+    max_only: tracer(SORT_INPUT, traceMinMaxAvg, { min: false, avg: false }),
+    average_only: tracer(SORT_INPUT, traceMinMaxAvg, { min: false, max: false }),
+    minmax_only: tracer(SORT_INPUT, traceMinMaxAvg, { avg: false }),
+    minmax_with_indices: tracer(SORT_INPUT, traceMinMaxAvg, { avg: false, indices: true }),
+  },
+  count_condition: {
+    count_gt: tracer(THRESHOLD_INPUT, traceCount),
+    build_filtered_list: tracer(THRESHOLD_INPUT, traceCount, { collect: true }),
+  },
+  maxperiod: {
+    longest_ones_binary: tracer(SORT_INPUT, traceMaxPeriod, { predicate: (value) => value === 1 }),
+    longest_nonzero_run: tracer(SORT_INPUT, traceMaxPeriod, { predicate: (value) => value !== 0 }),
+    longest_condition_run: tracer(THRESHOLD_INPUT, traceMaxPeriod, {
+      predicate: (value, threshold) => value > threshold,
+    }),
+  },
+  checksum: {
+    checksum_sum_digits: tracer(CODE_INPUT, traceChecksum, { scheme: "sum" }),
+    checksum_mod_10: tracer(CODE_INPUT, traceChecksum, { scheme: "mod10" }),
+    checksum_luhn_like: tracer(CODE_INPUT, traceChecksum, { scheme: "luhn" }),
+    checksum_weighted_alternating: tracer(CODE_INPUT, traceChecksum, { scheme: "alternating" }),
+  },
+};
+
+export function hasTracer(topic) {
+  return Object.hasOwn(TRACERS, topic);
+}
+
+export function supportedTraceVariants(topic) {
+  return hasTracer(topic) ? Object.keys(TRACERS[topic]) : [];
+}
+
+function validateTraceInput(fields, input) {
+  const errors = [];
+  for (const field of fields) {
+    const value = input?.[field];
+    if (field === "array") {
+      const isScalar = (item) => typeof item === "number" || typeof item === "string";
+      if (!Array.isArray(value) || !value.every(isScalar)) {
+        errors.push("input.array must be an array of numbers or strings");
+      } else if (value.length > MAX_INPUT_LENGTH) {
+        errors.push(`input.array must not have more than ${MAX_INPUT_LENGTH} elements`);
+      }
+    } else if (field === "code") {
+      if (typeof value !== "string" || !/^\d+$/.test(value) || value.length > MAX_INPUT_LENGTH) {
+        errors.push(`input.code must be a string of up to ${MAX_INPUT_LENGTH} digits`);
+      }
+    } else if (field === "text" || field === "pattern") {
+      if (typeof value !== "string" || value.length > MAX_INPUT_LENGTH * 4) {
+        errors.push(`input.${field} must be a string of up to ${MAX_INPUT_LENGTH * 4} characters`);
+      }
+    } else if (typeof value !== "number" && typeof value !== "string") {
+      errors.push(`input.${field} is required`);
+    }
+  }
+  return errors;
+}
+
+// Returns { ok: true, trace } or { ok: false, status, payload } like the auth helpers.
+export function buildTrace({ topic, lang, variant, input }) {
+  const variants = hasTracer(topic) ? TRACERS[topic] : {};
+  const tracer = typeof variant === "string" && Object.hasOwn(variants, variant) ? variants[variant] : null;
+  if (!tracer) {
+    return {
+      ok: false,
+      status: 422,
+      payload: {
+        detail: `Variant "${variant}" cannot be traced`,
+        supported_variants: supportedTraceVariants(topic),
+      },
+    };
+  }
+
+  const errors = validateTraceInput(tracer.input, input);
+  if (errors.length) {
+    return { ok: false, status: 400, payload: { detail: "Invalid trace input", errors } };
+  }
+
+  const traceInput = Object.fromEntries(tracer.input.map((field) => [field, input[field]]));
+  const rec = createRecorder();
+  const result = tracer.run(traceInput, rec);
+
+  return {
+    ok: true,
+    trace: {
+      schema_name: "tutor_asset.trace.v1",
+      version: "1.0",
+      topic,
+      lang,
+      mode: "trace",
+      variant,
+      input: traceInput,
+      result,
+      stats: { ...rec.stats, steps: rec.steps.length },
+      steps: rec.steps,
+    },
+  };
+}
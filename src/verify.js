@@ -0,0 +1,235 @@
+import { executePseudocode, parsePseudocode } from "./pseudocode.js";
+
+// Parameter names used by the reference variants, mapped to the value a case provides.
+const PARAM_ROLES = new Map([
+  ["arr", "array"],
+  ["a", "array"],
+  ["array", "array"],
+  ["liste", "array"],
+  ["x", "target"],
+  ["target", "target"],
+  ["ziel", "target"],
+  ["threshold", "threshold"],
+  ["schwelle", "threshold"],
+  ["code", "code"],
+  ["fullcode", "code"],
+  ["s", "text"],
+  ["text", "text"],
+  ["p", "pattern"],
+  ["pattern", "pattern"],
+  ["muster", "pattern"],
+  ["links", "left"],
+  ["left", "left"],
+  ["rechts", "right"],
+  ["right", "right"],
+  ["startindex", "start"],
+  ["start", "start"],
+  ["f", "comparator"],
+  ["cmp", "comparator"],
+]);
+
+function numberCases({ sortedOnly = false } = {}) {
+  const cases = [
+    { name: "empty", array: [], target: 3 },
+    { name: "single_hit", array: [7], target: 7 },
+    { name: "single_miss", array: [7], target: 3 },
+    { name: "duplicates", array: [4, 2, 4, 1, 4], target: 4 },
+    { name: "sorted_hit", array: [1, 3, 5, 7, 9, 11], target: 7 },
+    { name: "sorted_missing", array: [1, 3, 5, 7, 9, 11], target: 4 },
+    { name: "sorted_duplicates", array: [1, 2, 2, 2, 5, 8], target: 2 },
+    { name: "unsorted_hit", array: [9, 2, 7, 4, 1], target: 7 },
+    { name: "unsorted_missing", array: [9, 2, 7, 4, 1], target: 8 },
+    { name: "reverse_sorted", array: [9, 7, 5, 3, 1], target: 1 },
+    { name: "negatives", array: [-3, 0, -7, 5], target: -7 },
+  ];
+  const sorted = (array) => array.every((value, index) => index === 0 || array[index - 1] <= value);
+  return (sortedOnly ? cases.filter((item) => sorted(item.array)) : cases).map((item) => ({
+    ...item,
+    threshold: 3,
+  }));
+}
+
+function runCases() {
+  return [
+    { name: "empty", array: [], threshold: 0 },
+    { name: "all_zero", array: [0, 0, 0], threshold: 0 },
+    { name: "all_ones", array: [1, 1, 1, 1], threshold: 0 },
+    { name: "run_at_end", array: [1, 0, 1, 1, 1], threshold: 0 },
+    { name: "run_in_middle", array: [1, 1, 0, 1, 1, 1, 0, 1], threshold: 0 },
+    { name: "threshold_run", array: [2, 5, 6, 1, 7, 8, 9], threshold: 4 },
+  ];
+}
+
+function codeCases() {
+  return [
+    { name: "empty", code: "" },
+    { name: "single_digit", code: "0" },
+    { name: "luhn_sample", code: "7992739871" },
+    { name: "ascending", code: "123456789" },
+    { name: "zeros", code: "0000" },
+  ];
+}
+
+function textCases() {
+  return [
+    { name: "hit_middle", text: "hallo welt", pattern: "lo w" },
+    { name: "hit_prefix", text: "hallo welt", pattern: "hallo" },
+    { name: "hit_suffix", text: "hallo welt", pattern: "welt" },
+    { name: "missing", text: "hallo welt", pattern: "xyz" },
+    { name: "mixed_case", text: "Hallo Welt", pattern: "welt" },
+    { name: "pattern_longer", text: "ab", pattern: "abc" },
+    { name: "empty_text", text: "", pattern: "a" },
+    { name: "repeated", text: "aaab", pattern: "aab" },
+  ];
+}
+
+const CASE_GENERATORS = {
+  binarysearch: () => numberCases({ sortedOnly: true }),
+  bubblesort: () => numberCases(),
+  checksum: codeCases,
+  count_condition: () => numberCases(),
+  insertionsort: () => numberCases(),
+  linearsearch: () => numberCases(),
+  maxperiod: runCases,
+  minmax_avg: () => numberCases(),
+  search_contains: () => [...numberCases(), ...textCases()],
+  selectionsort: () => numberCases(),
+};
+
+export function hasVerifier(topic) {
+  return Object.hasOwn(CASE_GENERATORS, topic);
+}
+
+function roleValue(role, item) {
+  switch (role) {
+    case "left":
+    case "start":
+      return 0;
+    case "right":
+      return Array.isArray(item.array) ? item.array.length - 1 : undefined;
+    case "comparator":
+      // Unset comparator parameters fall back to ascending order in the interpreter.
+      return undefined;
+    default:
+      return item[role];
+  }
+}
+
+function caseArguments(params, item) {
+  const args = [];
+  const input = {};
+  for (const param of params) {
+    const role = PARAM_ROLES.get(param.toLowerCase());
+    const value = roleValue(role, item);
+    if (role !== "comparator" && value === undefined) return null;
+    args.push(value);
+    if (value !== undefined) input[param] = value;
+  }
+  return { args, input };
+}
+
+function cloneArgs(args) {
+  return args.map((value) => (value === undefined ? undefined : structuredClone(value)));
+}
+
+// Procedures that only sort in place return nothing, so fall back to the first array argument.
+function observedOutput(execution, arrayIndex) {
+  if (!execution.ok) return { error: execution.errors[0] };
+  if (execution.result !== null && execution.result !== undefined) return execution.result;
+  return arrayIndex >= 0 ? execution.arguments?.[arrayIndex] ?? null : null;
+}
+
+function sameOutput(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function referenceFunction(source) {
+  const { program, errors } = parsePseudocode(source);
+  return errors.length ? null : program.functions[0] ?? null;
+}
+
+// Returns { ok, ... } with a verification report, or { ok: false, status, payload } when the
+// reference variant cannot be driven by the generated cases.
+export function verifyPseudocode({ topic, variant, reference, source, entry }) {
+  const referenceFn = referenceFunction(reference);
+  if (!hasVerifier(topic) || !referenceFn) {
+    return { ok: false, status: 422, payload: { detail: "No test cases available for this variant" } };
+  }
+
+  const generated = CASE_GENERATORS[topic]();
+  const cases = generated
+    .map((item) => ({ name: item.name, bound: caseArguments(referenceFn.params, item) }))
+    .filter((item) => item.bound);
+  if (!cases.length) {
+    const unsupported = referenceFn.params.filter((param) => {
+      const role = PARAM_ROLES.get(param.toLowerCase());
+      return role !== "comparator" && generated.every((item) => roleValue(role, item) === undefined);
+    });
+    return {
+      ok: false,
+      status: 422,
+      payload: {
+        detail: "No test cases available for this variant",
+        unsupported_parameters: unsupported,
+      },
+    };
+  }
+
+  const learnerParse = parsePseudocode(source);
+  const learnerErrors = learnerParse.errors.length || learnerParse.program.functions.length
+    ? learnerParse.errors
+    : [{ kind: "syntax", line: 1, message: "Expected a FUNKTION or PROZEDUR definition" }];
+  if (learnerErrors.length) {
+    return { ok: true, report: { topic, variant, passed: false, errors: learnerErrors } };
+  }
+  // Learners often add helpers, so prefer a function named like the reference one.
+  const learnerEntry = entry
+    || learnerParse.program.functions.find((fn) => fn.key === referenceFn.key)?.name
+    || learnerParse.program.functions[0].name;
+
+  const arrayIndex = referenceFn.params.findIndex(
+    (param) => PARAM_ROLES.get(param.toLowerCase()) === "array",
+  );
+  const mismatches = [];
+  let matched = 0;
+  let skipped = 0;
+
+  for (const item of cases) {
+    const expected = executePseudocode(reference, {
+      entry: referenceFn.name,
+      args: cloneArgs(item.bound.args),
+    });
+    // A reference that fails on an input (e.g. min of an empty array) leaves nothing to compare against.
+    if (!expected.ok) {
+      skipped += 1;
+      continue;
+    }
+    const actual = executePseudocode(source, { entry: learnerEntry, args: cloneArgs(item.bound.args) });
+    const expectedOutput = observedOutput(expected, arrayIndex);
+    const actualOutput = observedOutput(actual, arrayIndex);
+    if (actual.ok && sameOutput(expectedOutput, actualOutput)) {
+      matched += 1;
+    } else {
+      mismatches.push({
+        case: item.name,
+        input: item.bound.input,
+        expected: expectedOutput,
+        actual: actualOutput,
+      });
+    }
+  }
+
+  return {
+    ok: true,
+    report: {
+      topic,
+      variant,
+      passed: mismatches.length === 0,
+      total: cases.length - skipped,
+      matched,
+      skipped,
+      mismatches,
+      errors: [],
+    },
+  };
+}
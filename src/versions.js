@@ -0,0 +1,47 @@
+import { toUnifiedExam } from "./exam.js";
+
+// Response shapes of /v1/run. v1 serves assets as stored (plus language fallbacks); v2 echoes
+// request_id and api_version in the body and returns every exam (topic exams and IHK banks) in
+// one shape.
+export const SUPPORTED_API_VERSIONS = ["v1", "v2"];
+
+const VENDOR_MEDIA_TYPE = /application\/vnd\.dailyflow\.tutor\.v(\d+)\+json/i;
+const VERSION_PARAMETER = /application\/json\s*;[^,]*\bversion\s*=\s*"?v?(\d+)/i;
+
+// "1", "v1", "1.0" and "V1" all mean v1.
+export function normalizeApiVersion(value) {
+  const match = String(value ?? "").trim().match(/^v?(\d+)(?:\.0)?$/i);
+  return match ? `v${Number(match[1])}` : null;
+}
+
+function acceptedVersion(accept) {
+  const header = String(accept ?? "");
+  const match = header.match(VENDOR_MEDIA_TYPE) ?? header.match(VERSION_PARAMETER);
+  return match ? `v${Number(match[1])}` : null;
+}
+
+// Returns { ok: true, version } or { ok: false, detail }. The body field and the Accept header
+// may both name a version, but they have to agree.
+export function negotiateApiVersion(bodyVersion, accept) {
+  const requested = normalizeApiVersion(bodyVersion);
+  const fromAccept = acceptedVersion(accept);
+  if (!requested) {
+    return { ok: false, detail: `Unsupported api_version: ${String(bodyVersion)}` };
+  }
+  if (fromAccept && fromAccept !== requested) {
+    return {
+      ok: false,
+      detail: `api_version ${requested} does not match Accept header version ${fromAccept}`,
+    };
+  }
+  if (!SUPPORTED_API_VERSIONS.includes(requested)) {
+    return { ok: false, detail: `Unsupported api_version: ${requested}` };
+  }
+  return { ok: true, version: requested };
+}
+
+export function transformRunPayload(version, payload, { topic, lang, mode, requestId }) {
+  if (version === "v1" || !payload || typeof payload !== "object" || Array.isArray(payload)) return payload;
+  const shaped = mode === "exam" ? toUnifiedExam(payload, { topic, lang }) : payload;
+  return { ...shaped, api_version: version, request_id: requestId };
+}
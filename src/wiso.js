@@ -0,0 +1,143 @@
+// Grace period for network latency between the learner's last click and the submit request.
+const SUBMIT_GRACE_MS = 30 * 1000;
+// A bundle without a usable zeit_minuten would start sessions that are already over.
+const MIN_SIMULATION_MINUTES = 1;
+
+function simulationFrame(bundle) {
+  const rahmen = bundle?.sections?.pruefungssimulation?.rahmen ?? {};
+  return {
+    examName: typeof rahmen.exam_name === "string" ? rahmen.exam_name : "",
+    questionCount: Number(rahmen.anzahl_fragen) || 0,
+    totalPoints: Number(rahmen.punkte_gesamt) || 0,
+    minutes: Math.max(MIN_SIMULATION_MINUTES, Number(rahmen.zeit_minuten) || 0),
+  };
+}
+
+function pointsPerQuestion(frame) {
+  return frame.questionCount ? frame.totalPoints / frame.questionCount : 1;
+}
+
+function uniqueQuestions(candidates) {
+  const byId = new Map();
+  for (const question of candidates) {
+    if (!question || typeof question.id !== "string" || !question.id) continue;
+    if (!question.optionen || typeof question.richtige_antwort !== "string") continue;
+    if (!byId.has(question.id)) byId.set(question.id, question);
+  }
+  return Array.from(byId.values());
+}
+
+export function wisoTrainingQuestions(bundle) {
+  const groups = Array.isArray(bundle?.sections?.trainingsfragen) ? bundle.sections.trainingsfragen : [];
+  return uniqueQuestions(groups.flatMap((group) => (Array.isArray(group?.fragen) ? group.fragen : [])));
+}
+
+export function wisoQuestionPool(bundle) {
+  const simulation = bundle?.sections?.pruefungssimulation?.fragen;
+  const simulationQuestions = Array.isArray(simulation) ? simulation : [];
+  return uniqueQuestions([...simulationQuestions, ...wisoTrainingQuestions(bundle)]);
+}
+
+function shuffled(items) {
+  const result = [...items];
+  const random = new Uint32Array(result.length);
+  crypto.getRandomValues(random);
+  for (let index = result.length - 1; index > 0; index -= 1) {
+    const swapIndex = random[index] % (index + 1);
+    [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+  }
+  return result;
+}
+
+export function studentWisoQuestion(question) {
+  return { id: question.id, frage: question.frage, optionen: question.optionen };
+}
+
+// The bundle as /v1/run serves it: training and simulation questions without `richtige_antwort`
+// and explanations. Simulation sessions draw from both lists, so neither may carry solutions.
+export function studentWisoBundle(bundle) {
+  const sections = bundle?.sections;
+  if (!sections || typeof sections !== "object") return bundle;
+  const studentQuestions = (questions) =>
+    Array.isArray(questions) ? questions.map((question) => studentWisoQuestion(question ?? {})) : questions;
+  const simulation = sections.pruefungssimulation;
+  return {
+    ...bundle,
+    sections: {
+      ...sections,
+      ...(Array.isArray(sections.trainingsfragen) && {
+        trainingsfragen: sections.trainingsfragen.map((group) => ({
+          ...group,
+          fragen: studentQuestions(group?.fragen),
+        })),
+      }),
+      ...(simulation && typeof simulation === "object" && {
+        pruefungssimulation: { ...simulation, fragen: studentQuestions(simulation.fragen) },
+      }),
+    },
+  };
+}
+
+export function startSimulation(bundle, now = Date.now()) {
+  const frame = simulationFrame(bundle);
+  const pool = wisoQuestionPool(bundle);
+  const count = Math.min(frame.questionCount || pool.length, pool.length);
+  const picked = shuffled(pool).slice(0, count);
+
+  const claims = {
+    sid: crypto.randomUUID(),
+    qs: picked.map((question) => question.id),
+    iat: now,
+    exp: now + frame.minutes * 60 * 1000,
+  };
+
+  return {
+    claims,
+    session: {
+      session_id: claims.sid,
+      exam_name: frame.examName,
+      started_at: new Date(claims.iat).toISOString(),
+      expires_at: new Date(claims.exp).toISOString(),
+      time_limit_minutes: frame.minutes,
+      max_points: pointsPerQuestion(frame) * picked.length,
+      questions: picked.map(studentWisoQuestion),
+    },
+  };
+}
+
+// Store key that marks a session as submitted.
+export function simulationSubmissionKey(sessionId) {
+  return `wiso-session:${sessionId}`;
+}
+
+export function isSimulationExpired(claims, now = Date.now()) {
+  return now > Number(claims?.exp) + SUBMIT_GRACE_MS;
+}
+
+export function gradeSimulation(bundle, claims, answers) {
+  const frame = simulationFrame(bundle);
+  const perQuestion = pointsPerQuestion(frame);
+  const byId = new Map(wisoQuestionPool(bundle).map((question) => [question.id, question]));
+
+  const results = claims.qs.map((id) => {
+    const question = byId.get(id);
+    const given = typeof answers?.[id] === "string" ? answers[id].trim().toUpperCase() : "";
+    const correct = Boolean(question) && given === question.richtige_antwort.trim().toUpperCase();
+    return {
+      id,
+      given: given || null,
+      correct_answer: question?.richtige_antwort ?? null,
+      correct,
+      points: correct ? perQuestion : 0,
+      erklaerung_de: question?.erklaerung_de ?? "",
+      erklaerung_fa: question?.erklaerung_fa ?? "",
+    };
+  });
+
+  return {
+    session_id: claims.sid,
+    results,
+    points: results.reduce((sum, result) => sum + result.points, 0),
+    max_points: perQuestion * claims.qs.length,
+  };
+}
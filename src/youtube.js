@@ -0,0 +1,326 @@
+// YouTube search over the innertube API (the endpoint youtube.com's own search page uses):
+// response parsing, result filters and the topic video ranking.
+
+const INNERTUBE_SEARCH_URL = "https://www.youtube.com/youtubei/v1/search";
+const INNERTUBE_CLIENT = { clientName: "WEB", clientVersion: "2.20250101.00.00" };
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+// Appended to topic titles so YouTube favours tutorials over unrelated hits.
+const TOPIC_QUERY_SUFFIX = { de: "erklärt", fa: "آموزش", en: "explained" };
+const PERSIAN_SCRIPT = /[؀-ۿ]/;
+
+function readText(node) {
+  if (!node) return "";
+  if (typeof node.simpleText === "string") return node.simpleText;
+  if (Array.isArray(node.runs)) return node.runs.map((run) => run.text ?? "").join("");
+  return node.accessibility?.accessibilityData?.label ?? "";
+}
+
+function parseDuration(text) {
+  const parts = String(text ?? "").split(":").map(Number);
+  if (parts.length < 2 || parts.some((part) => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function parseCount(text) {
+  return Number.parseInt(String(text ?? "").replace(/\D/g, ""), 10) || 0;
+}
+
+function bestThumbnail(thumbnail) {
+  const thumbnails = thumbnail?.thumbnails;
+  if (!Array.isArray(thumbnails) || !thumbnails.length) return null;
+  return thumbnails[thumbnails.length - 1].url ?? null;
+}
+
+function channelOf(byline) {
+  const run = byline?.runs?.[0];
+  return { author: run?.text ?? "", channelId: run?.navigationEndpoint?.browseEndpoint?.browseId ?? null };
+}
+
+function parseVideo(v) {
+  return {
+    type: "video",
+    videoId: v.videoId,
+    title: readText(v.title),
+    ...channelOf(v.ownerText ?? v.longBylineText ?? v.shortBylineText),
+    lengthSeconds: parseDuration(readText(v.lengthText)) ?? 0,
+    viewCount: parseCount(readText(v.viewCountText)),
+    publishedText: readText(v.publishedTimeText) || null,
+    thumbnail: bestThumbnail(v.thumbnail),
+  };
+}
+
+// Shorts carry no duration or channel in search results; they are at most 60 seconds long.
+function parseShort(r) {
+  return {
+    type: "short",
+    videoId: r.videoId,
+    title: readText(r.headline),
+    author: "",
+    channelId: null,
+    lengthSeconds: null,
+    viewCount: parseCount(readText(r.viewCountText)),
+    publishedText: null,
+    thumbnail: bestThumbnail(r.thumbnail),
+  };
+}
+
+function parsePlaylist(p) {
+  return {
+    type: "playlist",
+    playlistId: p.playlistId,
+    title: readText(p.title),
+    ...channelOf(p.shortBylineText ?? p.longBylineText),
+    videoCount: parseCount(p.videoCount ?? readText(p.videoCountText)),
+    thumbnail: bestThumbnail(p.thumbnails?.[0] ?? p.thumbnail),
+  };
+}
+
+// lockupViewModel is the newer layout for videos and playlists: plain `content` strings,
+// metadata rows (channel, then views and age) and badges (duration, video count) on the image.
+function parseLockup(lockup) {
+  const meta = lockup.metadata?.lockupMetadataViewModel;
+  const rows = (meta?.metadata?.contentMetadataViewModel?.metadataRows ?? []).map((row) =>
+    (row.metadataParts ?? []).map((part) => part.text?.content ?? ""),
+  );
+  const image =
+    lockup.contentImage?.collectionThumbnailViewModel?.primaryThumbnail?.thumbnailViewModel ??
+    lockup.contentImage?.thumbnailViewModel;
+  const sources = image?.image?.sources ?? [];
+  const badges = (image?.overlays ?? [])
+    .flatMap((overlay) => overlay.thumbnailOverlayBadgeViewModel?.thumbnailBadges ?? [])
+    .map((badge) => badge.thumbnailBadgeViewModel?.text ?? "");
+  const common = {
+    title: meta?.title?.content ?? "",
+    author: rows[0]?.[0] ?? "",
+    channelId: null,
+    thumbnail: sources.length ? sources[sources.length - 1].url ?? null : null,
+  };
+
+  if (lockup.contentType === "LOCKUP_CONTENT_TYPE_PLAYLIST") {
+    const countBadge = badges.find((text) => /\d/.test(text));
+    return { type: "playlist", playlistId: lockup.contentId, ...common, videoCount: parseCount(countBadge) };
+  }
+  if (lockup.contentType === "LOCKUP_CONTENT_TYPE_VIDEO") {
+    const durationBadge = badges.find((text) => parseDuration(text) !== null);
+    return {
+      type: "video",
+      videoId: lockup.contentId,
+      ...common,
+      lengthSeconds: parseDuration(durationBadge) ?? 0,
+      viewCount: parseCount(rows[1]?.[0]),
+      publishedText: rows[1]?.[1] || null,
+    };
+  }
+  return null;
+}
+
+// Renderers that show up in result lists but never carry a result (ads, "people also
+// watched" shelves, spelling hints, the "no results" promo).
+const IGNORED_RENDERERS = new Set([
+  "adSlotRenderer",
+  "backgroundPromoRenderer",
+  "didYouMeanRenderer",
+  "horizontalCardListRenderer",
+  "messageRenderer",
+  "searchPyvRenderer",
+  "shelfRenderer",
+  "showingResultsForRenderer",
+]);
+
+const ITEM_PARSERS = {
+  videoRenderer: (v) => (v.videoId ? [parseVideo(v)] : null),
+  compactVideoRenderer: (v) => (v.videoId ? [parseVideo(v)] : null),
+  playlistRenderer: (p) => (p.playlistId ? [parsePlaylist(p)] : null),
+  reelItemRenderer: (r) => (r.videoId ? [parseShort(r)] : null),
+  reelShelfRenderer: (shelf) =>
+    (shelf.items ?? [])
+      .map((entry) => entry.reelItemRenderer)
+      .filter((reel) => reel?.videoId)
+      .map(parseShort),
+  lockupViewModel: (lockup) => {
+    const parsed = lockup.contentId ? parseLockup(lockup) : null;
+    return parsed ? [parsed] : null;
+  },
+};
+
+function parseItem(item, path, diagnostics) {
+  const renderer = Object.keys(item ?? {})[0];
+  const parser = ITEM_PARSERS[renderer];
+  if (parser) {
+    const parsed = parser(item[renderer]);
+    if (parsed) return parsed;
+    diagnostics.push({ code: "missing_field", path: `${path}.${renderer}`, renderer });
+    return [];
+  }
+  if (renderer && !IGNORED_RENDERERS.has(renderer)) {
+    diagnostics.push({ code: "unknown_renderer", path, renderer });
+  }
+  return [];
+}
+
+const FIRST_PAGE_PATH =
+  "contents.twoColumnSearchResultsRenderer.primaryContents.sectionListRenderer.contents";
+const CONTINUATION_PATH = "onResponseReceivedCommands[].appendContinuationItemsAction.continuationItems";
+
+// The first page nests results under sectionListRenderer; continuation pages append
+// the same sections through onResponseReceivedCommands.
+function searchSections(data) {
+  const firstPage =
+    data?.contents?.twoColumnSearchResultsRenderer?.primaryContents?.sectionListRenderer?.contents;
+  if (Array.isArray(firstPage)) return { path: FIRST_PAGE_PATH, sections: firstPage };
+  const appended = (data?.onResponseReceivedCommands ?? [])
+    .map((command) => command?.appendContinuationItemsAction?.continuationItems)
+    .filter(Array.isArray);
+  if (appended.length) return { path: CONTINUATION_PATH, sections: appended.flat() };
+  return null;
+}
+
+// Returns { status, results, continuation, diagnostics }. status is "ok", "no_results" or
+// "schema_changed": an empty page only counts as "no results" when nothing in it was unreadable.
+export function parseInnertubeResults(data) {
+  const diagnostics = [];
+  const found = searchSections(data);
+  if (!found) {
+    diagnostics.push({ code: "missing_path", path: `${FIRST_PAGE_PATH} | ${CONTINUATION_PATH}` });
+    return { status: "schema_changed", results: [], continuation: null, diagnostics };
+  }
+
+  const results = [];
+  let continuation = null;
+  found.sections.forEach((section, sectionIndex) => {
+    const sectionPath = `${found.path}[${sectionIndex}]`;
+    if (section?.itemSectionRenderer) {
+      const items = section.itemSectionRenderer.contents ?? [];
+      items.forEach((item, itemIndex) => {
+        const itemPath = `${sectionPath}.itemSectionRenderer.contents[${itemIndex}]`;
+        results.push(...parseItem(item, itemPath, diagnostics));
+      });
+      return;
+    }
+    if (section?.continuationItemRenderer) {
+      const token = section.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
+      if (token) continuation = token;
+      else diagnostics.push({ code: "missing_field", path: `${sectionPath}.continuationItemRenderer` });
+      return;
+    }
+    results.push(...parseItem(section, sectionPath, diagnostics));
+  });
+
+  let status = "ok";
+  if (!results.length) status = diagnostics.length ? "schema_changed" : "no_results";
+  return { status, results, continuation, diagnostics };
+}
+
+function clientContext(lang) {
+  const client = { ...INNERTUBE_CLIENT };
+  if (lang) {
+    client.hl = lang;
+    if (lang === "de") client.gl = "DE";
+  }
+  return { client };
+}
+
+// Returns { ok: true, page: { results, continuation } } or { ok: false, code, diagnostics } with
+// code "upstream_unavailable", "upstream_schema_changed" or "no_results".
+export async function fetchYouTubeSearch({ query, continuation = null, lang = null }) {
+  const body = continuation
+    ? { context: clientContext(lang), continuation }
+    : { context: clientContext(lang), query };
+  const res = await fetch(INNERTUBE_SEARCH_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+  });
+  if (!res.ok) return { ok: false, code: "upstream_unavailable", diagnostics: [] };
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    return { ok: false, code: "upstream_schema_changed", diagnostics: [{ code: "invalid_json", path: "" }] };
+  }
+  const parsed = parseInnertubeResults(data);
+  if (parsed.status === "schema_changed") {
+    return { ok: false, code: "upstream_schema_changed", diagnostics: parsed.diagnostics };
+  }
+  if (parsed.status === "no_results") return { ok: false, code: "no_results", diagnostics: [] };
+  return { ok: true, page: { results: parsed.results, continuation: parsed.continuation } };
+}
+
+// Items without the filtered field (playlists have no duration or views, shorts no duration)
+// are dropped once that filter is set.
+export function filterSearchResults(results, { minDuration = null, maxDuration = null, minViews = null }) {
+  return results.filter((item) => {
+    if (minDuration !== null || maxDuration !== null) {
+      if (!Number.isFinite(item.lengthSeconds) || item.lengthSeconds <= 0) return false;
+      if (minDuration !== null && item.lengthSeconds < minDuration) return false;
+      if (maxDuration !== null && item.lengthSeconds > maxDuration) return false;
+    }
+    if (minViews !== null && !(Number.isFinite(item.viewCount) && item.viewCount >= minViews)) return false;
+    return true;
+  });
+}
+
+// "BubbleSort (Bubble-Sortierung) — FIAE Explain Core v1.0" → "BubbleSort Bubble-Sortierung erklärt"
+export function topicVideoQuery(title, topic, lang) {
+  const base = String(title || topic.replace(/_/g, " "))
+    .split(/\s[—–-]\s/)[0]
+    .replace(/[()]/g, " ");
+  const suffix = TOPIC_QUERY_SUFFIX[lang] ?? TOPIC_QUERY_SUFFIX.de;
+  return `${base} ${suffix}`.replace(/\s+/g, " ").trim();
+}
+
+function queryTerms(query) {
+  return query
+    .toLocaleLowerCase("de")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= 3 && !Object.values(TOPIC_QUERY_SUFFIX).includes(term));
+}
+
+function durationScore(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+  if (seconds >= 180 && seconds <= 1200) return 1;
+  if (seconds >= 60 && seconds <= 2700) return 0.5;
+  return 0;
+}
+
+// Title relevance dominates; views, a lesson-sized duration and the learner's script break ties.
+export function scoreTopicVideo(item, { query, lang }) {
+  const terms = queryTerms(query);
+  const title = item.title.toLocaleLowerCase("de");
+  const relevance = terms.length ? terms.filter((term) => title.includes(term)).length / terms.length : 0;
+  let score = relevance * 3 + Math.log10((item.viewCount ?? 0) + 1) / 2 + durationScore(item.lengthSeconds);
+  if (lang === "fa" && PERSIAN_SCRIPT.test(item.title)) score += 1;
+  if (item.type === "short") score -= 1;
+  return Math.round(score * 100) / 100;
+}
+
+function itemId(item) {
+  return item.videoId ?? item.playlistId;
+}
+
+// curated: { allow: [{ videoId | playlistId, title, author?, lang? }], deny: [id] } for one topic.
+// Allowed entries for the language come first, denied ids never show up.
+export function rankTopicVideos(results, { query, lang, curated = {}, limit }) {
+  const denied = new Set(curated.deny ?? []);
+  const fromSearch = new Map(results.map((item) => [itemId(item), item]));
+
+  const pinned = (curated.allow ?? [])
+    .filter((entry) => itemId(entry) && !denied.has(itemId(entry)) && (!entry.lang || entry.lang === lang))
+    .map((entry) => ({
+      type: entry.playlistId ? "playlist" : "video",
+      ...entry,
+      ...fromSearch.get(itemId(entry)),
+      curated: true,
+      score: null,
+    }));
+  const pinnedIds = new Set(pinned.map(itemId));
+
+  const ranked = results
+    .filter((item) => !denied.has(itemId(item)) && !pinnedIds.has(itemId(item)))
+    .map((item) => ({ ...item, curated: false, score: scoreTopicVideo(item, { query, lang }) }))
+    .sort((a, b) => b.score - a.score);
+
+  return [...pinned, ...ranked].slice(0, limit);
+}
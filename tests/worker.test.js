@@ -2,12 +2,150 @@
 import { readFile } from "node:fs/promises";
 import { resolve } from "node:path";
 import { handleRequest } from "../src/index.js";
+import { signJwt } from "../src/auth.js";
+import { composeExam, parseComposeFilters } from "../src/compose.js";
+import { curriculumProblems, orderTopics, topicRelations } from "../src/curriculum.js";
+import { RateLimitCounter } from "../src/ratelimit.js";
+import { scoreRubricAnswer } from "../src/rubric.js";
+import { base64UrlEncode, signPayload } from "../src/signing.js";
+import { diffAsset, planSync } from "../src/syncdiff.js";
+import {
+  decodeSourceText,
+  findSubstitutions,
+  normalizeTransliterations,
+  repairMojibake,
+} from "../src/textquality.js";
+import { parseInnertubeResults } from "../src/youtube.js";
 
 const repoRoot = resolve(process.cwd());
 
+async function readInnertubeFixture(name) {
+  const path = resolve(repoRoot, "tests", "fixtures", "innertube", `${name}.json`);
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+// Same surface as a Workers KV namespace, enough for src/storage.js.
+function createFakeKv() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      if (!entries.has(key)) return null;
+      return type === "json" ? JSON.parse(entries.get(key)) : entries.get(key);
+    },
+    async put(key, value) {
+      entries.set(key, String(value));
+    },
+  };
+}
+
+// D1 subset for the kv_store statements in src/storage.js; statements run one at a time.
+function createFakeD1() {
+  const rows = new Map();
+  return {
+    rows,
+    prepare(sql) {
+      const ignoresConflict = /DO NOTHING/.test(sql);
+      return {
+        bind(key, value) {
+          return {
+            async first() {
+              return rows.has(key) ? { value: rows.get(key) } : null;
+            },
+            async run() {
+              const changes = ignoresConflict && rows.has(key) ? 0 : 1;
+              if (changes) rows.set(key, value);
+              return { meta: { changes } };
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+// Durable Object namespace around `ObjectClass`; like the runtime, each object handles one
+// request at a time.
+function createFakeDurableObjects(ObjectClass) {
+  const instances = new Map();
+  return {
+    idFromName: (name) => name,
+    get(id) {
+      if (!instances.has(id)) {
+        const data = new Map();
+        const storage = {
+          get: async (key) => data.get(key),
+          put: async (key, value) => data.set(key, value),
+        };
+        instances.set(id, { object: new ObjectClass({ storage }), queue: Promise.resolve() });
+      }
+      const instance = instances.get(id);
+      return {
+        fetch(url, init) {
+          const result = instance.queue.then(() => instance.object.fetch(new Request(url, init)));
+          instance.queue = result.catch(() => {});
+          return result;
+        },
+      };
+    },
+  };
+}
+
+// Cache API subset used by src/searchcache.js; `entries` holds the raw JSON bodies by URL.
+function createFakeCache() {
+  const entries = new Map();
+  return {
+    entries,
+    async match(request) {
+      const body = entries.get(request.url);
+      return body === undefined ? undefined : new Response(body);
+    },
+    async put(request, response) {
+      entries.set(request.url, await response.text());
+    },
+  };
+}
+
+// Plain video objects become videoRenderer items; anything with a renderer key passes through.
+function innertubeResponse(items, continuation = null) {
+  const rendered = items.map((item) => (item.videoId ? { videoRenderer: item } : item));
+  const contents = [{ itemSectionRenderer: { contents: rendered } }];
+  if (continuation) {
+    const continuationEndpoint = { continuationCommand: { token: continuation } };
+    contents.push({ continuationItemRenderer: { continuationEndpoint } });
+  }
+  const primaryContents = { sectionListRenderer: { contents } };
+  return { contents: { twoColumnSearchResultsRenderer: { primaryContents } } };
+}
+
+// Swaps globalThis.fetch for `respond` while `body` runs; returns the number of upstream calls.
+async function withStubbedFetch(respond, body) {
+  const originalFetch = globalThis.fetch;
+  let calls = 0;
+  globalThis.fetch = async (...args) => {
+    calls += 1;
+    return respond(...args);
+  };
+  try {
+    await body(() => calls);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
 function createEnv() {
   return {
     ADAPTER_TOKEN: "dev-secret",
+    SESSION_SECRET: "session-secret",
+    LEARNER_SECRET: "learner-secret",
+    JWT_SECRET: "jwt-secret",
+    PROGRESS_KV: createFakeKv(),
+    RATE_LIMITS: JSON.stringify({
+      default: { limit: 10000, window: 60 },
+      exam: { limit: 10000, window: 60 },
+      pseudocode: { limit: 10000, window: 60 },
+      search: { limit: 10000, window: 60 },
+    }),
     ASSETS: {
       async fetch(request) {
         const url = new URL(request.url);
@@ -33,6 +171,47 @@ async function readJson(res) {
   return JSON.parse(await res.text());
 }
 
+function getJson(path) {
+  return new Request(`https://api.barakzai.cloud${path}`, {
+    headers: { Origin: "https://barakzai.cloud", "X-Adapter-Token": "dev-secret" },
+  });
+}
+
+function bearerRequest(path, token, body) {
+  return new Request(`https://api.barakzai.cloud${path}`, {
+    method: body === undefined ? "GET" : "POST",
+    headers: {
+      Origin: "https://barakzai.cloud",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function signRs256(claims, privateKey) {
+  const encode = (value) => base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+  const signingInput = `${encode({ alg: "RS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = await crypto.subtle.sign(
+    "RSASSA-PKCS1-v1_5",
+    privateKey,
+    new TextEncoder().encode(signingInput),
+  );
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+function postJson(path, body) {
+  return new Request(`https://api.barakzai.cloud${path}`, {
+    method: "POST",
+    headers: {
+      Origin: "https://barakzai.cloud",
+      "Content-Type": "application/json",
+      "X-Adapter-Token": "dev-secret",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
 async function run() {
   const env = createEnv();
 
@@ -94,6 +273,101 @@ async function run() {
     assert.ok(Array.isArray(body.topics));
     assert.ok(body.topics.includes("bubblesort"));
     assert.ok(!body.topics.includes("exam_bank_ap2"));
+    assert.deepEqual(Object.keys(body.catalog), body.topics);
+  }
+
+  {
+    const body = await readJson(await handleRequest(getJson("/v1/topics"), env));
+    assert.equal(body.catalog.bubblesort.kind, "algorithm");
+    assert.ok(body.catalog.bubblesort.titles.fa);
+    assert.equal(body.catalog.exam_bank_ap2.kind, "exam_bank");
+    assert.equal(body.catalog.wiso.kind, "subject_bundle");
+    assert.deepEqual(body.catalog.wiso.modes, []);
+    assert.deepEqual(body.availability.wiso, { de: [] });
+
+    const fiae = body.catalog.fiae_2023;
+    assert.equal(fiae.kind, "exam_bank");
+    assert.ok(fiae.files.includes("fiae_2023.json"));
+    assert.deepEqual(fiae.years, ["2023", "2024", "2025", "2026"]);
+    assert.equal(fiae.question_count, 35);
+    assert.equal(Object.values(fiae.difficulty).reduce((sum, count) => sum + count, 0), 35);
+    assert.match(fiae.revision, /^[0-9a-f]{16}$/);
+    assert.ok(!Number.isNaN(Date.parse(fiae.updated_at)));
+
+    const banks = await readJson(await handleRequest(getJson("/v1/topics?kind=exam_bank"), env));
+    assert.deepEqual(banks.topics, ["exam_bank_ap2", "fiae_2023"]);
+    assert.deepEqual(Object.keys(banks.catalog), banks.topics);
+  }
+
+  {
+    const curriculum = {
+      prerequisites: { b: ["a"], c: ["b"], d: ["a"] },
+      paths: [{ id: "p", topics: ["d", "c"] }],
+    };
+    assert.deepEqual(orderTopics(curriculum, ["c"]), ["a", "b", "c"]);
+    assert.deepEqual(topicRelations(curriculum, "a"), {
+      prerequisites: [],
+      unlocks: ["b", "d"],
+      related: ["c"],
+      paths: ["p"],
+    });
+    assert.deepEqual(curriculumProblems(curriculum, ["a", "b", "c", "d"]), []);
+    const unknownPath = { ...curriculum, paths: [{ id: "p", topics: ["x"] }] };
+    assert.deepEqual(curriculumProblems(unknownPath, ["a", "b", "c", "d"]), ["paths/p: unknown topic x"]);
+    const cyclic = { prerequisites: { a: ["c"], b: ["a"], c: ["b"] } };
+    assert.deepEqual(curriculumProblems(cyclic, ["a", "b", "c"]), ["prerequisites: cycle a → c → b → a"]);
+
+    const dataDir = resolve(repoRoot, "assets", "tutor-data");
+    const shipped = JSON.parse(await readFile(resolve(dataDir, "curriculum.json"), "utf8"));
+    const topics = JSON.parse(await readFile(resolve(dataDir, "topics.json"), "utf8"));
+    assert.deepEqual(curriculumProblems(shipped, topics.topics), []);
+  }
+
+  {
+    const res = await handleRequest(getJson("/v1/topics/binarysearch?lang=fa"), env);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Language"), "fa");
+    const body = await readJson(res);
+    assert.equal(body.kind, "algorithm");
+    assert.equal(body.direction, "rtl");
+    assert.equal(body.title, body.titles.fa);
+    assert.ok(body.summary.length > 0);
+    assert.ok(body.variants.some((variant) => variant.is_default));
+    assert.equal(body.exam.question_count, 10);
+    assert.deepEqual(body.prerequisites, ["linearsearch"]);
+    assert.ok(body.unlocks.includes("fiae_2023"));
+    assert.ok(body.paths.includes("searching"));
+    assert.equal(body.updated_at, new Date(body.updated_at).toISOString());
+
+    const bundle = await readJson(await handleRequest(getJson("/v1/topics/wiso"), env));
+    assert.equal(bundle.kind, "subject_bundle");
+    assert.equal(bundle.summary, null);
+    assert.deepEqual(bundle.variants, []);
+
+    assert.equal((await handleRequest(getJson("/v1/topics/unknown_topic"), env)).status, 404);
+    for (const name of ["constructor", "__proto__"]) {
+      assert.equal((await handleRequest(getJson(`/v1/topics/${name}`), env)).status, 404, name);
+    }
+  }
+
+  {
+    const res = await handleRequest(getJson("/v1/paths?lang=en"), env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    const sorting = body.paths.find((path) => path.id === "sorting");
+    assert.equal(sorting.title, "Sorting");
+    assert.deepEqual(
+      sorting.steps.map((step) => step.topic),
+      ["bubblesort", "selectionsort", "insertionsort"],
+    );
+    for (const path of body.paths) {
+      const order = path.steps.map((step) => step.topic);
+      for (const step of path.steps) {
+        for (const prerequisite of step.prerequisites) {
+          assert.ok(order.indexOf(prerequisite) < order.indexOf(step.topic), `${path.id}: ${step.topic}`);
+        }
+      }
+    }
   }
 
   {
@@ -122,7 +396,17 @@ async function run() {
     const res = await handleRequest(req, env);
     assert.equal(res.status, 200);
     const body = await readJson(res);
-    assert.deepEqual(body, expected);
+    // Empty German variant explanations fall back to the Persian ones; everything else is as stored.
+    const { fallbacks, direction, ...served } = body;
+    const filled = expected.variants.flatMap((variant, index) => {
+      if (variant.explain_variant.de) return [];
+      variant.explain_variant.de = variant.explain_variant.fa;
+      return [{ path: `/variants/${index}/explain_variant/de`, from: "fa", direction: "rtl" }];
+    });
+    assert.ok(filled.length > 0);
+    assert.deepEqual(served, expected);
+    assert.deepEqual(fallbacks, filled);
+    assert.equal(direction, "ltr");
     assert.equal(body.schema_name, "tutor_asset.pseudocode.v1");
     assert.equal(body.topic, "bubblesort");
     assert.equal(body.lang, "de");
@@ -157,7 +441,7 @@ async function run() {
     const res = await handleRequest(req, env);
     assert.equal(res.status, 200);
     const body = await readJson(res);
-    assert.deepEqual(body, expected);
+    assert.deepEqual(body, { ...expected, direction: "rtl", fallbacks: [] });
     assert.equal(body.lang, "fa");
   }
 
@@ -219,6 +503,1793 @@ async function run() {
     assert.equal(res.headers.get("access-control-max-age"), "86400");
   }
 
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "bubblesort",
+      lang: "de",
+      mode: "exam",
+      view: "student",
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.view, "student");
+    assert.ok(body.questions.length > 0);
+    for (const question of body.questions) {
+      assert.equal(question.answer, undefined);
+      assert.equal(question.explain_de, undefined);
+      assert.equal(question.explain_fa, undefined);
+      assert.equal(typeof question.prompt, "string");
+    }
+  }
+
+  {
+    const req = postJson("/v1/exam/submit", {
+      topic: "bubblesort",
+      lang: "de",
+      answers: {
+        ex01_trace_passes: "Pass 0: [1, 4, 2, 5]; Pass 1: [1,2,4,5]; Pass 2: [1,2,4,5]",
+        ex02_trace_after_pass0: " [2, 1, 3, 4] ",
+        ex03_trace_swaps_pass0: "3 Swaps, Zustand [2,4,1,5]",
+        ex04_complexity_classic: "10.0",
+      },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    const verdicts = Object.fromEntries(body.results.map((result) => [result.id, result.verdict]));
+    assert.equal(verdicts.ex01_trace_passes, "correct");
+    assert.equal(verdicts.ex02_trace_after_pass0, "correct");
+    assert.equal(verdicts.ex03_trace_swaps_pass0, "incorrect");
+    assert.equal(verdicts.ex04_complexity_classic, "correct");
+    assert.equal(verdicts.ex05_complexity_early_exit, "unanswered");
+    const first = body.results.find((result) => result.id === "ex01_trace_passes");
+    assert.match(first.explain_de, /Pass0/);
+    assert.equal(body.score.correct, 3);
+    assert.equal(body.score.graded, body.results.length);
+  }
+
+  {
+    const req = postJson("/v1/exam/submit", { topic: "bubblesort", lang: "de" });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 400);
+    const body = await readJson(res);
+    assert.match(body.detail, /answers/);
+  }
+
+  {
+    const examRaw = await readFile(
+      resolve(repoRoot, "assets", "tutor-data", "run", "fiae_2023.de.exam.json"),
+      "utf8",
+    );
+    const question = JSON.parse(examRaw).questions.find(
+      (item) => item.id === "y23_t1_1a_binarysearch_design",
+    );
+
+    const strongRes = await handleRequest(
+      postJson("/v1/exam/score", {
+        topic: "fiae_2023",
+        lang: "de",
+        question_id: question.id,
+        answer: question.pseudocode,
+      }),
+      env,
+    );
+    assert.equal(strongRes.status, 200);
+    const strong = await readJson(strongRes);
+    assert.equal(strong.max_points, 8);
+    assert.equal(strong.criteria.length, 4);
+    assert.ok(strong.awarded_points >= 6);
+    const loopCriterion = strong.criteria.find((item) => /links <= rechts/.test(item.criterion));
+    assert.equal(loopCriterion.awarded, 2);
+
+    const weakRes = await handleRequest(
+      postJson("/v1/exam/score", {
+        topic: "fiae_2023",
+        lang: "de",
+        question_id: question.id,
+        answer: "links = 0\nSOLANGE links < rechts\n  GIB mitte ZURUECK",
+      }),
+      env,
+    );
+    const weak = await readJson(weakRes);
+    assert.ok(weak.awarded_points < strong.awarded_points);
+    const missingCase = weak.deductions.find((item) => /-1 Fall/.test(item.deduction));
+    assert.equal(missingCase.applied, true);
+  }
+
+  {
+    const exam = JSON.parse(
+      await readFile(resolve(repoRoot, "assets", "tutor-data", "run", "fiae_2023.de.exam.json"), "utf8"),
+    );
+    const rubricQuestions = exam.questions.filter((question) => question.scoring_guide);
+    assert.equal(rubricQuestions.length, 11);
+    for (const question of rubricQuestions) {
+      const { criteria, common_deductions: deductions = [], max_points: maxPoints } = question.scoring_guide;
+      const model = scoreRubricAnswer(question, [question.answer_long, question.pseudocode].join("\n"));
+      assert.ok(model.awarded_points >= maxPoints * 0.75, `${question.id}: ${model.awarded_points}`);
+      assert.equal(model.unchecked_points, 0);
+      const pasted = scoreRubricAnswer(question, [...criteria, ...deductions].join("\n"));
+      assert.ok(pasted.awarded_points <= maxPoints * 0.25, `${question.id}: ${pasted.awarded_points}`);
+    }
+
+    const withoutModel = {
+      ...rubricQuestions[0],
+      answer_short: "",
+      answer_long: "",
+      pseudocode: "",
+      keywords: [],
+    };
+    const unchecked = scoreRubricAnswer(withoutModel, "links = 0");
+    assert.ok(unchecked.criteria.every((item) => !item.checked && item.awarded === null));
+    assert.equal(unchecked.unchecked_points, 8);
+    assert.equal(unchecked.awarded_points, 0);
+
+    // Off by one: `links < rechts` and an early return instead of searching on to the left.
+    const [design] = rubricQuestions;
+    const offByOne = design.pseudocode
+      .replace("SOLANGE links <= rechts", "SOLANGE links < rechts")
+      .replace(/ergebnis = mitte\n\s*rechts = mitte - 1/, "GIB mitte ZURUECK");
+    assert.ok(offByOne.includes("GIB mitte ZURUECK"));
+    const offByOneScore = scoreRubricAnswer(design, offByOne);
+    assert.ok(offByOneScore.awarded_points <= 5, String(offByOneScore.awarded_points));
+    const loop = offByOneScore.criteria.find((item) => item.criterion.includes("links <= rechts"));
+    assert.equal(loop.awarded, 0);
+    assert.ok(loop.missing.includes("links<=rechts"));
+
+    const decimal = { ...design, scoring_guide: { max_points: 1.5, criteria: ["Schleife korrekt (1,5P)"] } };
+    assert.equal(scoreRubricAnswer(decimal, design.pseudocode).criteria[0].points, 1.5);
+  }
+
+  {
+    const res = await handleRequest(
+      postJson("/v1/exam/score", {
+        topic: "bubblesort",
+        lang: "de",
+        question_id: "ex01_trace_passes",
+        answer: "x",
+      }),
+      env,
+    );
+    assert.equal(res.status, 422);
+  }
+
+  {
+    const startRes = await handleRequest(postJson("/v1/sessions", {}), env);
+    assert.equal(startRes.status, 201);
+    const session = await readJson(startRes);
+    assert.equal(session.time_limit_minutes, 60);
+    assert.ok(session.questions.length > 0);
+    assert.ok(session.questions.length <= 10);
+    for (const question of session.questions) {
+      assert.equal(question.richtige_antwort, undefined);
+      assert.ok(question.optionen);
+    }
+
+    const answers = Object.fromEntries(session.questions.map((question) => [question.id, "A"]));
+    answers.arbeitsrecht_v1_q038 = "d";
+    answers.arbeitsrecht_v1_q012 = "C";
+    const submitRes = await handleRequest(
+      postJson(`/v1/sessions/${session.session_id}/submit`, { token: session.token, answers }),
+      env,
+    );
+    assert.equal(submitRes.status, 200);
+    const graded = await readJson(submitRes);
+    assert.equal(graded.points, session.questions.length);
+    assert.equal(graded.max_points, session.max_points);
+    assert.ok(graded.results.every((result) => result.correct));
+
+    const blank = await handleRequest(
+      postJson(`/v1/sessions/${session.session_id}/submit`, { token: session.token, answers: {} }),
+      env,
+    );
+    assert.equal(blank.status, 409);
+
+    const tampered = `${session.token.slice(0, -2)}xx`;
+    const tamperedRes = await handleRequest(
+      postJson(`/v1/sessions/${session.session_id}/submit`, { token: tampered, answers }),
+      env,
+    );
+    assert.equal(tamperedRes.status, 401);
+  }
+
+  {
+    const sessionRun = async (sessionEnv) => {
+      const session = await readJson(await handleRequest(postJson("/v1/sessions", {}), sessionEnv));
+      const submit = () =>
+        handleRequest(
+          postJson(`/v1/sessions/${session.session_id}/submit`, { token: session.token, answers: {} }),
+          sessionEnv,
+        );
+      return Promise.all([submit(), submit()]).then((responses) => responses.map((res) => res.status).sort());
+    };
+    // Without a store the signed token is all there is; D1 and the Durable Object mark atomically.
+    const statelessEnv = { ...env, PROGRESS_KV: undefined };
+    assert.deepEqual(await sessionRun(statelessEnv), [200, 200]);
+    assert.deepEqual(await sessionRun({ ...statelessEnv, PROGRESS_DB: createFakeD1() }), [200, 409]);
+    const durableEnv = { ...env, RATE_LIMITER: createFakeDurableObjects(RateLimitCounter) };
+    assert.deepEqual(await sessionRun(durableEnv), [200, 409]);
+
+    // A bundle without a time limit still gives the learner a minute.
+    const untimedEnv = {
+      ...env,
+      ASSETS: {
+        async fetch(request) {
+          const res = await env.ASSETS.fetch(request);
+          if (!new URL(request.url).pathname.endsWith("/wiso.de.trace.json")) return res;
+          const bundle = await res.json();
+          bundle.sections.pruefungssimulation.rahmen.zeit_minuten = 0;
+          return new Response(JSON.stringify(bundle));
+        },
+      },
+    };
+    const untimed = await readJson(await handleRequest(postJson("/v1/sessions", {}), untimedEnv));
+    assert.equal(untimed.time_limit_minutes, 1);
+    assert.ok(Date.parse(untimed.expires_at) > Date.parse(untimed.started_at));
+  }
+
+  {
+    const startedAt = Date.now() - 2 * 60 * 60 * 1000;
+    const token = await signPayload(
+      { sid: "late-session", qs: ["arbeitsrecht_v1_q012"], iat: startedAt, exp: startedAt + 60 * 60 * 1000 },
+      "session-secret",
+    );
+    const res = await handleRequest(
+      postJson("/v1/sessions/late-session/submit", { token, answers: { arbeitsrecht_v1_q012: "C" } }),
+      env,
+    );
+    assert.equal(res.status, 410);
+    const body = await readJson(res);
+    assert.equal(body.detail, "Session expired");
+  }
+
+  {
+    const res = await handleRequest(postJson("/v1/sessions/%E0%A4%A/submit", { token: "x", answers: {} }), env);
+    assert.equal(res.status, 400);
+  }
+
+  {
+    const wrangler = await readFile(resolve(repoRoot, "wrangler.toml"), "utf8");
+    assert.ok(/run_worker_first = \[[^\]]*"\/tutor-data\/\*"/.test(wrangler));
+    for (const path of [
+      "/tutor-data/run/wiso.de.trace.json",
+      "/tutor-data/run/linearsearch.de.exam.json",
+      "/tutor-data/search_index.json",
+    ]) {
+      const res = await handleRequest(getJson(path), env);
+      assert.equal(res.status, 404, path);
+    }
+  }
+
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "bubblesort",
+      lang: "de",
+      mode: "trace",
+      input: { array: [5, 1, 4, 2] },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.schema_name, "tutor_asset.trace.v1");
+    assert.equal(body.variant, "classic_full");
+    assert.deepEqual(body.result, [1, 2, 4, 5]);
+    const passes = body.steps.filter((step) => step.kind === "pass").map((step) => step.array);
+    assert.deepEqual(passes, [[1, 4, 2, 5], [1, 2, 4, 5], [1, 2, 4, 5]]);
+    assert.equal(body.stats.comparisons, 6);
+    assert.equal(body.stats.swaps, 4);
+  }
+
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "binarysearch",
+      lang: "fa",
+      mode: "trace",
+      input: { array: [1, 3, 5, 7, 9, 11], target: 9 },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.result, 4);
+    const mids = body.steps.filter((step) => step.kind === "compare").map((step) => step.vars.mid);
+    assert.deepEqual(mids, [2, 4]);
+  }
+
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "bubblesort",
+      lang: "de",
+      mode: "trace",
+      variant: "objects",
+      input: { array: [2, 1] },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 422);
+    const body = await readJson(res);
+    assert.ok(body.supported_variants.includes("early_exit"));
+  }
+
+  for (const variant of ["toString", "constructor", "__proto__"]) {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "bubblesort",
+      lang: "de",
+      mode: "trace",
+      variant,
+      input: { array: [2, 1] },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 422, variant);
+  }
+
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "minmax_avg",
+      lang: "de",
+      mode: "trace",
+      variant: "classic_minmax_avg",
+      input: { array: [] },
+    });
+    const body = await readJson(await handleRequest(req, env));
+    assert.deepEqual(body.result, { min: null, max: null, avg: null });
+  }
+
+  {
+    const req = postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "11111111-1111-1111-1111-111111111111",
+      topic: "wiso",
+      lang: "de",
+      mode: "trace",
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.schema_name, "tutor_asset.wiso.bundle.v1");
+    // No question of the bundle reaches the client with its solution.
+    const served = JSON.stringify(body);
+    assert.ok(!served.includes("richtige_antwort") && !served.includes("erklaerung_de"));
+    assert.ok(body.sections.pruefungssimulation.fragen[0].optionen);
+    assert.ok(body.sections.trainingsfragen[0].fragen[0].frage);
+    assert.ok(body.sections.wissensbasis.length > 0);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/execute", {
+      topic: "bubblesort",
+      variant: "classic_full",
+      args: [[5, 1, 4, 2]],
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.ok, true);
+    assert.equal(body.variant, "classic_full");
+    assert.deepEqual(body.result, [1, 2, 4, 5]);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/execute", {
+      pseudocode: "FUNKTION Summe(a)\n  s = 0\n  FUER i = 0 BIS LAENGE(a) - 1\n    s = s + \n  ENDE\nENDE",
+      args: [[1, 2]],
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.ok, false);
+    assert.equal(body.errors[0].kind, "syntax");
+    assert.equal(body.errors[0].line, 4);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/execute", {
+      pseudocode: "x = 0\nSOLANGE WAHR\n  x = x + 1\nENDE",
+      max_steps: 500,
+    });
+    const res = await handleRequest(req, env);
+    const body = await readJson(res);
+    assert.equal(body.ok, false);
+    assert.equal(body.errors[0].kind, "runtime");
+    assert.match(body.errors[0].message, /Step limit of 500/);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/execute", {
+      pseudocode: [
+        's = "x"',
+        "FUER i = 1 BIS 13",
+        "  s = s + s",
+        "ENDE FUER",
+        "FUER i = 1 BIS 1000",
+        "  AUSGABE s",
+        "ENDE FUER",
+      ].join("\n"),
+    });
+    const res = await handleRequest(req, env);
+    const body = await readJson(res);
+    assert.equal(body.ok, false);
+    assert.equal(body.errors[0].kind, "runtime");
+    assert.equal(body.errors[0].line, 6);
+    assert.match(body.errors[0].message, /Output is limited to 262144 bytes/);
+    assert.ok(body.output.length < 40);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/execute", { args: [] });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 400);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/verify", {
+      topic: "linearsearch",
+      variant: "first_hit",
+      pseudocode: [
+        "FUNKTION Suche(arr, x)",
+        "  FUER i = 0 BIS LAENGE(arr) - 2",
+        "    WENN arr[i] = x DANN",
+        "      GIB i ZURUECK",
+        "  GIB -1 ZURUECK",
+        "ENDE",
+      ].join("\n"),
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.passed, false);
+    const failed = body.mismatches.find((item) => item.case === "single_hit");
+    assert.deepEqual(failed.input, { arr: [7], x: 7 });
+    assert.equal(failed.expected, 0);
+    assert.equal(failed.actual, -1);
+    assert.ok(body.matched > 0);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/verify", {
+      topic: "insertionsort",
+      variant: "classic_int_asc",
+      pseudocode: [
+        "PROZEDUR Sortiere(a)",
+        "  FUER i = 1 BIS LAENGE(a) - 1",
+        "    j = i",
+        "    SOLANGE j > 0 UND a[j - 1] > a[j]",
+        "      TAUSCHE a[j - 1], a[j]",
+        "      j = j - 1",
+        "ENDE",
+      ].join("\n"),
+    });
+    const res = await handleRequest(req, env);
+    const body = await readJson(res);
+    assert.equal(body.passed, true);
+    assert.equal(body.matched, body.total);
+  }
+
+  {
+    const req = postJson("/v1/pseudocode/verify", {
+      topic: "bubblesort",
+      variant: "objects",
+      pseudocode: "FUNKTION Sortiere(arr, key)\n  GIB arr ZURUECK\nENDE",
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 422);
+  }
+
+  {
+    const umlautRes = await handleRequest(getJson("/v1/content/search?q=bin%C3%A4re%20Suche"), env);
+    const umlaut = await readJson(umlautRes);
+    const ascii = await readJson(await handleRequest(getJson("/v1/content/search?q=binaere+suche"), env));
+    assert.ok(umlaut.total > 0);
+    assert.deepEqual(
+      umlaut.hits.map((hit) => hit.ref),
+      ascii.hits.map((hit) => hit.ref),
+    );
+    assert.equal(umlaut.hits[0].topic, "binarysearch");
+  }
+
+  {
+    const query = encodeURIComponent("جستجوی دودویی");
+    const res = await handleRequest(getJson(`/v1/content/search?q=${query}&lang=fa&mode=explain`), env);
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.ok(body.hits.length > 0);
+    assert.ok(body.hits.every((hit) => hit.lang === "fa" && hit.mode === "explain"));
+    assert.equal(body.hits[0].topic, "binarysearch");
+    assert.ok(body.hits[0].ref.block);
+  }
+
+  {
+    const res = await handleRequest(getJson("/v1/content/search?q=early_exit&mode=pseudocode&lang=de"), env);
+    const body = await readJson(res);
+    assert.deepEqual(body.hits[0].ref, { variant_id: "early_exit" });
+  }
+
+  {
+    const res = await handleRequest(getJson("/v1/content/search?q=Kuendigung"), env);
+    const body = await readJson(res);
+    assert.ok(body.hits.some((hit) => hit.topic === "wiso" && hit.ref.wissensbasis === "arbeitsrecht"));
+  }
+
+  {
+    const res = await handleRequest(getJson("/v1/content/search?q=%20"), env);
+    assert.equal(res.status, 400);
+  }
+
+  {
+    const cardId = "bubblesort:ex01_trace_passes";
+    let res = await handleRequest(postJson("/v1/review/answer", { card_id: cardId, grade: 5 }), env);
+    assert.equal(res.status, 200);
+    let { card } = await readJson(res);
+    assert.equal(card.repetitions, 1);
+    assert.equal(card.interval_days, 1);
+    assert.equal(card.ease, 2.6);
+
+    res = await handleRequest(
+      postJson("/v1/review/answer", { card_id: cardId, grade: 4, state: card }),
+      env,
+    );
+    ({ card } = await readJson(res));
+    assert.equal(card.repetitions, 2);
+    assert.equal(card.interval_days, 6);
+
+    res = await handleRequest(
+      postJson("/v1/review/answer", { card_id: cardId, grade: 1, state: card }),
+      env,
+    );
+    ({ card } = await readJson(res));
+    assert.equal(card.repetitions, 0);
+    assert.equal(card.interval_days, 1);
+    assert.ok(card.ease < 2.6);
+  }
+
+  {
+    const unknown = postJson("/v1/review/answer", { card_id: "bubblesort:nope", grade: 3 });
+    assert.equal((await handleRequest(unknown, env)).status, 404);
+    const outOfRange = postJson("/v1/review/answer", { card_id: "bubblesort:ex01_trace_passes", grade: 7 });
+    const invalid = await handleRequest(outOfRange, env);
+    assert.equal(invalid.status, 400);
+  }
+
+  {
+    for (const cardId of ["checksum:ex4_luhn_trace", "count_condition:ex3_build_filtered"]) {
+      const res = await handleRequest(postJson("/v1/review/answer", { card_id: cardId, grade: 4 }), env);
+      assert.equal(res.status, 200, cardId);
+    }
+    const prototypeKey = postJson("/v1/review/answer", { card_id: "constructor:ex01", grade: 4 });
+    assert.equal((await handleRequest(prototypeKey, env)).status, 404);
+  }
+
+  {
+    const overdue = {
+      card_id: "binarysearch:binarysearch-01",
+      repetitions: 2,
+      interval_days: 6,
+      ease: 2.5,
+      due_at: "2020-01-02T00:00:00.000Z",
+    };
+    const older = { ...overdue, card_id: "wiso:arbeitsrecht_v1_q012", due_at: "2020-01-01T00:00:00.000Z" };
+    const future = {
+      ...overdue,
+      card_id: "bubblesort:ex01_trace_passes",
+      due_at: "2999-01-01T00:00:00.000Z",
+    };
+    const res = await handleRequest(
+      postJson("/v1/review/due", { lang: "de", states: [overdue, future, older], limit: 6 }),
+      env,
+    );
+    assert.equal(res.status, 200);
+    const body = await readJson(res);
+    assert.equal(body.due_count, 2);
+    assert.equal(body.new_count, 4);
+    assert.deepEqual(
+      body.cards.slice(0, 2).map((item) => item.card_id),
+      ["wiso:arbeitsrecht_v1_q012", "binarysearch:binarysearch-01"],
+    );
+    assert.ok(body.cards.every((item) => item.card_id !== "bubblesort:ex01_trace_passes"));
+    const fresh = body.cards.filter((item) => item.status === "new");
+    assert.ok(new Set(fresh.map((item) => item.topic)).size > 1);
+    assert.ok(fresh.every((item) => item.question.answer === undefined));
+  }
+
+  {
+    const created = await handleRequest(postJson("/v1/progress/learners", {}), env);
+    assert.equal(created.status, 201);
+    const { learner_id: learnerId, token } = await readJson(created);
+
+    const learnerRequest = (method, body) =>
+      new Request("https://api.barakzai.cloud/v1/progress", {
+        method,
+        headers: {
+          Origin: "https://barakzai.cloud",
+          "Content-Type": "application/json",
+          "X-Adapter-Token": "dev-secret",
+          "X-Learner-Token": token,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+
+    let res = await handleRequest(learnerRequest("GET"), env);
+    assert.equal(res.status, 200);
+    assert.deepEqual((await readJson(res)).answered, {});
+
+    res = await handleRequest(
+      learnerRequest("POST", {
+        answered: { "bubblesort:ex01_trace_passes": { verdict: "correct" } },
+        scores: { bubblesort: { exam: { score: 3, max: 5 } } },
+        last_variant: { bubblesort: "early_exit" },
+      }),
+      env,
+    );
+    assert.equal(res.status, 200);
+    await handleRequest(learnerRequest("POST", { last_variant: { linearsearch: "all_hits" } }), env);
+
+    res = await handleRequest(learnerRequest("GET"), env);
+    const progress = await readJson(res);
+    assert.equal(progress.learner_id, learnerId);
+    assert.equal(progress.answered["bubblesort:ex01_trace_passes"].verdict, "correct");
+    assert.equal(progress.scores.bubblesort.exam.score, 3);
+    assert.deepEqual(progress.last_variant, { bubblesort: "early_exit", linearsearch: "all_hits" });
+    assert.ok(env.PROGRESS_KV.entries.has(`progress:${learnerId}`));
+
+    const overScored = { scores: { bubblesort: { exam: { score: 9, max: 5 } } } };
+    res = await handleRequest(learnerRequest("POST", overScored), env);
+    assert.equal(res.status, 400);
+  }
+
+  {
+    const forged = await signPayload({ lid: "someone-else", iat: Date.now() }, "wrong-secret");
+    const req = new Request("https://api.barakzai.cloud/v1/progress", {
+      headers: {
+        Origin: "https://barakzai.cloud",
+        "X-Adapter-Token": "dev-secret",
+        "X-Learner-Token": forged,
+      },
+    });
+    const res = await handleRequest(req, env);
+    assert.equal(res.status, 401);
+  }
+
+  {
+    const exp = Math.floor(Date.now() / 1000) + 600;
+    const reader = await signJwt({ sub: "learner-1", exp, scopes: ["content:read"] }, "jwt-secret");
+
+    let res = await handleRequest(bearerRequest("/v1/topics", reader), env);
+    assert.equal(res.status, 200);
+
+    res = await handleRequest(
+      bearerRequest("/v1/exam/submit", reader, { topic: "bubblesort", lang: "de", answers: {} }),
+      env,
+    );
+    assert.equal(res.status, 403);
+    assert.equal((await readJson(res)).detail, "Missing scope: exam:grade");
+
+    const admin = await signJwt({ sub: "teacher", exp, scope: "admin" }, "jwt-secret");
+    res = await handleRequest(
+      bearerRequest("/v1/exam/submit", admin, { topic: "bubblesort", lang: "de", answers: {} }),
+      env,
+    );
+    assert.equal(res.status, 200);
+
+    // Exams come without answers by default; the teacher view needs exam:grade.
+    const examRun = { api_version: "v1", request_id: "view", topic: "fiae_2023", lang: "de", mode: "exam" };
+    res = await handleRequest(bearerRequest("/v1/run", reader, examRun), env);
+    assert.equal(res.status, 200);
+    let exam = await readJson(res);
+    assert.equal(exam.view, "student");
+    assert.ok(exam.questions.length > 0);
+    for (const question of exam.questions) {
+      assert.ok(!("answer_short" in question) && !("explain_fa" in question), question.id);
+    }
+    res = await handleRequest(bearerRequest("/v1/run", reader, { ...examRun, view: "teacher" }), env);
+    assert.equal(res.status, 403);
+    assert.equal((await readJson(res)).detail, "The teacher view needs scope: exam:grade");
+    res = await handleRequest(bearerRequest("/v1/exam/compose", reader, { seed: "a", view: "teacher" }), env);
+    assert.equal(res.status, 403);
+    res = await handleRequest(bearerRequest("/v1/exam/compose", reader, { seed: "a" }), env);
+    assert.ok((await readJson(res)).questions.every((question) => question.answer_short === undefined));
+    res = await handleRequest(bearerRequest("/v1/run", admin, { ...examRun, view: "teacher" }), env);
+    exam = await readJson(res);
+    assert.equal(exam.view, undefined);
+    assert.ok(exam.questions.every((question) => question.answer_short));
+
+    const expired = await signJwt({ sub: "learner-1", exp: 1000, scopes: ["content:read"] }, "jwt-secret");
+    res = await handleRequest(bearerRequest("/v1/topics", expired), env);
+    assert.equal(res.status, 401);
+    assert.equal((await readJson(res)).detail, "Token expired");
+
+    const forged = await signJwt({ sub: "learner-1", exp, scopes: ["admin"] }, "not-the-secret");
+    res = await handleRequest(bearerRequest("/v1/topics", forged), env);
+    assert.equal(res.status, 401);
+
+    // The JWT subject doubles as the learner id for progress; writing it needs progress:write.
+    const update = { last_variant: { bubblesort: "cocktail" } };
+    res = await handleRequest(bearerRequest("/v1/progress", reader, update), env);
+    assert.equal(res.status, 403);
+    assert.equal((await readJson(res)).detail, "Missing scope: progress:write");
+    res = await handleRequest(bearerRequest("/v1/progress/learners", reader, {}), env);
+    assert.equal(res.status, 403);
+    const learner = await signJwt(
+      { sub: "learner-1", exp, scopes: ["content:read", "progress:write"] },
+      "jwt-secret",
+    );
+    res = await handleRequest(bearerRequest("/v1/progress", learner, update), env);
+    assert.equal(res.status, 200);
+    res = await handleRequest(bearerRequest("/v1/progress", admin, update), env);
+    assert.equal(res.status, 200);
+    res = await handleRequest(bearerRequest("/v1/progress", reader), env);
+    const progress = await readJson(res);
+    assert.equal(progress.learner_id, "learner-1");
+    assert.equal(progress.last_variant.bubblesort, "cocktail");
+  }
+
+  {
+    const { publicKey, privateKey } = await crypto.subtle.generateKey(
+      {
+        name: "RSASSA-PKCS1-v1_5",
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: "SHA-256",
+      },
+      true,
+      ["sign", "verify"],
+    );
+    const spki = new Uint8Array(await crypto.subtle.exportKey("spki", publicKey));
+    const pem = [
+      "-----BEGIN PUBLIC KEY-----",
+      Buffer.from(spki).toString("base64"),
+      "-----END PUBLIC KEY-----",
+    ].join("\n");
+    const rsaEnv = { ...env, JWT_PUBLIC_KEY: pem };
+    const exp = Math.floor(Date.now() / 1000) + 600;
+
+    const token = await signRs256({ sub: "sso-user", exp, scopes: ["content:read"] }, privateKey);
+    let res = await handleRequest(bearerRequest("/v1/topics", token), rsaEnv);
+    assert.equal(res.status, 200);
+
+    res = await handleRequest(bearerRequest("/v1/topics", token), env);
+    assert.equal(res.status, 401);
+  }
+
+  {
+    const limitedEnv = {
+      ...env,
+      RATE_LIMIT_KV: createFakeKv(),
+      RATE_LIMITS: JSON.stringify({ default: { limit: 2, window: 60 }, search: { limit: 1, window: 60 } }),
+    };
+    const topicsFrom = (ip) =>
+      new Request("https://api.barakzai.cloud/v1/topics", {
+        headers: {
+          Origin: "https://barakzai.cloud",
+          "X-Adapter-Token": "dev-secret",
+          "CF-Connecting-IP": ip,
+        },
+      });
+
+    let res = await handleRequest(topicsFrom("203.0.113.7"), limitedEnv);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("X-RateLimit-Limit"), "2");
+    assert.equal(res.headers.get("X-RateLimit-Remaining"), "1");
+    res = await handleRequest(topicsFrom("203.0.113.7"), limitedEnv);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("X-RateLimit-Remaining"), "0");
+
+    res = await handleRequest(topicsFrom("203.0.113.7"), limitedEnv);
+    assert.equal(res.status, 429);
+    const retryAfter = Number(res.headers.get("Retry-After"));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(res.headers.get("X-RateLimit-Remaining"), "0");
+    const body = await readJson(res);
+    assert.equal(body.detail, "Too many requests");
+    assert.equal(body.retry_after, retryAfter);
+
+    res = await handleRequest(topicsFrom("198.51.100.4"), limitedEnv);
+    assert.equal(res.status, 200);
+
+    // A JWT subject has its own budget, shared across IPs.
+    const token = await signJwt(
+      { sub: "roaming-learner", exp: Math.floor(Date.now() / 1000) + 600, scopes: ["content:read"] },
+      "jwt-secret",
+    );
+    const fromIp = (ip) =>
+      new Request("https://api.barakzai.cloud/v1/topics", {
+        headers: {
+          Origin: "https://barakzai.cloud",
+          Authorization: `Bearer ${token}`,
+          "CF-Connecting-IP": ip,
+        },
+      });
+    assert.equal((await handleRequest(fromIp("192.0.2.1"), limitedEnv)).status, 200);
+    assert.equal((await handleRequest(fromIp("192.0.2.2"), limitedEnv)).status, 200);
+    assert.equal((await handleRequest(fromIp("192.0.2.3"), limitedEnv)).status, 429);
+
+    const video = { videoId: "abc123", title: { runs: [{ text: "Bubblesort" }] } };
+    await withStubbedFetch(
+      () => new Response(JSON.stringify(innertubeResponse([video])), { status: 200 }),
+      async (upstreamCalls) => {
+        const searchFrom = () =>
+          new Request("https://api.barakzai.cloud/search?q=bubblesort", {
+            headers: { "CF-Connecting-IP": "203.0.113.9" },
+          });
+        res = await handleRequest(searchFrom(), limitedEnv);
+        assert.equal(res.status, 200);
+        res = await handleRequest(searchFrom(), limitedEnv);
+        assert.equal(res.status, 429);
+        assert.ok(res.headers.get("Retry-After"));
+        assert.equal((await readJson(res)).error, "Too many requests");
+        assert.equal(upstreamCalls(), 1);
+      },
+    );
+  }
+
+  {
+    const failingKv = createFakeKv();
+    failingKv.put = async () => {
+      throw new Error("KV put() limit exceeded for the day.");
+    };
+    const failingEnv = {
+      ...env,
+      RATE_LIMIT_KV: failingKv,
+      RATE_LIMITS: JSON.stringify({ default: { limit: 1, window: 60 } }),
+    };
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const res = await handleRequest(getJson("/v1/topics"), failingEnv);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("X-RateLimit-Error"), "counter-store-unavailable");
+      assert.equal(res.headers.get("X-RateLimit-Limit"), null);
+      assert.ok(res.headers.get("Access-Control-Expose-Headers").includes("X-RateLimit-Error"));
+    }
+  }
+
+  {
+    const cache = createFakeCache();
+    const cachedEnv = { ...env, SEARCH_CACHE: cache };
+    const search = (q) =>
+      handleRequest(new Request(`https://api.barakzai.cloud/search?q=${encodeURIComponent(q)}`), cachedEnv);
+    const video = { videoId: "bs1", title: { runs: [{ text: "Bubblesort erklärt" }] } };
+    let upstreamOk = true;
+    const ageEntry = (seconds) => {
+      for (const [key, body] of cache.entries) {
+        const entry = JSON.parse(body);
+        cache.entries.set(key, JSON.stringify({ ...entry, stored_at: Date.now() - seconds * 1000 }));
+      }
+    };
+
+    await withStubbedFetch(
+      () =>
+        upstreamOk
+          ? new Response(JSON.stringify(innertubeResponse([video])), { status: 200 })
+          : new Response("unavailable", { status: 503 }),
+      async (upstreamCalls) => {
+        let res = await search("Bubblesort erklärt");
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("X-Cache"), "MISS");
+        assert.equal((await readJson(res)).results[0].videoId, "bs1");
+
+        // Case and whitespace do not split the cache.
+        res = await search("  bubblesort   ERKLÄRT ");
+        assert.equal(res.headers.get("X-Cache"), "HIT");
+        assert.equal((await readJson(res)).results[0].videoId, "bs1");
+        assert.equal(upstreamCalls(), 1);
+
+        // Past the TTL: the stale entry is served and refreshed.
+        ageEntry(2 * 3600);
+        res = await search("bubblesort erklärt");
+        assert.equal(res.headers.get("X-Cache"), "STALE");
+        assert.equal(upstreamCalls(), 2);
+        res = await search("bubblesort erklärt");
+        assert.equal(res.headers.get("X-Cache"), "HIT");
+        assert.equal(res.headers.get("X-Upstream-Error"), null);
+
+        // Past the revalidation window with the upstream down: last good result instead of a 503.
+        ageEntry(3 * 86400);
+        upstreamOk = false;
+        res = await search("bubblesort erklärt");
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("X-Cache"), "STALE");
+        assert.equal(res.headers.get("X-Upstream-Error"), "upstream_unavailable");
+        assert.equal((await readJson(res)).results[0].videoId, "bs1");
+
+        res = await search("binäre suche");
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get("X-Cache"), "MISS");
+      },
+    );
+  }
+
+  {
+    const firstPage = innertubeResponse(
+      [
+        {
+          videoId: "long1",
+          title: { runs: [{ text: "Bubblesort " }, { text: "erklärt" }] },
+          ownerText: {
+            runs: [{ text: "Informatik DE", navigationEndpoint: { browseEndpoint: { browseId: "UC1" } } }],
+          },
+          lengthText: { simpleText: "12:05" },
+          viewCountText: { simpleText: "48.210 Aufrufe" },
+          publishedTimeText: { simpleText: "vor 2 Jahren" },
+          thumbnail: {
+            thumbnails: [{ url: "https://i.ytimg.com/small.jpg" }, { url: "https://i.ytimg.com/big.jpg" }],
+          },
+        },
+        {
+          videoId: "short1",
+          title: { runs: [{ text: "Bubblesort in 1 Minute" }] },
+          lengthText: { simpleText: "0:58" },
+        },
+        {
+          playlistRenderer: {
+            playlistId: "PL1",
+            title: { simpleText: "Sortierverfahren" },
+            videoCount: "14",
+          },
+        },
+        {
+          reelShelfRenderer: {
+            items: [{ reelItemRenderer: { videoId: "reel1", headline: { simpleText: "#shorts" } } }],
+          },
+        },
+      ],
+      "page-2-token",
+    );
+    const secondPage = {
+      onResponseReceivedCommands: [
+        {
+          appendContinuationItemsAction: {
+            continuationItems: [
+              {
+                itemSectionRenderer: {
+                  contents: [{ videoRenderer: { videoId: "next1", title: { simpleText: "Teil 2" } } }],
+                },
+              },
+            ],
+          },
+        },
+      ],
+    };
+    const upstreamBodies = [];
+    const search = (query) => handleRequest(new Request(`https://api.barakzai.cloud/search?${query}`), env);
+
+    await withStubbedFetch(
+      async (_url, init) => {
+        const body = JSON.parse(init.body);
+        upstreamBodies.push(body);
+        return new Response(JSON.stringify(body.continuation ? secondPage : firstPage), { status: 200 });
+      },
+      async () => {
+        let res = await search("q=Bubblesort&lang=de");
+        assert.equal(res.status, 200);
+        let body = await readJson(res);
+        assert.equal(body.continuation, "page-2-token");
+        assert.deepEqual(body.results.map((item) => item.type), ["video", "video", "playlist", "short"]);
+        assert.deepEqual(body.results[0], {
+          type: "video",
+          videoId: "long1",
+          title: "Bubblesort erklärt",
+          author: "Informatik DE",
+          channelId: "UC1",
+          lengthSeconds: 725,
+          viewCount: 48210,
+          publishedText: "vor 2 Jahren",
+          thumbnail: "https://i.ytimg.com/big.jpg",
+        });
+        assert.equal(upstreamBodies[0].context.client.hl, "de");
+
+        res = await search("q=Bubblesort&lang=de&min_duration=60&min_views=1000");
+        body = await readJson(res);
+        assert.deepEqual(body.results.map((item) => item.videoId), ["long1"]);
+        assert.equal(res.headers.get("X-Cache"), "MISS");
+
+        res = await search("q=Bubblesort&lang=de&max_duration=60");
+        assert.deepEqual((await readJson(res)).results.map((item) => item.videoId), ["short1"]);
+
+        res = await search("continuation=page-2-token&lang=de");
+        body = await readJson(res);
+        assert.deepEqual(body.results.map((item) => item.videoId), ["next1"]);
+        assert.equal(body.continuation, null);
+        assert.equal(upstreamBodies.at(-1).continuation, "page-2-token");
+
+        res = await search("q=Bubblesort&min_views=many");
+        assert.equal(res.status, 400);
+        assert.equal((await readJson(res)).error, "min_views must be a non-negative integer");
+      },
+    );
+  }
+
+  {
+    const curated = {
+      schema_name: "tutor_videos.curated.v1",
+      topics: {
+        bubblesort: {
+          allow: [
+            { videoId: "pinned-de", title: "Bubblesort an der Tafel", lang: "de" },
+            { videoId: "pinned-fa", title: "مرتب‌سازی حبابی", lang: "fa" },
+          ],
+          deny: ["spam1"],
+        },
+      },
+    };
+    const curatedEnv = {
+      ...env,
+      ASSETS: {
+        async fetch(request) {
+          if (new URL(request.url).pathname === "/tutor-data/videos.curated.json") {
+            return new Response(JSON.stringify(curated), { status: 200 });
+          }
+          return env.ASSETS.fetch(request);
+        },
+      },
+    };
+    const results = [
+      {
+        videoId: "spam1",
+        title: { simpleText: "BubbleSort erklärt KLICK" },
+        viewCountText: { simpleText: "9.999.999" },
+      },
+      { videoId: "offtopic", title: { simpleText: "Kochrezepte" }, viewCountText: { simpleText: "500.000" } },
+      {
+        videoId: "lesson",
+        title: { simpleText: "BubbleSort einfach erklärt" },
+        lengthText: { simpleText: "8:30" },
+        viewCountText: { simpleText: "20.000" },
+      },
+    ];
+    let upstreamQuery = null;
+    await withStubbedFetch(
+      async (_url, init) => {
+        upstreamQuery = JSON.parse(init.body).query;
+        return new Response(JSON.stringify(innertubeResponse(results)), { status: 200 });
+      },
+      async () => {
+        let res = await handleRequest(getJson("/v1/topics/bubblesort/videos?lang=de&limit=5"), curatedEnv);
+        assert.equal(res.status, 200);
+        const body = await readJson(res);
+        assert.equal(body.topic, "bubblesort");
+        assert.equal(body.query, "bubblesort erklärt");
+        assert.equal(upstreamQuery, "bubblesort erklärt");
+        assert.equal(body.upstream, "ok");
+        assert.deepEqual(body.videos.map((video) => video.videoId), ["pinned-de", "lesson", "offtopic"]);
+        assert.equal(body.videos[0].curated, true);
+        assert.ok(body.videos[1].score > body.videos[2].score);
+
+        res = await handleRequest(getJson("/v1/topics/not_a_topic/videos"), curatedEnv);
+        assert.equal(res.status, 404);
+        res = await handleRequest(getJson("/v1/topics/bubblesort/videos?limit=0"), curatedEnv);
+        assert.equal(res.status, 400);
+      },
+    );
+  }
+
+  {
+    const itemIds = (page) => page.results.map((item) => item.videoId ?? item.playlistId);
+    const expectations = {
+      search_video_renderer: {
+        status: "ok",
+        ids: ["vr-bubble-01", "reel-bubble-01", "PLsortierverfahren01"],
+        continuation: "EpMDEgpidWJibGVzb3J0",
+        diagnostics: [],
+      },
+      search_compact_video: { status: "ok", ids: ["cv-binary-01", "cv-binary-02"], diagnostics: [] },
+      search_lockup_view_model: {
+        status: "ok",
+        ids: ["PLlockupSort000001", "lk-video-0001"],
+        diagnostics: ["missing_field:lockupViewModel"],
+      },
+      search_reel_items: {
+        status: "ok",
+        ids: ["reel-minimum-01"],
+        diagnostics: ["missing_field:reelItemRenderer"],
+      },
+      search_continuation: {
+        status: "ok",
+        ids: ["vr-bubble-02"],
+        continuation: "EpMDEgpidWJibGVzb3J0page3",
+        diagnostics: [],
+      },
+      search_no_results: { status: "no_results", ids: [], diagnostics: [] },
+      search_schema_changed: { status: "schema_changed", ids: [], diagnostics: ["missing_path:"] },
+      search_unknown_renderer: {
+        status: "schema_changed",
+        ids: [],
+        diagnostics: Array(2).fill("unknown_renderer:videoWithContextRenderer"),
+      },
+    };
+    const parsedPages = {};
+    for (const [name, expected] of Object.entries(expectations)) {
+      const page = parseInnertubeResults(await readInnertubeFixture(name));
+      parsedPages[name] = page;
+      assert.equal(page.status, expected.status, name);
+      assert.deepEqual(itemIds(page), expected.ids, name);
+      assert.equal(page.continuation, expected.continuation ?? null, name);
+      assert.deepEqual(
+        page.diagnostics.map((diagnostic) => `${diagnostic.code}:${diagnostic.renderer ?? ""}`),
+        expected.diagnostics,
+        name,
+      );
+    }
+
+    const [video, short, playlist] = parsedPages.search_video_renderer.results;
+    assert.deepEqual(video, {
+      type: "video",
+      videoId: "vr-bubble-01",
+      title: "Bubblesort einfach erklärt",
+      author: "Informatik mit Herz",
+      channelId: "UCinfoHerz0000000000000",
+      lengthSeconds: 581,
+      viewCount: 127403,
+      publishedText: "vor 3 Jahren",
+      thumbnail: "https://i.ytimg.com/vi/vr-bubble-01/hq720.jpg",
+    });
+    assert.equal(short.type, "short");
+    assert.equal(short.lengthSeconds, null);
+    assert.equal(playlist.videoCount, 12);
+    assert.equal(playlist.channelId, "UCap2trainer00000000000");
+
+    const [compactLong, compactShortByline] = parsedPages.search_compact_video.results;
+    assert.equal(compactLong.lengthSeconds, 3735);
+    assert.equal(compactLong.viewCount, 8930);
+    assert.equal(compactShortByline.author, "CS kompakt");
+
+    const [lockupPlaylist, lockupVideo] = parsedPages.search_lockup_view_model.results;
+    assert.equal(lockupPlaylist.type, "playlist");
+    assert.equal(lockupPlaylist.videoCount, 24);
+    assert.equal(lockupPlaylist.author, "Prof. Sortier");
+    assert.equal(lockupVideo.lengthSeconds, 842);
+    assert.equal(lockupVideo.viewCount, 3512);
+    assert.equal(lockupVideo.publishedText, "vor 5 Monaten");
+    assert.equal(lockupVideo.thumbnail, "https://i.ytimg.com/vi/lk-video-0001/hqdefault.jpg");
+    assert.match(
+      parsedPages.search_lockup_view_model.diagnostics[0].path,
+      /itemSectionRenderer\.contents\[2\]\.lockupViewModel$/,
+    );
+
+    const fixtureResponses = {
+      drift: await readInnertubeFixture("search_unknown_renderer"),
+      none: await readInnertubeFixture("search_no_results"),
+    };
+    await withStubbedFetch(
+      async (_url, init) => {
+        const query = JSON.parse(init.body).query;
+        return new Response(JSON.stringify(fixtureResponses[query]), { status: 200 });
+      },
+      async () => {
+        let res = await handleRequest(new Request("https://api.barakzai.cloud/search?q=drift"), env);
+        assert.equal(res.status, 502);
+        const body = await readJson(res);
+        assert.equal(body.code, "upstream_schema_changed");
+        assert.equal(body.diagnostics[0].renderer, "videoWithContextRenderer");
+
+        res = await handleRequest(new Request("https://api.barakzai.cloud/search?q=none"), env);
+        assert.equal(res.status, 200);
+        assert.deepEqual(await readJson(res), { results: [], continuation: null });
+      },
+    );
+  }
+
+  {
+    const strictEnv = { ...env, STRICT_ASSET_VALIDATION: "true" };
+    const runRequest = (topic, lang, mode, extra = {}) =>
+      postJson("/v1/run", { api_version: "v1", request_id: "strict", topic, lang, mode, ...extra });
+
+    for (const [topic, lang, mode] of [
+      ["bubblesort", "de", "explain"],
+      ["bubblesort", "fa", "pseudocode"],
+      ["bubblesort", "de", "exam"],
+      ["fiae_2023", "de", "exam"],
+      ["wiso", "de", "trace"],
+    ]) {
+      const res = await handleRequest(runRequest(topic, lang, mode), strictEnv);
+      assert.equal(res.status, 200, `${topic}.${lang}.${mode}`);
+    }
+
+    let res = await handleRequest(runRequest("exam_bank_ap2", "de", "exam"), strictEnv);
+    assert.equal(res.status, 502);
+    const body = await readJson(res);
+    assert.equal(body.detail, "Asset failed schema validation");
+    assert.deepEqual(body.errors[0], { path: "/questions/0/answer", message: "must not be empty" });
+
+    res = await handleRequest(runRequest("exam_bank_ap2", "de", "exam", { view: "student" }), strictEnv);
+    assert.equal(res.status, 502);
+
+    // Without strict mode the drifted asset is still served as-is.
+    res = await handleRequest(runRequest("exam_bank_ap2", "de", "exam"), env);
+    assert.equal(res.status, 200);
+
+    // A schema that does not parse is an upstream error, not a crash.
+    const brokenSchemaEnv = {
+      ...strictEnv,
+      ASSETS: {
+        async fetch(request) {
+          const isSchema = new URL(request.url).pathname.startsWith("/tutor-data/schemas/");
+          return isSchema ? new Response("{ not json") : env.ASSETS.fetch(request);
+        },
+      },
+    };
+    res = await handleRequest(runRequest("bubblesort", "de", "explain"), brokenSchemaEnv);
+    assert.equal(res.status, 502);
+    assert.equal((await readJson(res)).detail, "Upstream asset error");
+  }
+
+  {
+    const runRequest = (apiVersion, body, accept = null) => {
+      const req = postJson("/v1/run", { api_version: apiVersion, request_id: "req-42", lang: "de", ...body });
+      if (accept) req.headers.set("Accept", accept);
+      return req;
+    };
+
+    // v1 keeps serving the stored asset and only echoes the request id in a header.
+    let res = await handleRequest(runRequest("v1", { topic: "bubblesort", mode: "exam" }), env);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("X-Request-Id"), "req-42");
+    assert.equal(res.headers.get("X-Api-Version"), "v1");
+    assert.match(res.headers.get("Access-Control-Expose-Headers"), /X-Request-Id/);
+    let body = await readJson(res);
+    assert.equal(body.schema_name, "tutor_asset.exam.v1");
+    assert.equal(body.request_id, undefined);
+
+    // v2 maps topic exams and the IHK bank onto the same question shape.
+    res = await handleRequest(runRequest("2.0", { topic: "bubblesort", mode: "exam", view: "teacher" }), env);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("X-Api-Version"), "v2");
+    body = await readJson(res);
+    assert.equal(body.schema_name, "tutor_api.exam.v2");
+    assert.equal(body.source_schema, "tutor_asset.exam.v1");
+    assert.equal(body.api_version, "v2");
+    assert.equal(body.request_id, "req-42");
+    const topicQuestion = body.questions.find((question) => question.id === "ex01_trace_passes");
+    assert.equal(topicQuestion.answer_short, "Pass0: [1,4,2,5]; Pass1: [1,2,4,5]; Pass2: [1,2,4,5]");
+    assert.match(topicQuestion.answer_long, /^Pass0: \(5,1\) tauschen/);
+    assert.equal(topicQuestion.points, null);
+    assert.equal(topicQuestion.answer, undefined);
+
+    res = await handleRequest(runRequest("v2", { topic: "fiae_2023", mode: "exam", view: "teacher" }), env);
+    body = await readJson(res);
+    assert.equal(body.source_schema, "exam_bank.de.v2.full");
+    assert.deepEqual(body.years, ["2023"]);
+    const bankQuestion = body.questions.find((question) => question.id === "y23_t1_1a_binarysearch_design");
+    assert.equal(bankQuestion.points, 8);
+    assert.equal(bankQuestion.year, "2023");
+    assert.ok(bankQuestion.answer_short && bankQuestion.answer_long);
+    for (const key of Object.keys(topicQuestion)) assert.ok(key in bankQuestion, key);
+
+    res = await handleRequest(runRequest("v2", { topic: "fiae_2023", mode: "exam", view: "student" }), env);
+    body = await readJson(res);
+    assert.equal(body.view, "student");
+    assert.equal(body.request_id, "req-42");
+    assert.ok(body.questions.every((question) => question.answer_short === undefined));
+    assert.ok(body.questions.every((question) => question.answer_long === undefined));
+
+    // The Accept header may carry the version as well, as long as it agrees with the body.
+    const vendorType = "application/vnd.dailyflow.tutor.v2+json";
+    res = await handleRequest(runRequest("v2", { topic: "bubblesort", mode: "explain" }, vendorType), env);
+    assert.equal(res.status, 200);
+    body = await readJson(res);
+    assert.equal(body.api_version, "v2");
+    assert.equal(body.schema_name, "tutor_asset.explain.v1");
+
+    res = await handleRequest(runRequest("v1", { topic: "bubblesort", mode: "exam" }, vendorType), env);
+    assert.equal(res.status, 400);
+    assert.match((await readJson(res)).detail, /does not match Accept header version v2/);
+
+    res = await handleRequest(runRequest("v9", { topic: "bubblesort", mode: "exam" }), env);
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get("X-Request-Id"), "req-42");
+    assert.deepEqual(await readJson(res), {
+      detail: "Unsupported api_version: v9",
+      supported_versions: ["v1", "v2"],
+      request_id: "req-42",
+    });
+
+    res = await handleRequest(runRequest("latest", { topic: "bubblesort", mode: "exam" }), env);
+    assert.equal(res.status, 400);
+  }
+
+  {
+    const compose = async (body) => {
+      const res = await handleRequest(postJson("/v1/exam/compose", body), env);
+      return { status: res.status, body: await readJson(res) };
+    };
+
+    // The same seed and filters reproduce the exam; the pool mixes topic exams and IHK banks.
+    const first = await compose({ seed: "share-me", count: 12 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.questions.length, 12);
+    assert.equal(first.body.seed, "share-me");
+    const again = await compose({ seed: "share-me", count: 12 });
+    assert.deepEqual(again.body, first.body);
+    const other = await compose({ seed: "another-seed", count: 12 });
+    assert.notDeepEqual(
+      other.body.questions.map((question) => question.id),
+      first.body.questions.map((question) => question.id),
+    );
+    const topicIds = first.body.questions.map((question) => `${question.topic}/${question.id}`);
+    assert.equal(new Set(topicIds).size, topicIds.length);
+
+    const unseeded = await compose({});
+    assert.equal(typeof unseeded.body.seed, "string");
+    assert.equal(unseeded.body.questions.length, 10);
+
+    // 45 minutes is a 50 point budget; only fiae_2023 has year and difficulty metadata.
+    const budgeted = await compose({
+      seed: "a",
+      year: "2023",
+      difficulty: ["easy", "medium"],
+      time_budget_minutes: 45,
+    });
+    assert.equal(budgeted.status, 200);
+    assert.ok(budgeted.body.total_points <= 50);
+    assert.ok(budgeted.body.estimated_minutes <= 45);
+    assert.equal(
+      budgeted.body.total_points,
+      budgeted.body.questions.reduce((sum, question) => sum + question.points, 0),
+    );
+    assert.ok(budgeted.body.questions.every((question) => question.topic === "fiae_2023"));
+
+    const keyed = await compose({ seed: "a", topics: ["bubblesort", "fiae_2023"], keywords: ["Bubblesort"] });
+    assert.equal(keyed.status, 200);
+    assert.ok(keyed.body.questions.every((question) => /bubblesort/i.test(question.prompt)));
+
+    const student = await compose({ seed: "a", target_points: 20, view: "student" });
+    assert.equal(student.body.view, "student");
+    assert.ok(student.body.questions.every((question) => question.answer_short === undefined));
+
+    assert.equal((await compose({ topics: ["nope"] })).body.detail, "Unknown topics: nope");
+    assert.equal((await compose({ type: "essay" })).status, 400);
+    assert.equal((await compose({ count: 51 })).body.detail, "count must be at most 50");
+    const negative = await compose({ target_points: -3 });
+    assert.equal(negative.body.detail, "target_points must be a positive integer");
+    assert.equal((await compose({ year: "1999" })).status, 404);
+    const numericYear = await compose({ seed: "a", year: 2023, time_budget_minutes: 45 });
+    assert.ok(numericYear.body.questions.every((question) => question.topic === "fiae_2023"));
+    for (const body of [null, [], "x"]) {
+      const res = await compose(body);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.detail, "JSON body must be an object");
+    }
+
+    // Ids repeat across topics, so only a repeat within one topic or a near-identical prompt is dropped.
+    const exam = (...questions) => ({ schema_name: "tutor_asset.exam.v1", questions });
+    const { filters } = parseComposeFilters({ count: 10 });
+    const deduped = composeExam(
+      [
+        { topic: "alpha", payload: exam({ id: "q1", prompt: "Erkläre die Laufzeit von Bubblesort." }) },
+        {
+          topic: "beta",
+          payload: exam(
+            { id: "q1", prompt: "Wie viele Vergleiche braucht die lineare Suche?" },
+            { id: "q1", prompt: "Doppelte Id im selben Thema" },
+            { id: "q2", prompt: "Erklaere die  Laufzeit von Bubblesort!" },
+          ),
+        },
+      ],
+      filters,
+      { lang: "de", seed: "x" },
+    );
+    assert.deepEqual(deduped.questions.map((question) => `${question.topic}/${question.id}`).sort(), [
+      "alpha/q1",
+      "beta/q1",
+    ]);
+  }
+
+  {
+    const generatedRun = async (topic, lang, extra = {}) => {
+      const body = { api_version: "v1", request_id: "gen", topic, lang, mode: "exam", view: "teacher" };
+      const res = await handleRequest(postJson("/v1/run", { ...body, ...extra }), env);
+      return { status: res.status, body: await readJson(res) };
+    };
+
+    const first = await generatedRun("bubblesort", "de", { generated: true, seed: "round-1" });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.generated, true);
+    assert.equal(first.body.seed, "round-1");
+    assert.deepEqual(
+      first.body.questions.map((question) => question.id),
+      ["gen_bubblesort_pass_states", "gen_bubblesort_swap_count", "gen_bubblesort_comparison_count"],
+    );
+    assert.deepEqual(await generatedRun("bubblesort", "de", { generated: true, seed: "round-1" }), first);
+    const second = await generatedRun("bubblesort", "de", { generated: true, seed: "round-2" });
+    assert.notEqual(second.body.questions[0].prompt, first.body.questions[0].prompt);
+
+    // Answers come from the reference implementation: the last pass leaves the input sorted.
+    const passStates = first.body.questions[0];
+    const sorted = [...passStates.input.array].sort((a, b) => a - b);
+    assert.ok(passStates.prompt.includes(`arr = [${passStates.input.array.join(", ")}]`));
+    assert.ok(passStates.answer.endsWith(`[${sorted.join(",")}]`));
+    const n = passStates.input.array.length;
+    assert.equal(first.body.questions[2].answer, String((n * (n - 1)) / 2));
+
+    const persian = await generatedRun("binarysearch", "fa", { generated: true, seed: "round-1" });
+    assert.equal(persian.body.lang, "fa");
+    assert.match(persian.body.questions[0].prompt, /جستجوی دودویی/);
+    assert.match(persian.body.questions[1].answer, /-1$/);
+    assert.ok(persian.body.questions.every((question) => question.explain_de && question.explain_fa));
+
+    const student = await generatedRun("checksum", "de", { generated: true, seed: "s", view: undefined });
+    assert.equal(student.body.view, "student");
+    assert.equal(student.body.seed, "s");
+    assert.ok(student.body.questions.every((question) => question.answer === undefined));
+
+    const unsupported = await generatedRun("software_testing", "de", { generated: true });
+    assert.equal(unsupported.status, 422);
+    assert.ok(unsupported.body.supported_topics.includes("minmax_avg"));
+
+    // Grading regenerates the exam from the seed.
+    for (const topic of ["selectionsort", "insertionsort", "linearsearch", "minmax_avg"]) {
+      const exam = await generatedRun(topic, "de", { generated: true, seed: "grade-me" });
+      const answers = Object.fromEntries(exam.body.questions.map(({ id, answer }) => [id, answer]));
+      const res = await handleRequest(
+        postJson("/v1/exam/submit", { topic, lang: "de", generated: true, seed: "grade-me", answers }),
+        env,
+      );
+      const graded = await readJson(res);
+      assert.equal(graded.score.correct, exam.body.questions.length, topic);
+    }
+    const unseeded = await handleRequest(
+      postJson("/v1/exam/submit", { topic: "bubblesort", lang: "de", generated: true, answers: {} }),
+      env,
+    );
+    assert.equal(unseeded.status, 400);
+
+    const unified = await handleRequest(
+      postJson("/v1/run", {
+        api_version: "v2",
+        request_id: "gen",
+        topic: "minmax_avg",
+        lang: "de",
+        mode: "exam",
+        view: "teacher",
+        generated: true,
+        seed: "round-1",
+      }),
+      env,
+    );
+    const unifiedBody = await readJson(unified);
+    assert.equal(unifiedBody.generated, true);
+    assert.equal(unifiedBody.seed, "round-1");
+    assert.ok(unifiedBody.questions.every((question) => question.answer_short && question.input.array));
+  }
+
+  {
+    const exam = (lang, questions) => ({ schema_name: "tutor_asset.exam.v1", lang, questions });
+    const overlay = {
+      "/tutor-data/run/demo.fa.exam.json": exam("fa", [
+        { id: "q1", type: "open", prompt: "پرسش یک", answer: "", explain_de: "", explain_fa: "" },
+        { id: "q2", type: "open", prompt: "پرسش دو", answer: "7", explain_de: "", explain_fa: "توضیح" },
+      ]),
+      // Reordered on purpose: questions are matched by id.
+      "/tutor-data/run/demo.de.exam.json": exam("de", [
+        { id: "q2", type: "open", prompt: "Frage zwei", answer: "7", explain_de: "Sieben", explain_fa: "" },
+        { id: "q1", type: "open", prompt: "Frage eins", answer: "42", explain_de: "Weil 6·7" },
+      ]),
+      "/tutor-data/run/demo.en.exam.json": exam("en", [
+        { id: "q1", type: "open", prompt: "Question one", answer: "42", explain_en: "Because 6 · 7" },
+      ]),
+      "/tutor-data/run/demo.de.explain.json": { lang: "de", summary: "Kurz" },
+      "/tutor-data/run/demo.en.explain.json": "{ not json",
+    };
+    const overlayEnv = (extra = {}) => ({
+      ...env,
+      ...extra,
+      ASSETS: {
+        async fetch(request) {
+          const path = new URL(request.url).pathname;
+          if (!Object.hasOwn(overlay, path)) return env.ASSETS.fetch(request);
+          const value = overlay[path];
+          return new Response(typeof value === "string" ? value : JSON.stringify(value));
+        },
+      },
+    });
+    const demoRun = async (targetEnv, lang, mode) => {
+      const body = { api_version: "v1", request_id: "fb", topic: "demo", lang, mode, view: "teacher" };
+      const req = postJson("/v1/run", body);
+      const res = await handleRequest(req, targetEnv);
+      return { status: res.status, body: await readJson(res) };
+    };
+
+    // fa -> de: empty Persian fields take the German ones; German-only fields stay untouched.
+    let { body } = await demoRun(overlayEnv(), "fa", "exam");
+    assert.equal(body.lang, "fa");
+    assert.equal(body.questions[0].prompt, "پرسش یک");
+    assert.equal(body.questions[0].answer, "42");
+    assert.equal(body.questions[0].explain_fa, "Weil 6·7");
+    assert.equal(body.questions[0].explain_de, "");
+    assert.equal(body.questions[1].explain_fa, "توضیح");
+    assert.deepEqual(body.fallbacks, [
+      { path: "/questions/0/answer", from: "de", direction: "ltr" },
+      { path: "/questions/0/explain_fa", from: "de", direction: "ltr" },
+    ]);
+
+    // The chain is configurable per language.
+    const englishFirst = overlayEnv({ LANG_FALLBACKS: JSON.stringify({ fa: ["en", "de"] }) });
+    ({ body } = await demoRun(englishFirst, "fa", "exam"));
+    assert.equal(body.questions[0].explain_fa, "Because 6 · 7");
+    assert.deepEqual(body.fallbacks.map((entry) => entry.from), ["en", "en"]);
+
+    // A missing file falls back as a whole; a broken fallback file is skipped.
+    const explained = await demoRun(overlayEnv(), "fa", "explain");
+    assert.equal(explained.status, 200);
+    assert.equal(explained.body.summary, "Kurz");
+    assert.deepEqual(explained.body.fallbacks, [{ path: "", from: "de", direction: "ltr" }]);
+    // The German text keeps its own direction.
+    assert.equal(explained.body.direction, "ltr");
+
+    // Lists are not filled: the German linearsearch exam has no questions of its own.
+    const linearRun = { api_version: "v1", request_id: "fb", topic: "linearsearch", lang: "de", mode: "exam" };
+    const linear = await readJson(await handleRequest(postJson("/v1/run", linearRun), env));
+    assert.deepEqual(linear.questions, []);
+    assert.equal(linear.direction, "ltr");
+    assert.ok(linear.fallbacks.every((entry) => !entry.path.startsWith("/questions")));
+
+    // Grading uses the merged answers too.
+    const res = await handleRequest(
+      postJson("/v1/exam/submit", { topic: "demo", lang: "fa", answers: { q1: "42", q2: "7" } }),
+      overlayEnv(),
+    );
+    assert.equal((await readJson(res)).score.correct, 2);
+  }
+
+  {
+    const localeRun = (lang, acceptLanguage, extra = {}) => {
+      const req = postJson("/v1/run", {
+        api_version: "v1",
+        request_id: "locale",
+        topic: "bubblesort",
+        lang,
+        mode: "exam",
+        ...extra,
+      });
+      if (acceptLanguage) req.headers.set("Accept-Language", acceptLanguage);
+      return handleRequest(req, env);
+    };
+
+    // lang "auto" picks the best supported Accept-Language range.
+    let res = await localeRun("auto", "fa-IR,fa;q=0.9,de;q=0.8");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Language"), "fa");
+    assert.equal(res.headers.get("Vary"), "Origin, Accept-Language");
+    let body = await readJson(res);
+    assert.equal(body.lang, "fa");
+    assert.equal(body.direction, "rtl");
+
+    // en is negotiated; without an English exam the German file is served and named as such.
+    res = await localeRun("auto", "fr-CH, en;q=0.7, de;q=0.3");
+    assert.equal(res.headers.get("Content-Language"), "de");
+    assert.deepEqual((await readJson(res)).fallbacks, [{ path: "", from: "de", direction: "ltr" }]);
+    res = await localeRun("auto", "fr, it;q=0.5");
+    assert.equal(res.headers.get("Content-Language"), "de");
+    res = await localeRun("auto", "de;q=0, fa;q=0.2");
+    assert.equal(res.headers.get("Content-Language"), "fa");
+
+    // An explicit lang ignores the header.
+    res = await localeRun("de", "fa");
+    assert.equal(res.headers.get("Content-Language"), "de");
+    assert.equal(res.headers.get("Vary"), "Origin");
+
+    // en is served through the fallback chain until English assets are synced.
+    res = await localeRun("en", null, { api_version: "v2", view: "teacher" });
+    assert.equal(res.status, 200);
+    body = await readJson(res);
+    assert.equal(body.direction, "ltr");
+    assert.deepEqual(body.fallbacks, [{ path: "", from: "de", direction: "ltr" }]);
+    const [first] = body.questions;
+    assert.deepEqual(Object.keys(first.explain), ["de", "fa", "en"]);
+    assert.equal(first.explain.de, first.explain_de);
+    assert.equal(first.answer_long, first.explain_de);
+
+    res = await localeRun("fa", null, { view: "student" });
+    body = await readJson(res);
+    assert.ok(body.questions.every((question) => !("explain" in question) && !("explain_fa" in question)));
+
+    res = await handleRequest(postJson("/v1/run", {
+      api_version: "v1",
+      request_id: "locale",
+      topic: "bubblesort",
+      lang: "fa",
+      mode: "trace",
+      input: { array: [3, 1, 2] },
+    }), env);
+    assert.equal((await readJson(res)).direction, "rtl");
+
+    // Topics list the languages they are served in through the fallback chain as well.
+    body = await readJson(await handleRequest(getJson("/v1/topics"), env));
+    assert.deepEqual(body.availability.bubblesort.en, body.availability.bubblesort.de);
+    assert.deepEqual(body.availability.wiso, { de: [] });
+
+    res = await handleRequest(getJson("/v1/topics?lang=en&mode=exam"), env);
+    body = await readJson(res);
+    assert.deepEqual(body.languages, [
+      { code: "de", direction: "ltr" },
+      { code: "fa", direction: "rtl" },
+      { code: "en", direction: "ltr" },
+    ]);
+    assert.ok(body.topics.includes("bubblesort"));
+    assert.ok(body.topics.includes("fiae_2023"));
+  }
+
+  {
+    const utf8 = new TextEncoder().encode("Prüfziffer");
+    assert.deepEqual(decodeSourceText(utf8), { text: "Prüfziffer", encoding: "utf-8" });
+    assert.deepEqual(decodeSourceText(Uint8Array.of(0xef, 0xbb, 0xbf, ...utf8)), {
+      text: "Prüfziffer",
+      encoding: "utf-8-bom",
+    });
+    // 0xfc is "ü" in Latin-1; 0x84/0x93 are Windows-1252 quotes.
+    assert.deepEqual(decodeSourceText(Uint8Array.of(0x66, 0xfc, 0x72)), { text: "für", encoding: "latin-1" });
+    assert.deepEqual(decodeSourceText(Uint8Array.of(0x84, 0x61, 0x93)), {
+      text: "„a“",
+      encoding: "windows-1252",
+    });
+
+    // UTF-8 read as Windows-1252 and saved again.
+    assert.equal(repairMojibake("Ã¤uÃŸere Schleife â€“ GrÃ¶ÃŸe"), "äußere Schleife – Größe");
+    assert.equal(repairMojibake("Größe, Maß, äß"), "Größe, Maß, äß");
+
+    assert.equal(
+      normalizeTransliterations("Prueft fuer jeden Index, Ueber `fuer i` FUER; neue Queue zurueck_i"),
+      "Prüft für jeden Index, Über `fuer i` FUER; neue Queue zurueck_i",
+    );
+
+    // The synced assets still carry "?" substitutions; questions and inline code are fine.
+    const explain = JSON.parse(
+      await readFile(resolve(repoRoot, "assets", "tutor-data", "run", "bubblesort.de.explain.json"), "utf8"),
+    );
+    const found = findSubstitutions(explain);
+    assert.ok(found.some((item) => item.path === "/blocks/1/text" && item.excerpt.includes("k?rzer")));
+    assert.deepEqual(findSubstitutions({ prompt: "Ist das stabil? Warum?", code: "x = a ? b : c" }), []);
+    assert.deepEqual(findSubstitutions({ questions: [{ prompt: "F?hre aus", explain_fa: "?????" }] }), [
+      { path: "/questions/0/prompt", count: 1, excerpt: "F?hre aus" },
+      { path: "/questions/0/explain_fa", count: 1, excerpt: "?????" },
+    ]);
+  }
+
+  {
+    const before = {
+      title: "Bubble Sort",
+      questions: [
+        { id: "q1", prompt: "Eins" },
+        { id: "q2", prompt: "Zwei" },
+      ],
+    };
+    const after = {
+      title: "Bubble Sort (DE)",
+      direction: "ltr",
+      questions: [
+        { id: "q2", prompt: "Zwei?" },
+        { id: "q3", prompt: "Drei" },
+      ],
+    };
+    assert.deepEqual(diffAsset(before, after), {
+      fields: ["direction", "title"],
+      items: { added: ["q3"], changed: ["q2"], removed: ["q1"] },
+    });
+    const reordered = { variants: [{ id: "b" }, { id: "a" }] };
+    assert.deepEqual(diffAsset({ variants: [{ id: "a" }, { id: "b" }] }, reordered), {
+      fields: ["variants"],
+      items: { added: [], changed: [], removed: [] },
+    });
+
+    const plan = planSync({
+      generated: new Map([
+        ["a.de.exam.json", "new"],
+        ["b.de.exam.json", "same"],
+        ["c.de.exam.json", "added"],
+        ["wiso.de.trace.json", "generated"],
+      ]),
+      current: new Map([
+        ["a.de.exam.json", "old"],
+        ["b.de.exam.json", "same"],
+        ["gone.de.exam.json", "stale"],
+        ["wiso.de.trace.json", "hand-written"],
+        ["fiae_2023.json", "hand-written"],
+      ]),
+      owned: new Set(["a.de.exam.json", "b.de.exam.json", "gone.de.exam.json", "missing.de.exam.json"]),
+    });
+    assert.deepEqual(plan, {
+      added: ["c.de.exam.json"],
+      changed: ["a.de.exam.json"],
+      unchanged: ["b.de.exam.json"],
+      removed: ["gone.de.exam.json"],
+      foreign: ["wiso.de.trace.json"],
+    });
+  }
+
+  {
+    const examV2 = {
+      schema_name: "tutor_asset.exam.v2",
+      version: "2.0",
+      topic: "richdemo",
+      lang: "de",
+      direction: "ltr",
+      mode: "exam",
+      title: "Rich Demo",
+      questions: [
+        {
+          id: "q1",
+          type: "open",
+          prompt: "Laufzeit von Bubble Sort?",
+          answer: "O(n^2)",
+          explain_de: "Zwei Schleifen",
+          explain_fa: "دو حلقه",
+          explain: { de: "Zwei Schleifen", fa: "دو حلقه", en: "" },
+          answer_long: "Zwei verschachtelte Schleifen über n Elemente",
+          difficulty: "easy",
+          points: 3,
+          keywords: ["Laufzeit"],
+          source: { type: "ihk", section: "1a" },
+        },
+        {
+          id: "q2",
+          type: "mc",
+          prompt: "Welches Verfahren ist stabil?",
+          answer: "",
+          explain_de: "",
+          explain_fa: "",
+          explain: { de: "", fa: "", en: "" },
+          choices: [
+            { id: "A", text: "Selection Sort", correct: false },
+            { id: "B", text: "Bubble Sort", correct: true },
+          ],
+        },
+      ],
+    };
+    const richEnv = {
+      ...env,
+      ASSETS: {
+        async fetch(request) {
+          const path = new URL(request.url).pathname;
+          if (path !== "/tutor-data/run/richdemo.de.exam.json") return env.ASSETS.fetch(request);
+          return new Response(JSON.stringify(examV2));
+        },
+      },
+    };
+    const runRich = async (extra) => {
+      const req = postJson("/v1/run", {
+        api_version: "v1",
+        request_id: "rich",
+        topic: "richdemo",
+        lang: "de",
+        mode: "exam",
+        ...extra,
+      });
+      return readJson(await handleRequest(req, richEnv));
+    };
+
+    // The student view keeps the choices but not which one is correct.
+    const student = await runRich({ view: "student" });
+    assert.deepEqual(student.questions[1].choices, [
+      { id: "A", text: "Selection Sort" },
+      { id: "B", text: "Bubble Sort" },
+    ]);
+    assert.equal(student.questions[0].explain, undefined);
+    assert.equal(student.questions[0].answer_long, undefined);
+
+    const unified = await runRich({ api_version: "v2", view: "teacher" });
+    assert.equal(unified.source_schema, "tutor_asset.exam.v2");
+    assert.equal(unified.questions[0].answer_long, "Zwei verschachtelte Schleifen über n Elemente");
+    assert.equal(unified.questions[0].difficulty, "easy");
+    assert.equal(unified.questions[0].points, 3);
+    assert.deepEqual(unified.questions[0].source, { type: "ihk", section: "1a" });
+
+    // MC questions without `answer` are graded against the marked choice.
+    const answers = { q1: "O(n^2)", q2: "Bubble Sort" };
+    const res = await handleRequest(postJson("/v1/exam/submit", { topic: "richdemo", lang: "de", answers }), richEnv);
+    const graded = await readJson(res);
+    assert.deepEqual(graded.results.map((result) => [result.verdict, result.expected]), [
+      ["correct", "O(n^2)"],
+      ["correct", "B"],
+    ]);
+  }
+
   console.log("All tests passed");
 }
 